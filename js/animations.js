@@ -8,11 +8,14 @@ const prefersMotion = window.matchMedia('(prefers-reduced-motion: no-preference)
 const isDesktop = window.matchMedia('(min-width: 48rem)');
 
 /* ── 1. Character-reveal for .card__name ──────────────────── */
+// Runs at init and again on 'card-rendered' — card.js replaces the static
+// name with the one from config.json as plain text on every render.
 function initCharReveal() {
   const nameInner = document.querySelector('.card__name-inner');
   if (!nameInner) return;
 
   const text = nameInner.textContent.trim();
+  if (!text || nameInner.querySelector('.char')) return; // not rendered yet / already split
   const nameEl = nameInner.closest('.card__name');
 
   // Set data-glitch for CSS pseudo-elements
@@ -169,6 +172,8 @@ function init() {
   // portfolio.js fires 'portfolio-rendered' after dynamic content is in the DOM.
   // initScrollReveal targets any [data-reveal] element, so it works on all pages.
   document.addEventListener('portfolio-rendered', initScrollReveal);
+  // card.js fires 'card-rendered' once the name from config.json is in place.
+  document.addEventListener('card-rendered', initCharReveal);
   initLangToggle();
 }
 
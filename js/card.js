@@ -0,0 +1,263 @@
+/**
+ * card.js — Render engine and i18n for the business card (index.html)
+ *
+ * Responsibilities:
+ * 1. Fetch /data/config.json
+ * 2. Determine active language (/de/ or /en/ URL prefix → ?lang= →
+ *    localStorage → navigator.language → 'de'), shared with cv.js and
+ *    portfolio.js via the 'cv-lang' key and cookie
+ * 3. Render name, role, tagline, nav links, QR code and meta line
+ * 4. Handle DE|EN toggle: navigate to the other language's URL, or
+ *    re-render in place on pages without a language prefix
+ * 5. Fire 'card-rendered' so animations.js can split the name into
+ *    characters (initCharReveal) once it is in the DOM
+ * 6. Take over pre-rendered markup (npm run build) without re-rendering
+ */
+
+/* ── i18n helpers ─────────────────────────────────────────── */
+
+// Language, localized fields, links and elements — js/site.js
+const {
+  SUPPORTED_LANGS,
+  t,
+  langFromPath,
+  resolveInitialLang,
+  storeLang,
+  localizedUrl,
+  pageHref,
+  applySiteLabels,
+  el,
+} = window.Site;
+
+const LABELS = {
+  nav:          { de: 'Navigation',                           en: 'Navigation' },
+  qrCaption:    { de: 'Scannen, um den Kontakt zu speichern', en: 'Scan to save the contact' },
+  qrCaptionUrl: { de: 'Scannen, um die Website zu öffnen',    en: 'Scan to open the website' },
+  qrAlt:        { de: 'QR-Code: Kontaktdaten von',            en: 'QR code: contact details of' },
+  qrAltUrl:     { de: 'QR-Code: Website von',                 en: 'QR code: website of' },
+};
+
+// Used when config.json has no "links"
+const DEFAULT_LINKS = [
+  { ref: 'portfolio', label: { de: 'Projekte ansehen', en: 'View projects' } },
+  { ref: 'cv',        label: { de: 'Lebenslauf',       en: 'CV' } },
+  { ref: 'email',     label: { de: 'Kontakt',          en: 'Contact' } },
+];
+
+/* ── Renderers ────────────────────────────────────────────── */
+
+function renderHeader(config, lang) {
+  document.getElementById('card-label').textContent = t(config.label, lang);
+
+  const name = document.getElementById('card-name');
+  name.setAttribute('aria-label', config.name);
+  // Plain text again — animations.js splits it into .char spans on 'card-rendered'
+  name.querySelector('.card__name-inner').textContent = config.name;
+  name.removeAttribute('data-glitch');
+
+  document.getElementById('card-role').textContent = t(config.role, lang);
+  document.getElementById('card-tagline').textContent = t(config.tagline, lang);
+}
+
+/**
+ * Resolve a config link to href + kind. "ref" names a site page or
+ * contact action; anything else (social profiles, …) comes as "href".
+ */
+function resolveLink(link, config, lang) {
+  switch (link.ref) {
+    case 'portfolio': return { href: pageHref('/portfolio/', lang), kind: 'page' };
+    case 'cv':        return { href: pageHref(config.cvPath || '/cv/', lang), kind: 'page' };
+    case 'email':     return { href: `mailto:${config.email}`, kind: 'external' };
+    case 'vcard':     return { href: `/export/contact.vcf?lang=${lang}`, kind: 'download' };
+    default:
+      return { href: link.href, kind: link.href.startsWith('/') ? 'page' : 'external' };
+  }
+}
+
+const LINK_ARROWS = { page: '→', external: '↗', download: '↓' };
+
+function renderNav(config, lang) {
+  const nav = document.getElementById('card-nav');
+  nav.setAttribute('aria-label', LABELS.nav[lang]);
+  nav.innerHTML = '';
+
+  (config.links || DEFAULT_LINKS).forEach(link => {
+    const { href, kind } = resolveLink(link, config, lang);
+    const a = el('a', 'card__nav-link');
+    a.href = href;
+    if (kind === 'download') a.setAttribute('download', '');
+    if (/^https?:/.test(href)) {
+      a.target = '_blank';
+      a.rel = 'me noopener';
+    }
+
+    const label = el('span', 'card__nav-link-label');
+    label.textContent = t(link.label, lang);
+    const arrow = el('span', 'card__nav-link-arrow', LINK_ARROWS[kind]);
+    arrow.setAttribute('aria-hidden', 'true');
+    a.append(label, arrow);
+    nav.appendChild(a);
+  });
+}
+
+function renderQr(config, lang) {
+  const url = config.qrContent === 'url';
+  const code = document.querySelector('#card-qr .card__qr-code');
+  code.alt = `${t(url ? LABELS.qrAltUrl : LABELS.qrAlt, lang)} ${config.name}`;
+  document.querySelector('#card-qr .card__qr-caption').textContent =
+    t(url ? LABELS.qrCaptionUrl : LABELS.qrCaption, lang);
+}
+
+function renderMeta(config, lang) {
+  const meta = document.getElementById('card-meta');
+  meta.innerHTML = '';
+
+  // Email only on paper — on screen the nav links cover it
+  const items = [
+    { text: t(config.location, lang) },
+    { text: config.website },
+    { text: config.email, print: true },
+  ].filter(item => item.text);
+
+  items.forEach((item, i) => {
+    const suffix = item.print ? ' card__meta-print' : '';
+    if (i > 0) meta.appendChild(el('span', `card__meta-sep${suffix}`, '·'));
+    const span = el('span', `card__meta-item${suffix}`);
+    span.textContent = item.text;
+    meta.appendChild(span);
+  });
+}
+
+function updateDocument(config, lang) {
+  const role = t(config.role, lang);
+  document.title = role ? `${config.name} — ${role}` : config.name;
+
+  const description = document.querySelector('meta[name="description"]');
+  if (description) {
+    description.content = [`${config.name} — ${role}.`, t(config.tagline, lang)].join(' ').trim();
+  }
+
+  applySiteLabels(lang);
+}
+
+/* ── Full render ───────────────────────────────────────────── */
+
+let configData = null;
+let activeLang = 'de';
+
+function renderAll(config, lang) {
+  renderHeader(config, lang);
+  renderNav(config, lang);
+  renderQr(config, lang);
+  renderMeta(config, lang);
+  updateDocument(config, lang);
+}
+
+/* ── Language toggle handler ───────────────────────────────── */
+
+function setLang(lang) {
+  if (!SUPPORTED_LANGS.includes(lang)) return;
+
+  storeLang(lang);
+
+  // Language-prefixed URL (/de/): the other language is its own page
+  const pathLang = langFromPath();
+  if (pathLang) {
+    if (pathLang !== lang) window.location.assign(localizedUrl(lang));
+    return;
+  }
+
+  activeLang = lang;
+  document.documentElement.lang = lang;
+  updateToggle(lang);
+
+  loadConfig()
+    .then(config => {
+      renderAll(config, lang);
+      document.dispatchEvent(new CustomEvent('card-rendered'));
+    })
+    .catch(showLoadError);
+}
+
+function updateToggle(lang) {
+  document.querySelectorAll('.card-lang-toggle__btn').forEach(btn => {
+    btn.setAttribute('aria-pressed', String(btn.dataset.lang === lang));
+  });
+}
+
+function initLangToggle() {
+  document.querySelectorAll('.card-lang-toggle__btn').forEach(btn => {
+    btn.addEventListener('click', () => setLang(btn.dataset.lang));
+  });
+}
+
+/* ── Live reload (dev server) ─────────────────────────────── */
+
+/** Re-render in place on edits to data/config.json (see cv.js) */
+function initLiveData() {
+  document.addEventListener('data-changed', (e) => {
+    if (e.detail.file !== '/data/config.json') return;
+    e.preventDefault();
+
+    configData = null;
+    loadConfig()
+      .then(config => {
+        renderAll(config, activeLang);
+        document.dispatchEvent(new CustomEvent('card-rendered'));
+      })
+      .catch(showLoadError);
+  });
+}
+
+/* ── Bootstrap ─────────────────────────────────────────────── */
+
+async function init() {
+  activeLang = resolveInitialLang();
+  document.documentElement.lang = activeLang;
+  updateToggle(activeLang);
+
+  initLangToggle();
+  initLiveData();
+
+  // Pre-rendered page (npm run build) in the language we want: the markup
+  // is already complete, only hand the name over to animations.js
+  if (document.documentElement.dataset.prerendered === activeLang) {
+    document.dispatchEvent(new CustomEvent('card-rendered'));
+    return;
+  }
+
+  try {
+    renderAll(await loadConfig(), activeLang);
+    document.dispatchEvent(new CustomEvent('card-rendered'));
+  } catch (err) {
+    showLoadError(err);
+  }
+}
+
+/** Fetch /data/config.json once; pre-rendered pages only need it on language switch */
+async function loadConfig() {
+  if (configData) return configData;
+  const response = await fetch('/data/config.json');
+  if (!response.ok) throw new Error(`Failed to load card data: ${response.status}`);
+  configData = await response.json();
+  return configData;
+}
+
+function showLoadError(err) {
+  console.error('[card.js]', err);
+  const main = document.getElementById('main');
+  if (main) {
+    const errMsg = document.createElement('p');
+    errMsg.textContent = activeLang === 'de'
+      ? 'Inhalte konnten nicht geladen werden. Bitte Seite neu laden.'
+      : 'Could not load the page content. Please reload the page.';
+    errMsg.style.cssText = 'padding:2rem;color:var(--color-text-secondary)';
+    main.prepend(errMsg);
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
@@ -0,0 +1,61 @@
+/**
+ * cv-anonymous.js — Anonymized CV for blind recruiting (?anonymous=1)
+ *
+ * anonymizeCv() returns cv.json without what identifies the candidate:
+ *
+ *   - name      → meta.anonymousName ({ de, en }) or else meta.initials
+ *   - photo, email, website → removed
+ *   - company   → the experience's companyDescriptor, where one is set
+ *                 (company URL and logo go with it)
+ *   - project links to the own website → removed
+ *
+ * Bullet texts are not rewritten; leave out bullets that name an employer
+ * with a profile (cv-profile.js).
+ *
+ * One file for both sides: the CV page loads it as a classic script before
+ * cv.js and after cv-format.js (global `CvAnonymous`; the search palette
+ * uses it there too), the server exports require() it.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./cv-format'));
+  else root.CvAnonymous = factory(root.CvFormat);
+}(typeof self !== 'undefined' ? self : this, function (cvFormat) {
+  'use strict';
+
+  const { t } = cvFormat;
+
+  /** Whether a query asks for the anonymous CV: ?anonymous=1 (or =true) */
+  function isAnonymousQuery(params) {
+    const value = params.get('anonymous');
+    return value === '1' || value === 'true';
+  }
+
+  /** "https://www.example.com/path" → "example.com" */
+  function hostOf(url) {
+    return String(url || '').replace(/^[a-z]+:\/\//i, '').replace(/^www\./, '').split(/[/?#]/)[0].toLowerCase();
+  }
+
+  function anonymizeCv(cv, lang) {
+    const meta = cv.meta || {};
+    const ownHost = hostOf(meta.website);
+
+    return {
+      ...cv,
+      meta: {
+        name: t(meta.anonymousName, lang) || meta.initials || '',
+        initials: meta.initials,
+        title: meta.title,
+        keywords: meta.keywords,
+      },
+      experience: (cv.experience || []).map(job => (job.companyDescriptor
+        ? { ...job, company: t(job.companyDescriptor, lang), companyUrl: null, logo: undefined }
+        : job)),
+      projects: (cv.projects || []).map(project => (project.links
+        ? { ...project, links: project.links.filter(link => !ownHost || hostOf(link.url) !== ownHost) }
+        : project)),
+    };
+  }
+
+  return { isAnonymousQuery, anonymizeCv };
+}));
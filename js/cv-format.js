@@ -0,0 +1,95 @@
+/**
+ * cv-format.js — Text helpers and labels of the CV
+ *
+ * Localized fields, dates, periods, section and skill labels — the same on
+ * the CV page and in the exports that don't go through the browser (JSON
+ * Resume, Markdown, plain text, DOCX).
+ *
+ * One file for both sides: the CV page loads it as a classic script before
+ * cv.js and after site.js (global `CvFormat`), the server exports
+ * require() it. t() is site.js's, passed on for the CV modules.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./site'));
+  else root.CvFormat = factory(root.Site);
+}(typeof self !== 'undefined' ? self : this, function (site) {
+  'use strict';
+
+  const { t } = site;
+
+  /** Format "YYYY-MM" → localized month/year, as on the CV page */
+  function formatDate(str, lang) {
+    if (!str) return lang === 'de' ? 'heute' : 'present';
+    const [year, month] = str.split('-');
+    if (!month) return year; // year-only string
+    const date = new Date(Number(year), Number(month) - 1);
+    return date.toLocaleDateString(lang === 'de' ? 'de-DE' : 'en-GB', {
+      month: 'short',
+      year: 'numeric',
+    });
+  }
+
+  /** Format period "start – end" */
+  function formatPeriod(start, end, lang) {
+    return `${formatDate(start, lang)} – ${formatDate(end, lang)}`;
+  }
+
+  /** Period line of a side project: "2019 – 2021" or "seit 2021" */
+  function formatProjectPeriod(project, lang) {
+    if (!project.start) return '';
+    return project.end
+      ? `${project.start} – ${project.end}`
+      : `${lang === 'de' ? 'seit' : 'since'} ${project.start}`;
+  }
+
+  const SECTION_LABELS = {
+    'section.about':         { de: 'Über mich',                         en: 'About' },
+    'section.experience':    { de: 'Berufserfahrung',                    en: 'Work Experience' },
+    'section.education':     { de: 'Ausbildung',                         en: 'Education' },
+    'section.skills':        { de: 'Kenntnisse',                         en: 'Skills' },
+    'section.languages':     { de: 'Sprachen',                           en: 'Languages' },
+    'section.certifications':{ de: 'Weiterbildung & Qualifikationen',     en: 'Further Education & Certifications' },
+    'section.projects':      { de: 'Projekte',                           en: 'Projects' },
+  };
+
+  const SKILL_GROUP_LABELS = {
+    specialized: { de: 'Spezialisierung', en: 'Specialization' },
+    tools: { de: 'Tools & Technologie', en: 'Tools & Technology' },
+    misc: { de: 'Weitere Kenntnisse', en: 'Miscellaneous' },
+  };
+
+  // Skill levels 1–5 (of max 5) in words
+  const SKILL_LEVELS = {
+    de: ['Grundkenntnisse', 'Erweiterte Kenntnisse', 'Fortgeschritten', 'Sehr gut', 'Experte'],
+    en: ['Basic', 'Intermediate', 'Advanced', 'Proficient', 'Expert'],
+  };
+
+  /** "4 of 5" → "Sehr gut" / "Proficient"; other scales are mapped onto 1–5 */
+  function levelWord(level, max, lang) {
+    const step = Math.min(5, Math.max(1, Math.round((level / (max || 5)) * 5)));
+    return (SKILL_LEVELS[lang] || SKILL_LEVELS.de)[step - 1];
+  }
+
+  /** Inverse of levelWord, for either language; null if the word is unknown */
+  function levelFromWord(word) {
+    const needle = String(word || '').trim().toLowerCase();
+    for (const words of Object.values(SKILL_LEVELS)) {
+      const index = words.findIndex(w => w.toLowerCase() === needle);
+      if (index !== -1) return index + 1;
+    }
+    return null;
+  }
+
+  return {
+    t,
+    formatDate,
+    formatPeriod,
+    formatProjectPeriod,
+    SECTION_LABELS,
+    SKILL_GROUP_LABELS,
+    SKILL_LEVELS,
+    levelWord,
+    levelFromWord,
+  };
+}));
@@ -0,0 +1,95 @@
+/**
+ * cv-profile.js — Tailored CV variants ("profiles" in cv.json)
+ *
+ * A profile selects and orders experiences, roles, bullet points, skills,
+ * certifications, education and projects, filters the tag chips and can
+ * replace the summary. applyProfile() returns cv.json as seen through one
+ * profile, so the renderers and exports need no profile logic of their own.
+ *
+ * One file for both sides: the CV page loads it as a classic script before
+ * cv.js and after cv-format.js (global `CvProfile`), the server exports
+ * require() it.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./cv-format'));
+  else root.CvProfile = factory(root.CvFormat);
+}(typeof self !== 'undefined' ? self : this, function (cvFormat) {
+  'use strict';
+
+  const { t } = cvFormat;
+
+  /** Pick entries of a { de, en } list by index, in the given order */
+  function pickBullets(list, indices) {
+    if (!list || !indices) return list;
+    const pick = items => items && indices.map(i => items[i]).filter(item => item !== undefined);
+    return { de: pick(list.de), en: pick(list.en) };
+  }
+
+  /** Pick items by key, in the given order; no keys = all items */
+  function pickBy(items, keys, keyOf) {
+    if (!keys) return items;
+    return keys.map(key => items.find(item => keyOf(item) === key)).filter(Boolean);
+  }
+
+  function applyProfileToJob(job, selection, tags) {
+    const roles = selection.roles
+      ? selection.roles
+        .map(pick => (typeof pick === 'number' ? { index: pick } : pick))
+        .filter(pick => job.roles[pick.index])
+        .map(pick => {
+          const role = job.roles[pick.index];
+          return { ...role, description: pickBullets(role.description, pick.bullets) };
+        })
+      : job.roles;
+
+    return {
+      ...job,
+      roles,
+      description: pickBullets(job.description, selection.bullets),
+      tags: tags && job.tags ? tags.filter(tag => job.tags.includes(tag)) : job.tags,
+    };
+  }
+
+  /** Whether cv.json defines a profile of that name */
+  function hasProfile(cv, name) {
+    return Boolean(name && cv.profiles && Object.prototype.hasOwnProperty.call(cv.profiles, name));
+  }
+
+  /** cv.json as seen through a profile; unknown names leave it unchanged */
+  function applyProfile(cv, name) {
+    if (!hasProfile(cv, name)) return cv;
+    const profile = cv.profiles[name];
+
+    const jobSelections = (profile.experience || cv.experience.map(job => job.id))
+      .map(pick => (typeof pick === 'string' ? { id: pick } : pick));
+    const skills = profile.skills || {};
+    const skillKey = skill => t(skill.name, 'de');
+
+    return {
+      ...cv,
+      summary: profile.summary || cv.summary,
+      experience: jobSelections
+        .map(selection => {
+          const job = cv.experience.find(j => j.id === selection.id);
+          return job && applyProfileToJob(job, selection, profile.tags);
+        })
+        .filter(Boolean),
+      education: pickBy(cv.education, profile.education, edu => edu.id),
+      skills: {
+        ...cv.skills,
+        specialized: pickBy(cv.skills.specialized, skills.specialized, skillKey),
+        tools: pickBy(cv.skills.tools, skills.tools, skillKey),
+        misc: skills.misc && cv.skills.misc
+          ? pickBullets(cv.skills.misc, skills.misc.map(item => cv.skills.misc.de.indexOf(item)))
+          : cv.skills.misc,
+      },
+      certifications: profile.certifications
+        ? profile.certifications.map(i => cv.certifications[i]).filter(Boolean)
+        : cv.certifications,
+      projects: pickBy(cv.projects, profile.projects, project => project.id),
+    };
+  }
+
+  return { applyProfile, hasProfile };
+}));
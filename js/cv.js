@@ -3,62 +3,57 @@
  *
  * Responsibilities:
  * 1. Fetch /data/cv.json
- * 2. Determine active language (localStorage → navigator.language → 'de')
+ * 2. Determine active language (/de/ or /en/ URL prefix → localStorage →
+ *    navigator.language → 'de')
  * 3. Render all CV sections into the DOM
- * 4. Handle DE|EN toggle without page reload
- * 5. Update html[lang] and localStorage on switch
+ * 4. Handle DE|EN toggle: navigate to the other language's URL, or
+ *    re-render in place on pages without a language prefix
+ * 5. Update html[lang], localStorage and the cv-lang cookie on switch
  * 6. Accept ?lang= query param for PDF export pre-selection
+ * 7. Take over pre-rendered markup (npm run build) without re-rendering
+ * 8. Apply a tailored variant from cv.json "profiles" with ?profile=
+ * 9. Anonymize name, photo, contact and employers with ?anonymous=1
+ * 10. Apply PDF layout options (?paper=, ?density=, …) as print CSS
+ *     variants, and offer them in a dialog behind the topbar PDF button
  */
 
 /* ── i18n helpers ─────────────────────────────────────────── */
 
-const SUPPORTED_LANGS = ['de', 'en'];
-const STORAGE_KEY = 'cv-lang';
-
-/** Resolve initial language: query param > localStorage > browser > 'de' */
-function resolveInitialLang() {
-  const params = new URLSearchParams(window.location.search);
-  const qLang = params.get('lang');
-  if (qLang && SUPPORTED_LANGS.includes(qLang)) return qLang;
-
-  const stored = localStorage.getItem(STORAGE_KEY);
-  if (stored && SUPPORTED_LANGS.includes(stored)) return stored;
-
-  const browser = (navigator.language || '').toLowerCase().slice(0, 2);
-  return SUPPORTED_LANGS.includes(browser) ? browser : 'de';
+// Language, links and elements — js/site.js
+const {
+  SUPPORTED_LANGS,
+  langFromPath,
+  resolveInitialLang,
+  storeLang,
+  localizedUrl,
+  pageHref,
+  applySiteLabels,
+  el,
+} = window.Site;
+
+// Localized fields, dates and labels — shared with the server exports
+const {
+  t,
+  formatDate,
+  formatPeriod,
+  formatProjectPeriod,
+  SECTION_LABELS,
+  SKILL_GROUP_LABELS,
+} = window.CvFormat;
+
+/* ── Rich text (content markup) ────────────────────────────── */
+
+// Markup of long-form fields (README → "Rich text") — js/rich-text.js
+const { appendInline, appendBlocks, tagKey } = window.RichText;
+
+/** Element with marked-up inline content (bullets, descriptions, pull quotes) */
+function inlineEl(tag, className, text) {
+  return appendInline(el(tag, `${className} rich-text`), text);
 }
 
-/** Get localized string — field can be string or { de, en } */
-function t(field, lang) {
-  if (!field) return '';
-  if (typeof field === 'string') return field;
-  return field[lang] || field['de'] || '';
-}
-
-/** Format "YYYY-MM" → localized month/year */
-function formatDate(str, lang) {
-  if (!str) return lang === 'de' ? 'heute' : 'present';
-  const [year, month] = str.split('-');
-  if (!month) return year; // year-only string
-  const date = new Date(Number(year), Number(month) - 1);
-  return date.toLocaleDateString(lang === 'de' ? 'de-DE' : 'en-GB', {
-    month: 'short',
-    year: 'numeric',
-  });
-}
-
-/** Format period "start – end" */
-function formatPeriod(start, end, lang) {
-  return `${formatDate(start, lang)} – ${formatDate(end, lang)}`;
-}
-
-/* ── DOM helpers ──────────────────────────────────────────── */
-
-function el(tag, className, html) {
-  const node = document.createElement(tag);
-  if (className) node.className = className;
-  if (html !== undefined) node.innerHTML = html;
-  return node;
+/** Element with marked-up paragraphs and bullet lists (summaries, text blocks) */
+function blocksEl(tag, className, text) {
+  return appendBlocks(el(tag, `${className} rich-text`), text);
 }
 
 /** Build a segmented bar track + fill */
@@ -76,29 +71,125 @@ function buildBar(level, max, label, trackClass, fillClass) {
   return track;
 }
 
+/* ── Responsive images ────────────────────────────────────── */
+
+// <picture>s from the image manifest (server/images.js) — js/responsive-images.js
+const { loadImageManifest, responsiveImage, adoptPlaceholders } = window.ResponsiveImages;
+
+/* ── Portfolio links ──────────────────────────────────────── */
+/* Skills and experience tags that portfolio.json projects carry  */
+/* link to the portfolio overview filtered to those projects      */
+/* (?tag=…, case and accents ignored); an experience lists the    */
+/* case studies that name it as their "experience", which link    */
+/* back. None in the anonymous CV — the portfolio names the       */
+/* candidate.                                                     */
+
+const PORTFOLIO_LABELS = {
+  caseStudies: { de: 'Fallstudien', en: 'Case studies' },
+  tagLink: {
+    de: (name, n) => `${name}: ${n} ${n === 1 ? 'Projekt' : 'Projekte'} im Portfolio`,
+    en: (name, n) => `${name}: ${n} ${n === 1 ? 'project' : 'projects'} in the portfolio`,
+  },
+};
+
+let portfolioData = null;
+let linkedProjects = []; // portfolio projects of the current render
+
+/** Fetch /data/portfolio.json once — without it the CV renders without portfolio links */
+async function loadPortfolioData() {
+  if (portfolioData) return portfolioData;
+  try {
+    const response = await fetch('/data/portfolio.json');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    portfolioData = await response.json();
+  } catch (err) {
+    console.warn('[cv.js] No portfolio links — portfolio.json could not be loaded:', err.message);
+    return { projects: [] };
+  }
+  return portfolioData;
+}
+
+/**
+ * Link to the portfolio projects tagged `name`, or null when none is.
+ * The query uses the projects' own spelling of the tag.
+ */
+function tagLink(name, className, lang) {
+  const key = tagKey(name);
+  const projects = linkedProjects.filter(project => (project.tags || []).some(tag => tagKey(tag) === key));
+  if (!projects.length) return null;
+
+  const tags = [...new Set(projects.flatMap(project => project.tags.filter(tag => tagKey(tag) === key)))];
+  const link = el('a', className, name);
+  link.href = `${pageHref('/portfolio/', lang)}?${new URLSearchParams(tags.map(tag => ['tag', tag]))}`;
+  link.setAttribute('aria-label', PORTFOLIO_LABELS.tagLink[lang](name, projects.length));
+  link.title = link.getAttribute('aria-label');
+  return link;
+}
+
+/** Case studies of an experience, as a labelled list of links — null for none */
+function buildCaseStudyLinks(job, lang) {
+  const projects = linkedProjects.filter(project => project.experience === job.id);
+  if (!projects.length) return null;
+
+  const div = el('div', 'cv-timeline__case-studies');
+  div.appendChild(el('span', 'cv-timeline__case-studies-label', t(PORTFOLIO_LABELS.caseStudies, lang)));
+  const ul = el('ul', 'cv-timeline__case-studies-list');
+  projects.forEach(project => {
+    const link = el('a', 'cv-timeline__case-study', t(project.title, lang));
+    link.href = pageHref(`/portfolio/${project.slug}/`, lang);
+    ul.appendChild(el('li')).appendChild(link);
+  });
+  div.appendChild(ul);
+  return div;
+}
+
 /* ── Section renderers ────────────────────────────────────── */
 
+function renderHeader(meta, lang) {
+  const name = document.getElementById('cv-name');
+  if (name) name.textContent = meta.name;
+  const title = document.getElementById('cv-title');
+  if (title) title.textContent = t(meta.title, lang);
+
+  // No photo in anonymous mode — hide the frame rather than show initials
+  const photoWrap = document.getElementById('cv-photo-wrap');
+  if (photoWrap) photoWrap.hidden = !meta.photo;
+
+  // Once per page: re-renders keep the <picture> of the first one
+  const photo = photoWrap && photoWrap.querySelector('.cv-header__photo');
+  if (photo && meta.photo && !photo.closest('picture')) {
+    if (photo.getAttribute('src') !== meta.photo) photo.src = meta.photo;
+    responsiveImage(photo, meta.photo, '100px');
+  }
+}
+
 function renderContact(meta) {
   const contact = document.getElementById('cv-contact');
   if (!contact) return;
   contact.innerHTML = '';
 
   const items = [
-    { icon: '✉', text: meta.email, href: `mailto:${meta.email}`, label: 'E-Mail' },
-    { icon: '🌐', text: meta.website, href: `https://${meta.website}`, label: 'Website' },
-  ];
+    meta.email && { icon: '✉', text: meta.email, href: `mailto:${meta.email}`, label: 'E-Mail' },
+    meta.website && { icon: '🌐', text: meta.website, href: `https://${meta.website}`, label: 'Website' },
+  ].filter(Boolean);
+  contact.hidden = !items.length;
 
   items.forEach(({ icon, text, href, label }) => {
     const li = el('li', 'cv-header__contact-item');
-    li.innerHTML = `<span aria-hidden="true">${icon}</span>
-      <a href="${href}" aria-label="${label}: ${text}">${text}</a>`;
+    li.appendChild(el('span', null, icon)).setAttribute('aria-hidden', 'true');
+    li.append(' ');
+    const link = li.appendChild(el('a', null, text));
+    link.href = href;
+    link.setAttribute('aria-label', `${label}: ${text}`);
     contact.appendChild(li);
   });
 }
 
 function renderSummary(data, lang) {
-  const el = document.getElementById('cv-summary');
-  if (el) el.textContent = t(data.summary, lang);
+  const summary = document.getElementById('cv-summary');
+  if (!summary) return;
+  summary.textContent = '';
+  appendBlocks(summary, t(data.summary, lang));
 }
 
 function renderExperience(data, lang) {
@@ -109,12 +200,16 @@ function renderExperience(data, lang) {
   data.experience.forEach(job => {
     const entry = document.createElement('article');
     entry.className = 'cv-timeline__entry';
+    entry.id = `experience-${job.id}`; // linked from the search palette (palette.js)
 
     // Company header
     const companyDiv = el('div', 'cv-timeline__company');
     const nameEl = el('span', 'cv-timeline__company-name');
     if (job.companyUrl) {
-      nameEl.innerHTML = `<a href="${job.companyUrl}" target="_blank" rel="noopener noreferrer">${job.company}</a>`;
+      const link = nameEl.appendChild(el('a', null, job.company));
+      link.href = job.companyUrl;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
     } else {
       nameEl.textContent = job.company;
     }
@@ -131,12 +226,8 @@ function renderExperience(data, lang) {
     if (job.description) {
       const descItems = t(job.description, lang);
       if (Array.isArray(descItems) && descItems.length) {
-        const ul = el('ul', 'cv-timeline__desc');
-        descItems.forEach(item => {
-          const li = document.createElement('li');
-          li.textContent = item;
-          ul.appendChild(li);
-        });
+        const ul = el('ul', 'cv-timeline__desc rich-text');
+        descItems.forEach(item => ul.appendChild(appendInline(el('li'), item)));
         entry.appendChild(ul);
       }
     }
@@ -161,12 +252,8 @@ function renderExperience(data, lang) {
       if (role.description) {
         const descItems = t(role.description, lang);
         if (Array.isArray(descItems) && descItems.length) {
-          const ul = el('ul', 'cv-timeline__desc');
-          descItems.forEach(item => {
-            const li = document.createElement('li');
-            li.textContent = item;
-            ul.appendChild(li);
-          });
+          const ul = el('ul', 'cv-timeline__desc rich-text');
+          descItems.forEach(item => ul.appendChild(appendInline(el('li'), item)));
           roleDiv.appendChild(ul);
         }
       }
@@ -180,12 +267,16 @@ function renderExperience(data, lang) {
     if (job.tags && job.tags.length) {
       const tagsDiv = el('div', 'cv-timeline__tags');
       job.tags.forEach(tag => {
-        const span = el('span', 'cv-timeline__tag', tag);
+        const span = tagLink(tag, 'cv-timeline__tag', lang) || el('span', 'cv-timeline__tag', tag);
         tagsDiv.appendChild(span);
       });
       entry.appendChild(tagsDiv);
     }
 
+    // Case studies from this job (portfolio.json)
+    const caseStudies = buildCaseStudyLinks(job, lang);
+    if (caseStudies) entry.appendChild(caseStudies);
+
     container.appendChild(entry);
   });
 }
@@ -229,55 +320,51 @@ function renderSkills(data, lang) {
   if (!container) return;
   container.innerHTML = '';
 
-  const groupLabels = {
-    specialized: { de: 'Spezialisierung', en: 'Specialization' },
-    tools: { de: 'Tools & Technologie', en: 'Tools & Technology' },
-    misc: { de: 'Weitere Kenntnisse', en: 'Miscellaneous' },
-  };
-
-  // Specialized
+  // Specialized (a group a profile emptied is left out)
   const specGroup = el('div', 'cv-skills__group');
-  const specTitle = el('p', 'cv-skills__group-title', t(groupLabels.specialized, lang));
+  const specTitle = el('p', 'cv-skills__group-title', t(SKILL_GROUP_LABELS.specialized, lang));
   specGroup.appendChild(specTitle);
 
   data.skills.specialized.forEach(skill => {
     const skillDiv = el('div', 'cv-skill');
-    const nameEl = el('span', 'cv-skill__name', t(skill.name, lang));
+    const nameEl = el('span', 'cv-skill__name');
+    nameEl.append(tagLink(t(skill.name, lang), null, lang) || t(skill.name, lang));
     const bar = buildBar(skill.level, skill.max, t(skill.name, lang), 'cv-skill__bar-track', 'cv-skill__bar-fill');
     skillDiv.appendChild(nameEl);
     skillDiv.appendChild(bar);
     specGroup.appendChild(skillDiv);
   });
-  container.appendChild(specGroup);
+  if (data.skills.specialized.length) container.appendChild(specGroup);
 
   // Tools
   const toolGroup = el('div', 'cv-skills__group');
-  const toolTitle = el('p', 'cv-skills__group-title', t(groupLabels.tools, lang));
+  const toolTitle = el('p', 'cv-skills__group-title', t(SKILL_GROUP_LABELS.tools, lang));
   toolGroup.appendChild(toolTitle);
 
   data.skills.tools.forEach(skill => {
     const skillDiv = el('div', 'cv-skill');
-    const nameEl = el('span', 'cv-skill__name', skill.name);
+    const nameEl = el('span', 'cv-skill__name');
+    nameEl.append(tagLink(skill.name, null, lang) || skill.name);
     const bar = buildBar(skill.level, skill.max, skill.name, 'cv-skill__bar-track', 'cv-skill__bar-fill');
     skillDiv.appendChild(nameEl);
     skillDiv.appendChild(bar);
     toolGroup.appendChild(skillDiv);
   });
-  container.appendChild(toolGroup);
+  if (data.skills.tools.length) container.appendChild(toolGroup);
 
   // Misc tags
   const miscGroup = el('div', 'cv-skills__group');
-  const miscTitle = el('p', 'cv-skills__group-title', t(groupLabels.misc, lang));
+  const miscTitle = el('p', 'cv-skills__group-title', t(SKILL_GROUP_LABELS.misc, lang));
   miscGroup.appendChild(miscTitle);
   const miscTags = el('div', 'cv-skills__misc');
   const miscItems = t(data.skills.misc, lang);
   if (Array.isArray(miscItems)) {
     miscItems.forEach(item => {
-      miscTags.appendChild(el('span', 'cv-skills__misc-tag', item));
+      miscTags.appendChild(tagLink(item, 'cv-skills__misc-tag', lang) || el('span', 'cv-skills__misc-tag', item));
     });
   }
   miscGroup.appendChild(miscTags);
-  container.appendChild(miscGroup);
+  if (miscTags.children.length) container.appendChild(miscGroup);
 }
 
 function renderLanguages(data, lang) {
@@ -324,14 +411,10 @@ function renderProjects(data, lang) {
     div.appendChild(titleEl);
 
     if (project.start) {
-      const periodEl = el('p', 'cv-project__period');
-      periodEl.textContent = project.end
-        ? `${project.start} – ${project.end}`
-        : `${lang === 'de' ? 'seit' : 'since'} ${project.start}`;
-      div.appendChild(periodEl);
+      div.appendChild(el('p', 'cv-project__period', formatProjectPeriod(project, lang)));
     }
 
-    const descEl = el('p', 'cv-project__desc', t(project.description, lang));
+    const descEl = inlineEl('p', 'cv-project__desc', t(project.description, lang));
     div.appendChild(descEl);
 
     if (project.links && project.links.length) {
@@ -350,55 +433,312 @@ function renderProjects(data, lang) {
   });
 }
 
+/* ── Profiles (?profile=) ──────────────────────────────────── */
+/* A profile in cv.json selects and orders entries, roles and     */
+/* bullets for one kind of application. It is applied to the data */
+/* before rendering, so every renderer sees the tailored CV.      */
+/* applyProfile() lives in js/cv-profile.js, which the server     */
+/* exports require() as well.                                     */
+
+const { applyProfile, hasProfile } = window.CvProfile;
+
+/** Profile name from ?profile=, or null for the full CV */
+function profileFromQuery() {
+  return new URLSearchParams(window.location.search).get('profile') || null;
+}
+
+/* ── Anonymous mode (?anonymous=1) ─────────────────────────── */
+/* For blind recruiting: no name, photo or contact details, and    */
+/* employers replaced by their "companyDescriptor" where cv.json   */
+/* has one. Bullet texts stay as they are — a profile can leave    */
+/* out those that name an employer. anonymizeCv() lives in         */
+/* js/cv-anonymous.js, which the server exports require() as well. */
+
+const { isAnonymousQuery, anonymizeCv } = window.CvAnonymous;
+
+function anonymousFromQuery() {
+  return isAnonymousQuery(new URLSearchParams(window.location.search));
+}
+
+/* ── Print options (?paper=, ?density=, …) ─────────────────── */
+/* The PDF export prints this page with the options in its query;  */
+/* they work the same when printing from the browser. Paper size   */
+/* and margins become an @page rule, the rest data attributes on   */
+/* <html> that select the print variants in css/cv.css. Parsing    */
+/* and defaults come from js/pdf-options.js, shared with the       */
+/* server.                                                         */
+
+const {
+  DEFAULTS: PRINT_DEFAULTS,
+  RANGES: PRINT_RANGES,
+  readPdfOptions,
+  changedOptions: changedPrintOptions,
+  pdfPageSettings,
+} = window.PdfOptions;
+
+/** Print options from the query; invalid values fall back to the defaults */
+function printOptionsFromQuery() {
+  return readPdfOptions(new URLSearchParams(window.location.search));
+}
+
+function applyPrintOptions(options) {
+  const root = document.documentElement;
+  root.dataset.printDensity = options.density;
+  root.dataset.printTheme = options.theme;
+  root.dataset.printLinks = options.links;
+
+  let pageStyle = document.getElementById('cv-page-style');
+  if (!pageStyle) {
+    pageStyle = el('style');
+    pageStyle.id = 'cv-page-style';
+    document.head.appendChild(pageStyle);
+  }
+  // Same page box as the PDF export, footer room included
+  const { format, margin } = pdfPageSettings(options);
+  pageStyle.textContent = `@page { size: ${format}; margin: ${margin.top} ${margin.right} ${margin.bottom}; }`;
+}
+
+/** Compact layout: at most `bullets` points per description list */
+function compactCv(data, bullets) {
+  const shorten = list => list && { de: list.de && list.de.slice(0, bullets), en: list.en && list.en.slice(0, bullets) };
+
+  return {
+    ...data,
+    experience: data.experience.map(job => ({
+      ...job,
+      description: shorten(job.description),
+      roles: job.roles.map(role => ({ ...role, description: shorten(role.description) })),
+    })),
+  };
+}
+
+/** Hide a section whose list a profile emptied (never the case in the full CV) */
+function toggleEmptySection(containerId) {
+  const container = document.getElementById(containerId);
+  const section = container && container.closest('.cv-section');
+  if (section) section.hidden = !container.children.length;
+}
+
 /* ── i18n section headings ─────────────────────────────────── */
 
-const SECTION_LABELS = {
-  'section.about':         { de: 'Über mich',                         en: 'About' },
-  'section.experience':    { de: 'Berufserfahrung',                    en: 'Work Experience' },
-  'section.education':     { de: 'Ausbildung',                         en: 'Education' },
-  'section.skills':        { de: 'Kenntnisse',                         en: 'Skills' },
-  'section.languages':     { de: 'Sprachen',                           en: 'Languages' },
-  'section.certifications':{ de: 'Weiterbildung & Qualifikationen',     en: 'Further Education & Certifications' },
-  'section.projects':      { de: 'Projekte',                           en: 'Projects' },
+const DOWNLOAD_LABELS = {
+  pdf:  { de: 'CV als PDF herunterladen',           en: 'Download CV as PDF' },
+  docx: { de: 'CV als Word-Dokument herunterladen', en: 'Download CV as Word document' },
+  md:   { de: 'CV als Markdown herunterladen',      en: 'Download CV as Markdown' },
+  txt:  { de: 'CV als Textdatei herunterladen',     en: 'Download CV as plain text' },
 };
 
-function updateSectionHeadings(lang) {
+function updateSectionHeadings(meta, lang) {
   document.querySelectorAll('[data-i18n]').forEach(el => {
     const key = el.dataset.i18n;
     if (SECTION_LABELS[key]) {
       el.textContent = SECTION_LABELS[key][lang] || SECTION_LABELS[key]['de'];
     }
   });
+  applySiteLabels(lang);
 
-  // Update page title
-  document.title = lang === 'en'
-    ? 'CV — Mathis Thomsen'
-    : 'Lebenslauf — Mathis Thomsen';
+  // Update page title — the name comes from the data, so anonymous mode
+  // leaves it out of the tab and the PDF title as well
+  document.title = `${lang === 'en' ? 'CV' : 'Lebenslauf'} — ${meta.name}`;
 
   // Update meta description
-  const meta = document.querySelector('meta[name="description"]');
-  if (meta) {
-    meta.content = lang === 'en'
-      ? 'CV — Mathis Thomsen, Senior UX/UI Designer. Bonn, Germany.'
-      : 'Lebenslauf — Mathis Thomsen, Senior UX/UI Designer. Bonn, Deutschland.';
+  const description = document.querySelector('meta[name="description"]');
+  if (description) {
+    description.content = activeAnonymous
+      ? `${document.title}, ${t(meta.title, lang)}.`
+      : lang === 'en'
+        ? `CV — ${meta.name}, Senior UX/UI Designer. Bonn, Germany.`
+        : `Lebenslauf — ${meta.name}, Senior UX/UI Designer. Bonn, Deutschland.`;
+  }
+
+  // Back link → card page in the same language; the card shows the name,
+  // so an anonymized CV has none
+  const backLink = document.querySelector('.cv-topbar__back');
+  if (backLink) {
+    backLink.hidden = activeAnonymous;
+    if (langFromPath()) backLink.href = `/${lang}/`;
   }
 
-  // Update PDF download link lang param
-  const dlLink = document.querySelector('.cv-topbar__download');
-  if (dlLink) {
-    dlLink.href = `/export/cv.pdf?lang=${lang}`;
-    dlLink.setAttribute('aria-label',
-      lang === 'de' ? 'CV als PDF herunterladen' : 'Download CV as PDF'
-    );
+  // So does the copyright line in the footer (with its separator)
+  const owner = document.querySelector('.site-footer__owner');
+  if (owner) {
+    owner.hidden = activeAnonymous;
+    owner.nextElementSibling.hidden = activeAnonymous;
   }
+
+  updateDownloadLinks(lang);
+}
+
+/** Download links' lang + profile + anonymous params (+ the PDF's print options) */
+function updateDownloadLinks(lang) {
+  const profileParam = activeProfile ? `&profile=${encodeURIComponent(activeProfile)}` : '';
+  const anonymousParam = activeAnonymous ? '&anonymous=1' : '';
+  // Static build (npm run build): no export server, only the full CV's
+  // documents pre-rendered per language — profiles and anonymous mode
+  // have none, so their links are hidden
+  const staticBuild = Boolean(document.documentElement.dataset.prerendered);
+  document.querySelectorAll('.cv-topbar__download').forEach(link => {
+    const format = link.dataset.format;
+    if (!DOWNLOAD_LABELS[format]) return;
+    if (format === 'pdf') {
+      link.href = pdfHref(pdfDialogOptions, lang);
+    } else if (staticBuild) {
+      link.href = `/export/cv-${lang}.${format}`;
+      link.hidden = Boolean(activeProfile || activeAnonymous);
+    } else {
+      link.href = `/export/cv.${format}?lang=${lang}${profileParam}${anonymousParam}`;
+    }
+    link.setAttribute('aria-label', DOWNLOAD_LABELS[format][lang]);
+  });
+}
+
+/* ── PDF export dialog ─────────────────────────────────────── */
+/* The topbar PDF link opens a dialog with the print options.      */
+/* Without <dialog> support, or on modified clicks (new tab, …),   */
+/* the link downloads the PDF with the options it carries.         */
+
+const PDF_DIALOG_LABELS = {
+  title:     { de: 'PDF-Optionen',                  en: 'PDF options' },
+  paper:     { de: 'Papierformat',                  en: 'Paper size' },
+  margin:    { de: 'Seitenränder (mm)',             en: 'Page margins (mm)' },
+  layout:    { de: 'Layout',                        en: 'Layout' },
+  compact:   { de: 'Kompakt, für eine Seite',       en: 'Compact, for a single page' },
+  bullets:   { de: 'Stichpunkte je Liste',          en: 'Bullet points per list' },
+  grayscale: { de: 'Graustufen (spart Tinte)',      en: 'Grayscale (saves ink)' },
+  links:     { de: 'Links',                         en: 'Links' },
+  clickable: { de: 'Klickbar',                      en: 'Clickable' },
+  printed:   { de: 'URLs ausgeschrieben',           en: 'URLs printed out' },
+  cancel:    { de: 'Abbrechen',                     en: 'Cancel' },
+  download:  { de: 'PDF herunterladen',             en: 'Download PDF' },
+};
+
+/** Last options chosen in the dialog — starts with the page's own */
+let pdfDialogOptions = { ...PRINT_DEFAULTS };
+
+function pdfHref(options, lang) {
+  const params = new URLSearchParams({ lang });
+  if (activeProfile) params.set('profile', activeProfile);
+  if (activeAnonymous) params.set('anonymous', '1');
+  changedPrintOptions(options).forEach(([key, value]) => params.set(key, value));
+  return `/export/cv.pdf?${params}`;
+}
+
+function buildPdfDialog(lang) {
+  const L = key => PDF_DIALOG_LABELS[key][lang];
+  const dialog = el('dialog', 'cv-pdf-dialog');
+  dialog.setAttribute('aria-labelledby', 'cv-pdf-dialog-title');
+  dialog.dataset.lang = lang;
+  dialog.innerHTML = `
+    <form method="dialog" class="cv-pdf-dialog__form">
+      <h2 class="cv-pdf-dialog__title" id="cv-pdf-dialog-title">${L('title')}</h2>
+      <fieldset class="cv-pdf-dialog__group">
+        <legend class="cv-pdf-dialog__legend">${L('paper')}</legend>
+        <label class="cv-pdf-dialog__choice"><input type="radio" name="paper" value="a4"> A4</label>
+        <label class="cv-pdf-dialog__choice"><input type="radio" name="paper" value="letter"> Letter</label>
+      </fieldset>
+      <label class="cv-pdf-dialog__field">
+        <span class="cv-pdf-dialog__legend">${L('margin')}</span>
+        <input type="number" name="margin" min="${PRINT_RANGES.margin[0]}" max="${PRINT_RANGES.margin[1]}" step="1" required>
+      </label>
+      <fieldset class="cv-pdf-dialog__group">
+        <legend class="cv-pdf-dialog__legend">${L('layout')}</legend>
+        <label class="cv-pdf-dialog__choice"><input type="checkbox" name="density" value="compact"> ${L('compact')}</label>
+        <label class="cv-pdf-dialog__field cv-pdf-dialog__field--nested">
+          <span>${L('bullets')}</span>
+          <input type="number" name="bullets" min="${PRINT_RANGES.bullets[0]}" max="${PRINT_RANGES.bullets[1]}" step="1" required>
+        </label>
+        <label class="cv-pdf-dialog__choice"><input type="checkbox" name="theme" value="grayscale"> ${L('grayscale')}</label>
+      </fieldset>
+      <fieldset class="cv-pdf-dialog__group">
+        <legend class="cv-pdf-dialog__legend">${L('links')}</legend>
+        <label class="cv-pdf-dialog__choice"><input type="radio" name="links" value="clickable"> ${L('clickable')}</label>
+        <label class="cv-pdf-dialog__choice"><input type="radio" name="links" value="printed"> ${L('printed')}</label>
+      </fieldset>
+      <div class="cv-pdf-dialog__actions">
+        <button type="button" class="cv-pdf-dialog__btn" data-action="cancel">${L('cancel')}</button>
+        <button type="submit" class="cv-pdf-dialog__btn cv-pdf-dialog__btn--primary">${L('download')}</button>
+      </div>
+    </form>`;
+
+  const form = dialog.querySelector('form');
+  form.elements.density.addEventListener('change', () => syncBulletsField(form));
+
+  dialog.querySelector('[data-action="cancel"]').addEventListener('click', () => dialog.close());
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    pdfDialogOptions = {
+      paper: form.elements.paper.value,
+      margin: Number(form.elements.margin.value),
+      density: form.elements.density.checked ? 'compact' : 'normal',
+      bullets: form.elements.bullets.disabled ? pdfDialogOptions.bullets : Number(form.elements.bullets.value),
+      theme: form.elements.theme.checked ? 'grayscale' : 'color',
+      links: form.elements.links.value,
+    };
+    dialog.close();
+    updateDownloadLinks(activeLang); // the link itself now carries them too
+    window.location.assign(pdfHref(pdfDialogOptions, activeLang));
+  });
+
+  document.body.appendChild(dialog);
+  return dialog;
+}
+
+/** The bullet limit only applies to the compact layout */
+function syncBulletsField(form) {
+  form.elements.bullets.disabled = !form.elements.density.checked;
+}
+
+function fillPdfForm(form, options) {
+  form.elements.paper.value = options.paper;
+  form.elements.margin.value = options.margin;
+  form.elements.density.checked = options.density === 'compact';
+  form.elements.bullets.value = options.bullets;
+  form.elements.theme.checked = options.theme === 'grayscale';
+  form.elements.links.value = options.links;
+  syncBulletsField(form);
+}
+
+function openPdfDialog(link) {
+  let dialog = document.querySelector('.cv-pdf-dialog');
+  if (dialog && dialog.dataset.lang !== activeLang) {
+    dialog.remove();
+    dialog = null;
+  }
+  if (!dialog) {
+    dialog = buildPdfDialog(activeLang);
+    dialog.addEventListener('close', () => link.focus());
+  }
+  fillPdfForm(dialog.querySelector('form'), pdfDialogOptions);
+  dialog.showModal();
+}
+
+function initPdfDialog() {
+  const link = document.querySelector('.cv-topbar__download[data-format="pdf"]');
+  if (!link || typeof HTMLDialogElement !== 'function' || !('showModal' in HTMLDialogElement.prototype)) return;
+
+  link.setAttribute('aria-haspopup', 'dialog');
+  link.addEventListener('click', (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    openPdfDialog(link);
+  });
 }
 
 /* ── Full render ───────────────────────────────────────────── */
 
 let cvData = null;
 let activeLang = 'de';
-
-function renderAll(data, lang) {
+let activeProfile = null;
+let activeAnonymous = false;
+let activePrintOptions = { ...PRINT_DEFAULTS };
+
+function renderAll(fullData, lang) {
+  let data = applyProfile(fullData, activeProfile);
+  if (activeAnonymous) data = anonymizeCv(data, lang);
+  if (activePrintOptions.density === 'compact') data = compactCv(data, activePrintOptions.bullets);
+  linkedProjects = activeAnonymous || !portfolioData ? [] : (portfolioData.projects || []);
+  renderHeader(data.meta, lang);
   renderContact(data.meta);
   renderSummary(data, lang);
   renderExperience(data, lang);
@@ -407,17 +747,25 @@ function renderAll(data, lang) {
   renderLanguages(data, lang);
   renderCertifications(data, lang);
   renderProjects(data, lang);
-  updateSectionHeadings(lang);
+  ['cv-experience', 'cv-education', 'cv-skills', 'cv-certs', 'cv-projects'].forEach(toggleEmptySection);
+  updateSectionHeadings(data.meta, lang);
 }
 
 /* ── Language toggle handler ───────────────────────────────── */
 
 function setLang(lang) {
   if (!SUPPORTED_LANGS.includes(lang)) return;
-  activeLang = lang;
 
-  // Persist
-  localStorage.setItem(STORAGE_KEY, lang);
+  storeLang(lang);
+
+  // Language-prefixed URL (/de/cv/): the other language is its own page
+  const pathLang = langFromPath();
+  if (pathLang) {
+    if (pathLang !== lang) window.location.assign(localizedUrl(lang));
+    return;
+  }
+
+  activeLang = lang;
 
   // Update html[lang]
   document.documentElement.lang = lang;
@@ -435,10 +783,12 @@ function setLang(lang) {
   });
 
   // Re-render content
-  if (cvData) {
-    renderAll(cvData, lang);
-    document.dispatchEvent(new CustomEvent('cv-rendered'));
-  }
+  Promise.all([loadCvData(), loadPortfolioData()])
+    .then(([data]) => {
+      renderAll(data, lang);
+      document.dispatchEvent(new CustomEvent('cv-rendered'));
+    })
+    .catch(showLoadError);
 
   // Fire event for animations.js
   const toggle = document.querySelector('.cv-lang-toggle');
@@ -451,10 +801,39 @@ function initLangToggle() {
   });
 }
 
+/* ── Live reload (dev server) ─────────────────────────────── */
+
+/**
+ * The dev server's live reload snippet announces edits to data/cv.json.
+ * Re-render in place so scroll position and language survive;
+ * preventDefault() tells the snippet the page doesn't need a reload.
+ */
+function initLiveData() {
+  document.addEventListener('data-changed', (e) => {
+    if (e.detail.file !== '/data/cv.json') return;
+    e.preventDefault();
+
+    cvData = null;
+    loadCvData()
+      .then(data => {
+        const scrollY = window.scrollY;
+        renderAll(data, activeLang);
+        window.scrollTo(0, scrollY);
+        document.dispatchEvent(new CustomEvent('cv-rendered'));
+      })
+      .catch(showLoadError);
+  });
+}
+
 /* ── Bootstrap ─────────────────────────────────────────────── */
 
 async function init() {
   activeLang = resolveInitialLang();
+  activeProfile = profileFromQuery();
+  activeAnonymous = anonymousFromQuery();
+  activePrintOptions = printOptionsFromQuery();
+  pdfDialogOptions = { ...activePrintOptions };
+  applyPrintOptions(activePrintOptions);
 
   // Set initial lang attribute before render
   document.documentElement.lang = activeLang;
@@ -465,25 +844,62 @@ async function init() {
   });
 
   initLangToggle();
+  initLiveData();
+  initPdfDialog();
+
+  // Pre-rendered page (npm run build) in the language we want: the markup
+  // is already complete, so only reset what animations.js drives. It shows
+  // the full CV, so a ?profile=, ?anonymous=1 or compact layout always
+  // renders from the JSON.
+  const fullCv = !activeProfile && !activeAnonymous && activePrintOptions.density !== 'compact';
+  if (document.documentElement.dataset.prerendered === activeLang && fullCv) {
+    adoptPrerendered();
+    return;
+  }
 
   try {
-    const response = await fetch('/data/cv.json');
-    if (!response.ok) throw new Error(`Failed to load CV data: ${response.status}`);
-    cvData = await response.json();
-    renderAll(cvData, activeLang);
+    const [data] = await Promise.all([loadCvData(), loadImageManifest(), loadPortfolioData()]);
+    if (activeProfile && !hasProfile(data, activeProfile)) {
+      console.warn(`[cv.js] Unknown profile "${activeProfile}" — showing the full CV`);
+      activeProfile = null;
+    }
+    renderAll(data, activeLang);
     document.dispatchEvent(new CustomEvent('cv-rendered'));
   } catch (err) {
-    console.error('[cv.js]', err);
-    // Show a graceful fallback message
-    const main = document.getElementById('main');
-    if (main) {
-      const errMsg = document.createElement('p');
-      errMsg.textContent = activeLang === 'de'
-        ? 'CV-Daten konnten nicht geladen werden. Bitte Seite neu laden.'
-        : 'Could not load CV data. Please reload the page.';
-      errMsg.style.cssText = 'padding:2rem;color:var(--color-text-secondary)';
-      main.prepend(errMsg);
-    }
+    showLoadError(err);
+  }
+}
+
+/** Fetch /data/cv.json once; pre-rendered pages only need it on language switch */
+async function loadCvData() {
+  if (cvData) return cvData;
+  const response = await fetch('/data/cv.json');
+  if (!response.ok) throw new Error(`Failed to load CV data: ${response.status}`);
+  cvData = await response.json();
+  return cvData;
+}
+
+/** Take over server-rendered markup instead of rendering it again */
+function adoptPrerendered() {
+  document.querySelectorAll('.cv-skill__bar-fill, .cv-lang__bar-fill').forEach(bar => {
+    bar.style.setProperty('--bar-fill', 0); // animated to level by animations.js
+  });
+  updateDownloadLinks(activeLang); // the PDF link carries this page's print options
+  adoptPlaceholders();
+  document.dispatchEvent(new CustomEvent('cv-rendered'));
+}
+
+function showLoadError(err) {
+  console.error('[cv.js]', err);
+  // Show a graceful fallback message
+  const main = document.getElementById('main');
+  if (main) {
+    const errMsg = document.createElement('p');
+    errMsg.textContent = activeLang === 'de'
+      ? 'CV-Daten konnten nicht geladen werden. Bitte Seite neu laden.'
+      : 'Could not load CV data. Please reload the page.';
+    errMsg.style.cssText = 'padding:2rem;color:var(--color-text-secondary)';
+    main.prepend(errMsg);
   }
 }
 
@@ -0,0 +1,565 @@
+/**
+ * palette.js — Site-wide search and command palette (Cmd/Ctrl+K)
+ *
+ * Loaded on every page next to the page's own script. On first open it
+ * fetches /data/portfolio.json and /data/cv.json and indexes, in the
+ * active language (<html lang>, set by card.js / cv.js / portfolio.js):
+ *
+ *   - site pages and case studies (title, teaser, tags)
+ *   - case study blocks → /portfolio/[slug]/#section-N
+ *     and block headings
+ *   - CV experiences    → /cv/#experience-[id]
+ *   - CV skills         → /cv/#cv-section-skills
+ *   - commands: language switch, PDF downloads
+ *
+ * On the CV page the CV is indexed as the page shows it: with its
+ * ?profile= (js/cv-profile.js) and, with ?anonymous=1, anonymized
+ * (js/cv-anonymous.js) — then without the card page and the portfolio,
+ * which name the candidate.
+ *
+ * Results are ranked (title over context over body text, word starts over
+ * substrings), ignore case and accents, and highlight the matched words.
+ * The dialog follows the ARIA combobox pattern: focus stays in the input,
+ * ↑/↓ move the active option, Enter opens it, Esc closes.
+ */
+
+const LABELS = {
+  dialog:      { de: 'Suche',                          en: 'Search' },
+  placeholder: { de: 'Projekte, Lebenslauf, Befehle …', en: 'Projects, CV, commands …' },
+  results:     { de: 'Ergebnisse',                     en: 'Results' },
+  none:        { de: 'Keine Treffer',                  en: 'No results' },
+  count:       { de: n => `${n} ${n === 1 ? 'Ergebnis' : 'Ergebnisse'}`, en: n => `${n} ${n === 1 ? 'result' : 'results'}` },
+  hint:        { de: '↑↓ auswählen · ↵ öffnen · Esc schließen', en: '↑↓ select · ↵ open · Esc close' },
+};
+
+const KIND_LABELS = {
+  command:    { de: 'Befehl',     en: 'Command' },
+  page:       { de: 'Seite',      en: 'Page' },
+  project:    { de: 'Projekt',    en: 'Project' },
+  section:    { de: 'Fallstudie', en: 'Case study' },
+  experience: { de: 'Lebenslauf', en: 'CV' },
+  skill:      { de: 'Kenntnisse', en: 'Skills' },
+};
+
+const BLOCK_LABELS = {
+  stat_bar:                   { de: 'Kennzahlen',                         en: 'Key figures' },
+  text:                       { de: 'Text',                               en: 'Text' },
+  insight:                    { de: 'Erkenntnis',                         en: 'Insight' },
+  challenge_approach_outcome: { de: 'Herausforderung · Vorgehen · Ergebnis', en: 'Challenge · Approach · Outcome' },
+};
+
+const MAX_RESULTS = 20;
+
+/* ── Helpers ─────────────────────────────────────────────────── */
+
+// Localized fields, links and elements — js/site.js
+const { t, pageHref, el } = window.Site;
+
+// plain(): text of a JSON string that may contain content markup (README →
+// "Rich text"); foldText(): lowercase without diacritics
+const { plainText: plain, foldText } = window.RichText;
+
+function activeLang() {
+  return document.documentElement.lang === 'en' ? 'en' : 'de';
+}
+
+/* ── Folding & matching ──────────────────────────────────────── */
+
+/**
+ * Lowercase `text` without diacritics, plus the index in `text` each
+ * folded character came from — so matches found in the folded string
+ * can be highlighted in the original.
+ */
+function fold(text) {
+  let folded = '';
+  const map = [];
+  for (let i = 0; i < text.length; i++) {
+    const chars = foldText(text[i]);
+    for (const c of chars) {
+      folded += c;
+      map.push(i);
+    }
+  }
+  map.push(text.length);
+  return { folded, map };
+}
+
+function queryWords(query) {
+  return fold(query).folded.split(/\s+/).filter(Boolean);
+}
+
+/** Match ranges [start, end) of the words in the original text, merged where they touch */
+function findMatches(text, words) {
+  const { folded, map } = fold(text);
+  const ranges = [];
+  words.forEach(word => {
+    let from = folded.indexOf(word);
+    while (from !== -1) {
+      ranges.push([map[from], map[from + word.length]]);
+      from = folded.indexOf(word, from + word.length);
+    }
+  });
+  return ranges
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+      else merged.push(range);
+      return merged;
+    }, []);
+}
+
+/** Score of one field for one word: word start > substring > none */
+function fieldScore(folded, word, weight) {
+  const at = folded.indexOf(word);
+  if (at === -1) return 0;
+  const wordStart = at === 0 || /[^\p{L}\p{N}]/u.test(folded[at - 1]);
+  return weight * (wordStart ? 2 : 1);
+}
+
+/** Entries matching every word, best first; no words = the default list */
+function search(index, query) {
+  const words = queryWords(query);
+  if (!words.length) return index.filter(entry => entry.kind === 'command' || entry.kind === 'page');
+
+  return index
+    .map((entry, order) => {
+      let score = 0;
+      for (const word of words) {
+        const wordScore = fieldScore(entry.folded.title, word, 5)
+          || fieldScore(entry.folded.context, word, 2)
+          || fieldScore(entry.folded.text, word, 1);
+        if (!wordScore) return null;
+        score += wordScore;
+      }
+      return { entry, score, order };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || a.order - b.order)
+    .slice(0, MAX_RESULTS)
+    .map(result => result.entry);
+}
+
+/* ── Index ───────────────────────────────────────────────────── */
+
+function entry(kind, fields) {
+  const title = plain(fields.title);
+  const context = plain(fields.context);
+  const text = plain(fields.text);
+  return {
+    kind, title, context, text,
+    href: fields.href,
+    run: fields.run,
+    folded: { title: fold(title).folded, context: fold(context).folded, text: fold(text).folded },
+  };
+}
+
+/** Palette entries (title, searchable text) of a case study block */
+function blockEntries(block, lang) {
+  const items = (list, keys) => (list || []).map(item => ({
+    title: t(item.title, lang),
+    text: keys.map(key => t(item[key], lang)).join(' '),
+  }));
+
+  switch (block.type) {
+    case 'timeline':      return items(block.phases, ['description']);
+    case 'method_grid':   return items(block.methods, ['description']);
+    case 'key_takeaways': return items(block.takeaways, ['description']);
+    case 'stat_bar':
+      return [{ text: (block.stats || []).map(stat => `${t(stat.value, lang)} ${t(stat.label, lang)}`).join(' · ') }];
+    case 'text':
+    case 'insight':
+      return [{ text: t(block.content, lang) }];
+    case 'challenge_approach_outcome':
+      return [{ text: ['challenge', 'approach', 'outcome'].map(key => t(block[key], lang)).join(' ') }];
+    case 'image':
+      return [{ title: t(block.caption, lang), text: t(block.alt, lang) }];
+    case 'gallery':
+    case 'visual_slots':
+      return (block.images || block.slots || []).map(image => ({ title: t(image.caption, lang), text: t(image.alt, lang) }));
+    case 'chart':
+      return [{
+        title: t(block.title, lang),
+        text: [t(block.caption, lang), ...(block.categories || []).map(category => t(category, lang)),
+          ...(block.series || []).map(series => t(series.label, lang))].join(' '),
+      }];
+    case 'before_after':
+      return [{ title: t(block.caption, lang), text: [block.before, block.after].map(image => t(image.alt, lang)).join(' ') }];
+    case 'video':
+      return [{ title: t(block.title, lang), text: t(block.caption, lang) }];
+    case 'embed':
+      return [{ title: t(block.title, lang), text: [t(block.caption, lang), block.provider].join(' ') }];
+    default:
+      return [];
+  }
+}
+
+function indexPortfolio(data, lang) {
+  const entries = [];
+  (data.projects || []).forEach(project => {
+    const title = t(project.title, lang);
+    const href = pageHref(`/portfolio/${project.slug}/`, lang);
+
+    entries.push(entry('project', {
+      title,
+      context: [t(project.client, lang), t(project.year, lang)].filter(Boolean).join(' · '),
+      text: [t(project.teaser, lang), t(project.role, lang), (project.tags || []).join(' ')].join(' '),
+      href,
+    }));
+
+    // #section-N: the block anchors set by portfolio.js (buildCaseStudyBody)
+    (project.sections || []).forEach((block, i) => {
+      const heading = t(block.heading, lang);
+      if (heading) {
+        entries.push(entry('section', { title: heading, context: title, href: `${href}#section-${i + 1}` }));
+      }
+      blockEntries(block, lang).forEach(item => {
+        entries.push(entry('section', {
+          title: item.title || title,
+          context: item.title ? title : heading || t(BLOCK_LABELS[block.type], lang),
+          text: item.text,
+          href: `${href}#section-${i + 1}`,
+        }));
+      });
+    });
+  });
+  return entries;
+}
+
+function indexCv(data, lang, cvHref = pageHref('/cv/', lang)) {
+  const entries = [];
+
+  (data.experience || []).forEach(job => {
+    const roles = job.roles || [];
+    const bullets = [job.description, ...roles.map(role => role.description)]
+      .flatMap(list => t(list, lang) || []);
+    entries.push(entry('experience', {
+      title: job.company,
+      context: roles.map(role => t(role.title, lang)).join(' · '),
+      text: [...bullets, ...(job.tags || [])].join(' '),
+      href: `${cvHref}#experience-${job.id}`,
+    }));
+  });
+
+  const skills = data.skills || {};
+  [...(skills.specialized || []), ...(skills.tools || [])].forEach(skill => {
+    entries.push(entry('skill', { title: t(skill.name, lang), href: `${cvHref}#cv-section-skills` }));
+  });
+  (t(skills.misc, lang) || []).forEach(name => {
+    entries.push(entry('skill', { title: name, href: `${cvHref}#cv-section-skills` }));
+  });
+
+  return entries;
+}
+
+function indexPages(lang) {
+  const de = lang === 'de';
+  return [
+    { title: de ? 'Startseite' : 'Home', href: pageHref('/', lang) },
+    { title: de ? 'Lebenslauf' : 'CV', text: 'Curriculum Vitae Resume', href: pageHref('/cv/', lang) },
+    { title: 'Portfolio', text: de ? 'Projekte' : 'Projects', href: pageHref('/portfolio/', lang) },
+    { title: 'Impressum', text: 'Legal notice', href: '/impressum.html' },
+    { title: 'Datenschutz', text: 'Privacy policy', href: '/datenschutz.html' },
+  ].map(page => entry('page', page));
+}
+
+/** Commands that apply to the current page */
+function indexCommands(lang, anonymous) {
+  const de = lang === 'de';
+  const commands = [];
+
+  // Language: the page's own DE|EN toggle knows how to switch
+  const other = de ? 'en' : 'de';
+  const toggle = document.querySelector(`button[data-lang="${other}"]`);
+  if (toggle) {
+    commands.push({
+      title: de ? 'Switch to English' : 'Auf Deutsch wechseln',
+      text: de ? 'Sprache Language English' : 'Language Sprache Deutsch German',
+      run: () => toggle.click(),
+    });
+  }
+
+  // On the CV page its own download link carries profile, anonymous mode and print options
+  const cvPdf = document.querySelector('.cv-topbar__download[data-format="pdf"]');
+  commands.push({
+    title: de ? 'Lebenslauf als PDF herunterladen' : 'Download CV as PDF',
+    text: 'PDF export',
+    href: cvPdf ? cvPdf.getAttribute('href') : `/export/cv.pdf?lang=${lang}`,
+  });
+
+  const detail = document.getElementById('portfolio-detail');
+  if (detail && detail.dataset.slug) {
+    commands.push({
+      title: de ? 'Diese Fallstudie als PDF herunterladen' : 'Download this case study as PDF',
+      text: 'PDF export',
+      href: `/export/portfolio/${detail.dataset.slug}.pdf?lang=${lang}`,
+    });
+  }
+
+  // The dossier names the candidate
+  if (!anonymous) {
+    commands.push({
+      title: de ? 'Portfolio-Dossier als PDF herunterladen' : 'Download portfolio dossier as PDF',
+      text: 'PDF export',
+      href: `/export/portfolio.pdf?lang=${lang}`,
+    });
+  }
+
+  return commands.map(command => entry('command', command));
+}
+
+let dataCache = null;
+
+/** Fetch both data files once; a file that fails to load is left out */
+async function loadData() {
+  if (dataCache) return dataCache;
+  const get = url => fetch(url).then(res => (res.ok ? res.json() : null)).catch(() => null);
+  const [portfolio, cv] = await Promise.all([get('/data/portfolio.json'), get('/data/cv.json')]);
+  dataCache = { portfolio, cv };
+  return dataCache;
+}
+
+/**
+ * The CV page's view of cv.json: its ?profile= and ?anonymous=1 applied —
+ * null on other pages, which don't load the shared CV modules
+ */
+function cvPageView(cv, lang) {
+  if (!window.CvProfile || !window.CvAnonymous) return null;
+  const params = new URLSearchParams(window.location.search);
+  const anonymous = window.CvAnonymous.isAnonymousQuery(params);
+  const data = window.CvProfile.applyProfile(cv, params.get('profile'));
+  return { anonymous, data: anonymous ? window.CvAnonymous.anonymizeCv(data, lang) : data };
+}
+
+async function buildIndex(lang) {
+  const { portfolio, cv } = await loadData();
+  const view = cv && cvPageView(cv, lang);
+  // On the CV page the links stay on the page, so they keep its query
+  const cvEntries = view
+    ? indexCv(view.data, lang, window.location.pathname + window.location.search)
+    : cv ? indexCv(cv, lang) : [];
+
+  if (view && view.anonymous) return [...indexCommands(lang, true), ...cvEntries];
+  return [
+    ...indexCommands(lang),
+    ...indexPages(lang),
+    ...(portfolio ? indexPortfolio(portfolio, lang) : []),
+    ...cvEntries,
+  ];
+}
+
+/* ── Dialog ──────────────────────────────────────────────────── */
+
+let dialog = null;
+let index = [];
+let results = [];
+let activeIndex = 0;
+
+/** `text` with the matched words wrapped in <mark> */
+function highlight(text, words) {
+  const fragment = document.createDocumentFragment();
+  let pos = 0;
+  findMatches(text, words).forEach(([start, end]) => {
+    fragment.append(text.slice(pos, start), el('mark', 'palette__mark'));
+    fragment.lastChild.textContent = text.slice(start, end);
+    pos = end;
+  });
+  fragment.append(text.slice(pos));
+  return fragment;
+}
+
+/** About 140 characters of `text` around its first match */
+function snippet(text, words) {
+  const [first] = findMatches(text, words);
+  if (!first) return text.length > 140 ? `${text.slice(0, 140)} …` : text;
+  const start = Math.max(0, first[0] - 50);
+  const end = Math.min(text.length, start + 140);
+  return `${start > 0 ? '… ' : ''}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+}
+
+function buildDialog(lang) {
+  const node = el('dialog', 'palette');
+  node.setAttribute('aria-label', t(LABELS.dialog, lang));
+
+  const input = el('input', 'palette__input');
+  input.type = 'search';
+  input.placeholder = t(LABELS.placeholder, lang);
+  input.autocomplete = 'off';
+  input.spellcheck = false;
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-label', t(LABELS.dialog, lang));
+  input.setAttribute('aria-expanded', 'true');
+  input.setAttribute('aria-controls', 'palette-results');
+  input.setAttribute('aria-autocomplete', 'list');
+  node.appendChild(input);
+
+  const list = el('ul', 'palette__results');
+  list.id = 'palette-results';
+  list.setAttribute('role', 'listbox');
+  list.setAttribute('aria-label', t(LABELS.results, lang));
+  node.appendChild(list);
+
+  const footer = el('div', 'palette__footer');
+  const status = el('p', 'palette__status');
+  status.setAttribute('role', 'status');
+  footer.appendChild(status);
+  const hint = el('p', 'palette__hint', t(LABELS.hint, lang));
+  hint.setAttribute('aria-hidden', 'true');
+  footer.appendChild(hint);
+  node.appendChild(footer);
+
+  input.addEventListener('input', () => update(input.value));
+  input.addEventListener('keydown', onKeydown);
+  list.addEventListener('click', (e) => {
+    const option = e.target.closest('.palette__option');
+    if (option) activate(Number(option.dataset.index));
+  });
+  // Hovering moves the active option, like the arrow keys
+  list.addEventListener('mousemove', (e) => {
+    const option = e.target.closest('.palette__option');
+    if (option && Number(option.dataset.index) !== activeIndex) setActive(Number(option.dataset.index));
+  });
+  // Click on the backdrop closes
+  node.addEventListener('click', (e) => {
+    if (e.target === node) node.close();
+  });
+
+  document.body.appendChild(node);
+  return node;
+}
+
+function renderResults(query) {
+  const lang = dialog.dataset.lang;
+  const words = queryWords(query);
+  const list = dialog.querySelector('.palette__results');
+  list.innerHTML = '';
+
+  results.forEach((result, i) => {
+    const option = el('li', 'palette__option');
+    option.id = `palette-option-${i}`;
+    option.dataset.index = i;
+    option.setAttribute('role', 'option');
+
+    const head = el('span', 'palette__option-head');
+    head.appendChild(el('span', 'palette__kind', t(KIND_LABELS[result.kind], lang)));
+    const title = el('span', 'palette__title');
+    title.appendChild(highlight(result.title, words));
+    head.appendChild(title);
+    option.appendChild(head);
+
+    if (result.context) {
+      const context = el('span', 'palette__context');
+      context.appendChild(highlight(result.context, words));
+      option.appendChild(context);
+    }
+    // Body text only when it explains why the entry matched
+    if (words.length && result.text && findMatches(result.text, words).length) {
+      const text = el('span', 'palette__snippet');
+      text.appendChild(highlight(snippet(result.text, words), words));
+      option.appendChild(text);
+    }
+    list.appendChild(option);
+  });
+
+  const status = dialog.querySelector('.palette__status');
+  status.textContent = results.length ? t(LABELS.count, lang)(results.length) : t(LABELS.none, lang);
+  setActive(0);
+}
+
+function update(query) {
+  results = search(index, query);
+  renderResults(query);
+}
+
+function setActive(i) {
+  const input = dialog.querySelector('.palette__input');
+  const options = dialog.querySelectorAll('.palette__option');
+  activeIndex = Math.max(0, Math.min(i, options.length - 1));
+  options.forEach((option, n) => option.setAttribute('aria-selected', String(n === activeIndex)));
+
+  const active = options[activeIndex];
+  if (active) {
+    input.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+  } else {
+    input.removeAttribute('aria-activedescendant');
+  }
+}
+
+function activate(i) {
+  const result = results[i];
+  if (!result) return;
+  dialog.close();
+  if (result.run) result.run();
+  else window.location.assign(result.href);
+}
+
+function onKeydown(e) {
+  switch (e.key) {
+    case 'ArrowDown': e.preventDefault(); setActive(activeIndex + 1); break;
+    case 'ArrowUp':   e.preventDefault(); setActive(activeIndex - 1); break;
+    case 'Enter':     e.preventDefault(); activate(activeIndex); break;
+    default: break;
+  }
+}
+
+async function openPalette() {
+  const lang = activeLang();
+  // Rebuilt per language: the page may have switched in place
+  if (!dialog || dialog.dataset.lang !== lang) {
+    if (dialog) dialog.remove();
+    dialog = buildDialog(lang);
+    dialog.dataset.lang = lang;
+    index = [];
+  }
+  if (dialog.open) return;
+
+  const input = dialog.querySelector('.palette__input');
+  input.value = '';
+  dialog.showModal();
+  update('');
+
+  index = await buildIndex(lang);
+  update(input.value);
+}
+
+/* ── Deep links ──────────────────────────────────────────────── */
+/* cv.js and portfolio.js render after load, so the browser finds  */
+/* no #experience-… or #section-… target to scroll to. Scroll once */
+/* the page has rendered.                                          */
+
+function scrollToHash() {
+  const id = decodeURIComponent(window.location.hash.slice(1));
+  const target = id && document.getElementById(id);
+  if (target) target.scrollIntoView();
+}
+
+/* ── Init ────────────────────────────────────────────────────── */
+
+function init() {
+  if (typeof HTMLDialogElement !== 'function') return;
+
+  document.addEventListener('keydown', (e) => {
+    if ((e.metaKey || e.ctrlKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+      e.preventDefault();
+      if (dialog && dialog.open) dialog.close();
+      else openPalette();
+    }
+  });
+
+  // Live reload (dev server): index the edited data on next open
+  document.addEventListener('data-changed', () => {
+    dataCache = null;
+    if (dialog) dialog.dataset.lang = '';
+  });
+
+  ['cv-rendered', 'portfolio-rendered'].forEach(type => {
+    document.addEventListener(type, scrollToHash, { once: true });
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', init);
+} else {
+  init();
+}
@@ -0,0 +1,138 @@
+/**
+ * pdf-options.js — Layout options of the CV PDF
+ *
+ * Query parameters of /export/cv.pdf (and of the CV page, which the PDF is
+ * printed from):
+ *
+ *   paper=a4|letter          Paper size                        (a4)
+ *   margin=5…30              Page margins in mm                (15)
+ *   density=normal|compact   Compact: tighter layout for a one-page CV,
+ *                            at most `bullets` points per list (normal)
+ *   bullets=1…10             Bullet limit of the compact layout (2)
+ *   theme=color|grayscale    Grayscale: ink-saving, no tinted areas (color)
+ *   links=clickable|printed  Printed: URLs written out after their link
+ *                            text, for CVs that end up on paper (clickable)
+ *
+ * The page applies them as print CSS variants (css/cv.css) and an @page
+ * rule; the server adds paper size and margins to page.pdf(). The bottom
+ * margin never drops below FOOTER_MARGIN, the room the PDF footer (page
+ * numbers) needs.
+ *
+ * One file for both sides: the CV page loads it as a classic script before
+ * cv.js (global `PdfOptions`), the server require()s it.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.PdfOptions = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULTS = {
+    paper: 'a4',
+    margin: 15,
+    density: 'normal',
+    bullets: 2,
+    theme: 'color',
+    links: 'clickable',
+  };
+
+  const CHOICES = {
+    paper:   ['a4', 'letter'],
+    density: ['normal', 'compact'],
+    theme:   ['color', 'grayscale'],
+    links:   ['clickable', 'printed'],
+  };
+
+  const RANGES = {
+    margin:  [5, 30],
+    bullets: [1, 10],
+  };
+
+  const FOOTER_MARGIN = 12; // mm
+
+  /** page.pdf() format per paper value */
+  const PAPER_FORMATS = { a4: 'A4', letter: 'Letter' };
+
+  /** The option `key` from the query; undefined when missing or invalid */
+  function readOption(params, key) {
+    const value = params.get(key);
+    if (CHOICES[key]) return CHOICES[key].includes(value) ? value : undefined;
+    const [min, max] = RANGES[key];
+    return /^\d+$/.test(value) && Number(value) >= min && Number(value) <= max ? Number(value) : undefined;
+  }
+
+  /**
+   * Read the options from a URL's query.
+   *
+   * @param {URLSearchParams} params
+   * @returns {{ options: object } | { error: string }} Options with defaults
+   *          filled in, or a message naming the first invalid parameter
+   */
+  function parsePdfOptions(params) {
+    const options = { ...DEFAULTS };
+
+    for (const key of Object.keys(DEFAULTS)) {
+      if (!params.has(key)) continue;
+      const value = readOption(params, key);
+      if (value !== undefined) {
+        options[key] = value;
+      } else if (CHOICES[key]) {
+        return { error: `Invalid ${key}: use ${CHOICES[key].join(' or ')}` };
+      } else {
+        return { error: `Invalid ${key}: use a whole number from ${RANGES[key][0]} to ${RANGES[key][1]}` };
+      }
+    }
+
+    return { options };
+  }
+
+  /** Like parsePdfOptions(), but invalid values fall back to the defaults (the page) */
+  function readPdfOptions(params) {
+    const options = { ...DEFAULTS };
+    Object.keys(DEFAULTS).forEach(key => {
+      const value = readOption(params, key);
+      if (value !== undefined) options[key] = value;
+    });
+    return options;
+  }
+
+  /** The options that differ from the defaults, as [key, value] pairs */
+  function changedOptions(options) {
+    return Object.keys(DEFAULTS)
+      .filter(key => options[key] !== DEFAULTS[key])
+      // The bullet limit only matters in the compact layout
+      .filter(key => key !== 'bullets' || options.density === 'compact')
+      .map(key => [key, String(options[key])]);
+  }
+
+  /**
+   * Cache variant part, e.g. "paper=letter~margin=10~density=compact~bullets=3"
+   * — '' for the defaults. Written as key=value pairs, so an option can't
+   * be mistaken for a profile name in the same key (server/export.js).
+   */
+  function pdfOptionsVariant(options) {
+    return changedOptions(options)
+      .map(([key, value]) => `${key}=${value}`)
+      .join('~');
+  }
+
+  /** page.pdf() settings for the options */
+  function pdfPageSettings(options) {
+    const margin = `${options.margin}mm`;
+    return {
+      format: PAPER_FORMATS[options.paper],
+      margin: { top: margin, right: margin, bottom: `${Math.max(options.margin, FOOTER_MARGIN)}mm`, left: margin },
+    };
+  }
+
+  return {
+    DEFAULTS,
+    RANGES,
+    readPdfOptions,
+    parsePdfOptions,
+    changedOptions,
+    pdfOptionsVariant,
+    pdfPageSettings,
+  };
+}));
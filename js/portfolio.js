@@ -1,48 +1,54 @@
 /**
  * portfolio.js — Portfolio render engine
  *
- * Serves both the overview page (portfolio.html) and individual
- * case study pages (portfolio/[slug]/index.html).
+ * Serves the overview page (portfolio.html), individual case study
+ * pages (portfolio/[slug]/index.html) and the print dossier
+ * (portfolio/dossier/index.html) used for the combined PDF export.
  *
- * Page detection: looks for #portfolio-overview or #portfolio-detail in the DOM.
- * Content is fetched from /data/portfolio.json and rendered entirely by JS.
- * Language toggle reuses the same localStorage key ('cv-lang') as cv.js for
- * site-wide language persistence.
+ * Page detection: looks for #portfolio-overview, #portfolio-detail or
+ * #portfolio-dossier in the DOM.
+ * Content is fetched from /data/portfolio.json and rendered entirely by JS,
+ * unless the page was pre-rendered by `npm run build` — then the existing
+ * markup is taken over and the JSON is only fetched on language switch.
+ * Language comes from the /de/ or /en/ URL prefix; the toggle navigates to
+ * the other language's URL. It reuses the same localStorage key ('cv-lang')
+ * and cookie as cv.js for site-wide language persistence.
+ * The overview's filter bar (tags, status, search, sort) works on the
+ * rendered cards and keeps its state in the URL query.
  */
 
 /* ── i18n & language ─────────────────────────────────────────── */
 
-const SUPPORTED_LANGS = ['de', 'en'];
-const STORAGE_KEY = 'cv-lang'; // shared with cv.js for site-wide persistence
+// Language, localized fields, links and elements — js/site.js
+const {
+  SUPPORTED_LANGS,
+  SITE_LABELS,
+  t,
+  langFromPath,
+  resolveInitialLang,
+  storeLang,
+  localizedUrl,
+  pageHref,
+  applySiteLabels,
+  el,
+} = window.Site;
 
 let activeLang = 'de';
 let portfolioData = null;
 
-function resolveInitialLang() {
-  const params = new URLSearchParams(window.location.search);
-  const qLang = params.get('lang');
-  if (qLang && SUPPORTED_LANGS.includes(qLang)) return qLang;
-
-  const stored = localStorage.getItem(STORAGE_KEY);
-  if (stored && SUPPORTED_LANGS.includes(stored)) return stored;
+/* ── Rich text (content markup) ──────────────────────────────── */
 
-  const browser = (navigator.language || '').toLowerCase().slice(0, 2);
-  return SUPPORTED_LANGS.includes(browser) ? browser : 'de';
-}
+// Markup of long-form fields (README → "Rich text") — js/rich-text.js
+const { appendInline, appendBlocks, foldText, tagKey, slugify } = window.RichText;
 
-function t(field, lang) {
-  if (!field) return '';
-  if (typeof field === 'string') return field;
-  return field[lang] || field['de'] || '';
+/** Element with marked-up inline content (bullets, descriptions, pull quotes) */
+function inlineEl(tag, className, text) {
+  return appendInline(el(tag, `${className} rich-text`), text);
 }
 
-/* ── DOM helper ──────────────────────────────────────────────── */
-
-function el(tag, className, html) {
-  const node = document.createElement(tag);
-  if (className) node.className = className;
-  if (html !== undefined) node.innerHTML = html;
-  return node;
+/** Element with marked-up paragraphs and bullet lists (summaries, text blocks) */
+function blocksEl(tag, className, text) {
+  return appendBlocks(el(tag, `${className} rich-text`), text);
 }
 
 /* ── Method icons ────────────────────────────────────────────── */
@@ -177,8 +183,7 @@ function renderStatBar(block) {
 }
 
 function renderText(block) {
-  const p = el('p', 'cs-text', t(block.content, activeLang));
-  return p;
+  return blocksEl('div', 'cs-text', t(block.content, activeLang));
 }
 
 function renderTimeline(block) {
@@ -208,7 +213,7 @@ function renderTimeline(block) {
     }
 
     entry.appendChild(el('h3', 'cs-timeline__phase-title', t(phase.title, activeLang)));
-    entry.appendChild(el('p', 'cs-timeline__phase-desc', t(phase.description, activeLang)));
+    entry.appendChild(inlineEl('p', 'cs-timeline__phase-desc', t(phase.description, activeLang)));
 
     timeline.appendChild(entry);
   });
@@ -235,7 +240,7 @@ function renderMethodGrid(block) {
     card.appendChild(iconWrap);
 
     card.appendChild(el('h3', 'cs-method__title', t(method.title, activeLang)));
-    card.appendChild(el('p', 'cs-method__desc', t(method.description, activeLang)));
+    card.appendChild(inlineEl('p', 'cs-method__desc', t(method.description, activeLang)));
 
     grid.appendChild(card);
   });
@@ -248,7 +253,7 @@ function renderMethodGrid(block) {
 
 function renderInsight(block) {
   const wrap = el('aside', 'cs-insight');
-  wrap.appendChild(el('p', 'cs-insight__text', t(block.content, activeLang)));
+  wrap.appendChild(inlineEl('p', 'cs-insight__text', t(block.content, activeLang)));
   return wrap;
 }
 
@@ -265,7 +270,7 @@ function renderChallengeApproachOutcome(block) {
     if (!block[key]) return;
     const item = el('div', 'cs-outcome__item');
     item.appendChild(el('p', 'cs-outcome__label', LABELS[key][activeLang]));
-    item.appendChild(el('p', 'cs-outcome__text', t(block[key], activeLang)));
+    item.appendChild(blocksEl('div', 'cs-outcome__text', t(block[key], activeLang)));
     wrap.appendChild(item);
   });
 
@@ -287,6 +292,98 @@ function renderDisclaimer() {
   return wrap;
 }
 
+/* ── Responsive images ──────────────────────────────────────── */
+
+// <picture>s from the image manifest (server/images.js) — js/responsive-images.js
+const { loadImageManifest, responsiveImage, adoptPlaceholders } = window.ResponsiveImages;
+
+/* ── Images (image, gallery and visual_slots blocks) ────────── */
+/* A figure per image: lazy-loaded <img> with srcset, wrapped in a */
+/* button that opens the lightbox. The lightbox reads everything   */
+/* it needs from the markup, so pre-rendered pages work the same.  */
+
+const IMAGE_LABELS = {
+  enlarge:  { de: 'Vergrößern',   en: 'Enlarge' },
+  viewer:   { de: 'Bildansicht',  en: 'Image viewer' },
+  previous: { de: 'Vorheriges Bild', en: 'Previous image' },
+  next:     { de: 'Nächstes Bild',   en: 'Next image' },
+  zoomIn:   { de: 'Vergrößern',   en: 'Zoom in' },
+  zoomOut:  { de: 'Verkleinern',  en: 'Zoom out' },
+  close:    { de: 'Schließen',    en: 'Close' },
+};
+
+// Rendered width of an image per layout, for the browser's srcset choice
+const IMAGE_SIZES = {
+  single: '(min-width: 72rem) 66rem, 92vw',
+  grid:   '(min-width: 72rem) 33rem, (min-width: 36rem) 46vw, 92vw',
+};
+
+/** Largest file of an image, for the lightbox: src or a wider srcset variant */
+function largestSrc(image) {
+  const candidates = [{ src: image.src, width: image.width || 0 }, ...(image.srcset || [])];
+  return candidates.reduce((best, candidate) => (candidate.width > best.width ? candidate : best)).src;
+}
+
+/**
+ * Lazy <img> for one image entry ({ src, alt, width, height, srcset }).
+ * Images with their own srcset keep it; the rest get the pipeline's
+ * variants, so this may return a <picture> around the <img>.
+ */
+function buildImage(image, layout, className) {
+  const img = el('img', className);
+  img.src = image.src;
+  if (image.srcset && image.srcset.length) {
+    img.srcset = image.srcset.map(variant => `${variant.src} ${variant.width}w`).join(', ');
+    img.sizes = IMAGE_SIZES[layout];
+  }
+  // Intrinsic size reserves the space before the file arrives
+  if (image.width && image.height) {
+    img.width = image.width;
+    img.height = image.height;
+  }
+  img.alt = t(image.alt, activeLang);
+  img.loading = 'lazy';
+  img.decoding = 'async';
+  return image.srcset && image.srcset.length ? img : responsiveImage(img, image.src, IMAGE_SIZES[layout]);
+}
+
+/**
+ * <figure> for one image entry ({ src, alt, caption, width, height,
+ * srcset }), as used by image and gallery blocks and filled visual slots.
+ */
+function buildFigure(image, layout, className = '') {
+  const figure = el('figure', `cs-figure ${className}`.trim());
+  const alt = t(image.alt, activeLang);
+
+  // Click handled by the delegated listener in initControls()
+  const zoom = el('button', 'cs-figure__zoom');
+  zoom.type = 'button';
+  zoom.dataset.full = largestSrc(image);
+  zoom.setAttribute('aria-label', `${t(IMAGE_LABELS.enlarge, activeLang)}: ${alt}`);
+  zoom.setAttribute('aria-haspopup', 'dialog');
+  zoom.appendChild(buildImage(image, layout, 'cs-figure__img'));
+  const icon = el('span', 'cs-figure__zoom-icon');
+  icon.innerHTML = ICONS.research;
+  icon.setAttribute('aria-hidden', 'true');
+  zoom.appendChild(icon);
+  figure.appendChild(zoom);
+
+  if (image.caption) figure.appendChild(el('figcaption', 'cs-figure__caption', t(image.caption, activeLang)));
+  return figure;
+}
+
+function renderImage(block) {
+  return buildFigure(block, 'single', 'cs-figure--single');
+}
+
+function renderGallery(block) {
+  // data-gallery: the lightbox pages through the figures of one gallery
+  const grid = el('div', 'cs-gallery');
+  grid.setAttribute('data-gallery', '');
+  (block.images || []).forEach(image => grid.appendChild(buildFigure(image, 'grid')));
+  return grid;
+}
+
 function renderVisualSlots(block) {
   const wrap = document.createDocumentFragment();
 
@@ -295,7 +392,13 @@ function renderVisualSlots(block) {
   wrap.appendChild(label);
 
   const grid = el('div', 'cs-visual-slots');
+  grid.setAttribute('data-gallery', '');
   (block.slots || []).forEach(slot => {
+    // A slot with a src is a real image; the rest stay placeholders
+    if (slot.src) {
+      grid.appendChild(buildFigure(slot, 'grid', 'cs-visual-slot'));
+      return;
+    }
     const item = el('div', 'cs-visual-slot');
 
     const area = el('div', 'cs-visual-slot__area');
@@ -323,7 +426,7 @@ function renderKeyTakeaways(block) {
   (block.takeaways || []).forEach(item => {
     const card = el('div', 'cs-key-takeaway');
     card.appendChild(el('h3', 'cs-key-takeaway__title', t(item.title, activeLang)));
-    card.appendChild(el('p', 'cs-key-takeaway__desc', t(item.description, activeLang)));
+    card.appendChild(inlineEl('p', 'cs-key-takeaway__desc', t(item.description, activeLang)));
     grid.appendChild(card);
   });
   wrap.appendChild(grid);
@@ -342,14 +445,534 @@ function renderBlock(block) {
     case 'insight':                   return renderInsight(block);
     case 'challenge_approach_outcome':return renderChallengeApproachOutcome(block);
     case 'visual_slots':              return renderVisualSlots(block);
+    case 'image':                     return renderImage(block);
+    case 'gallery':                   return renderGallery(block);
+    case 'before_after':              return renderBeforeAfter(block);
+    case 'chart':                     return renderChart(block);
+    case 'video':                     return renderVideo(block);
+    case 'embed':                     return renderEmbed(block);
     case 'key_takeaways':             return renderKeyTakeaways(block);
     default: return null;
   }
 }
 
+/* ── Before/after comparison (before_after blocks) ───────────── */
+/* Both images in one frame, the "after" one clipped at the divider. */
+/* A transparent range input over the frame does the dragging and    */
+/* the arrow keys, so it is a regular slider for keyboards and       */
+/* screen readers. Print shows the two images side by side.          */
+
+const COMPARE_LABELS = {
+  before:  { de: 'Vorher',  en: 'Before' },
+  after:   { de: 'Nachher', en: 'After' },
+  divider: { de: 'Trennlinie Vorher/Nachher', en: 'Before/after divider' },
+};
+
+const COMPARE_START = 50; // % of the frame showing "before"
+
+/** Spoken value of the divider, e.g. "Vorher 30 %, Nachher 70 %" */
+function compareValueText(figure, position) {
+  const percent = new Intl.NumberFormat(activeLang, { style: 'percent' });
+  const [before, after] = [...figure.querySelectorAll('.cs-compare__label')].map(label => label.textContent);
+  return `${before} ${percent.format(position / 100)}, ${after} ${percent.format(1 - position / 100)}`;
+}
+
+function buildCompareSide(side, image) {
+  const wrap = el('div', `cs-compare__side cs-compare__side--${side}`);
+  wrap.appendChild(buildImage(image, 'single', 'cs-compare__img'));
+  wrap.appendChild(el('span', 'cs-compare__label', t(image.label || COMPARE_LABELS[side], activeLang)));
+  return wrap;
+}
+
+function renderBeforeAfter(block) {
+  const position = block.start === undefined ? COMPARE_START : block.start;
+  const figure = el('figure', 'cs-compare');
+  figure.style.setProperty('--compare-position', `${position}%`);
+
+  const frame = el('div', 'cs-compare__frame');
+  frame.appendChild(buildCompareSide('before', block.before));
+  frame.appendChild(buildCompareSide('after', block.after));
+
+  // Moved by the delegated input listener in initControls()
+  const range = el('input', 'cs-compare__range');
+  range.type = 'range';
+  range.min = 0;
+  range.max = 100;
+  range.setAttribute('value', position); // the attribute survives pre-rendering
+  range.setAttribute('aria-label', t(COMPARE_LABELS.divider, activeLang));
+  frame.appendChild(range);
+
+  const handle = el('span', 'cs-compare__handle');
+  handle.setAttribute('aria-hidden', 'true');
+  frame.appendChild(handle);
+  figure.appendChild(frame);
+  range.setAttribute('aria-valuetext', compareValueText(figure, position));
+
+  if (block.caption) figure.appendChild(el('figcaption', 'cs-figure__caption', t(block.caption, activeLang)));
+  return figure;
+}
+
+function setComparePosition(range) {
+  const figure = range.closest('.cs-compare');
+  figure.style.setProperty('--compare-position', `${range.value}%`);
+  range.setAttribute('aria-valuetext', compareValueText(figure, Number(range.value)));
+}
+
+/* ── Charts (chart blocks) ───────────────────────────────────── */
+/* Inline SVG drawn from the block's numbers: columns (bar,      */
+/* grouped_bar), lines, or one 100 % bar per category            */
+/* (stacked_percent). Colors come from the design tokens via CSS */
+/* classes. Every chart carries a data table — hidden on screen, */
+/* printed below the chart.                                      */
+
+const CHART_LABELS = {
+  category: { de: 'Kategorie', en: 'Category' },
+  share:    { de: 'Anteil',    en: 'Share' },
+};
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 640; // viewBox units; the SVG scales to its column
+const CHART_SERIES_MAX = 4; // one color token per series (css/portfolio.css)
+const CHART_CHAR_WIDTH = 7.2; // of the 12px monospace labels, for fitting them
+
+let chartCount = 0; // for unique title ids
+
+function svgEl(tag, attrs = {}, text) {
+  const node = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([name, value]) => node.setAttribute(name, value));
+  if (text !== undefined) node.textContent = text;
+  return node;
+}
+
+/**
+ * Number formatter for a chart's values: locale, decimals and unit.
+ * Axis ticks (`axis`) are round numbers and drop trailing zeros.
+ */
+function chartFormatter(block, axis = false) {
+  const unit = t(block.unit, activeLang);
+  const digits = block.decimals === undefined || axis
+    ? { maximumFractionDigits: block.decimals === undefined ? 1 : block.decimals }
+    : { minimumFractionDigits: block.decimals, maximumFractionDigits: block.decimals };
+  if (unit === '%') {
+    const percent = new Intl.NumberFormat(activeLang, { style: 'percent', ...digits });
+    return value => percent.format(value / 100);
+  }
+  const number = new Intl.NumberFormat(activeLang, digits);
+  return value => (unit ? `${number.format(value)} ${unit}` : number.format(value));
+}
+
+/** Axis from 0 to a round maximum, in 1/2/5 × 10ⁿ steps (about four) */
+function chartScale(max) {
+  const rough = (max > 0 ? max : 1) / 4;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+  return { step, max: Math.ceil((max > 0 ? max : 1) / step) * step };
+}
+
+/** Split a label into at most two lines of about `chars` characters */
+function wrapLabel(label, chars) {
+  const lines = [''];
+  label.split(/\s+/).forEach(word => {
+    const line = lines[lines.length - 1];
+    if (!line || line.length + word.length < chars) lines[lines.length - 1] = line ? `${line} ${word}` : word;
+    else lines.push(word);
+  });
+  if (lines.length > 2) lines.splice(1, lines.length, `${lines[1]}…`);
+  return lines;
+}
+
+function chartText(x, y, label, className, anchor = 'middle') {
+  return svgEl('text', { x, y, class: className, 'text-anchor': anchor }, label);
+}
+
+/** Values of the series a chart type shows — bar: only the first */
+function chartSeries(block) {
+  const series = (block.series || []).slice(0, block.chart === 'bar' ? 1 : CHART_SERIES_MAX);
+  return series.map(item => ({
+    label: t(item.label, activeLang),
+    values: (block.categories || []).map((_, i) => (typeof item.values[i] === 'number' ? item.values[i] : null)),
+  }));
+}
+
+/** Gridlines with value labels for a vertical axis */
+function drawValueAxis(svg, scale, y, left, right, format) {
+  for (let value = 0; value <= scale.max + scale.step / 2; value += scale.step) {
+    svg.appendChild(svgEl('line', { x1: left, x2: right, y1: y(value), y2: y(value), class: 'cs-chart__grid' }));
+    svg.appendChild(chartText(left - 8, y(value) + 4, format(value), 'cs-chart__tick', 'end'));
+  }
+}
+
+function drawCategoryLabels(svg, categories, x, y, band) {
+  categories.forEach((category, i) => {
+    const text = chartText(x(i), y, '', 'cs-chart__category');
+    wrapLabel(category, Math.max(6, Math.floor(band / CHART_CHAR_WIDTH))).forEach((line, n) => {
+      text.appendChild(svgEl('tspan', { x: x(i), dy: n ? 14 : 0 }, line));
+    });
+    svg.appendChild(text);
+  });
+}
+
+/** bar, grouped_bar and line: categories along x, values up y */
+function buildAxisChart(block, series, categories, format) {
+  const values = series.flatMap(item => item.values).filter(value => value !== null);
+  const scale = chartScale(block.max || Math.max(0, ...values));
+  const tickFormat = chartFormatter(block, true);
+  const tickWidth = Math.max(...[0, scale.max].map(value => tickFormat(value).length)) * CHART_CHAR_WIDTH;
+
+  const height = 320;
+  const pad = { top: 24, right: 8, bottom: 52, left: Math.ceil(tickWidth) + 16 };
+  const plotWidth = CHART_WIDTH - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+  const y = value => pad.top + plotHeight * (1 - Math.min(value, scale.max) / scale.max);
+  const band = plotWidth / categories.length;
+  const center = i => pad.left + band * (i + 0.5);
+
+  const svg = svgEl('svg', { viewBox: `0 0 ${CHART_WIDTH} ${height}`, class: 'cs-chart__svg' });
+  drawValueAxis(svg, scale, y, pad.left, CHART_WIDTH - pad.right, tickFormat);
+
+  series.forEach((item, s) => {
+    const group = svgEl('g', { class: `cs-chart__series cs-chart__series--${s + 1}` });
+    const points = item.values
+      .map((value, i) => (value === null ? null : { x: center(i), y: y(value), value, category: categories[i] }));
+
+    if (block.chart === 'line') {
+      const defined = points.filter(Boolean);
+      group.appendChild(svgEl('polyline', {
+        class: 'cs-chart__line',
+        points: defined.map(point => `${point.x},${point.y}`).join(' '),
+      }));
+      defined.forEach(point => {
+        const marker = svgEl('circle', { cx: point.x, cy: point.y, r: 4, class: 'cs-chart__point' });
+        marker.appendChild(svgEl('title', {}, `${item.label} · ${point.category}: ${format(point.value)}`));
+        group.appendChild(marker);
+        // With several lines the values would collide — they are in the table
+        if (series.length === 1) group.appendChild(chartText(point.x, point.y - 10, format(point.value), 'cs-chart__value'));
+      });
+    } else {
+      const groupWidth = band * 0.72;
+      const barWidth = groupWidth / series.length;
+      points.forEach(point => {
+        if (!point) return;
+        const x = point.x - groupWidth / 2 + barWidth * s;
+        const bar = svgEl('rect', {
+          x: x + 1, y: point.y, width: Math.max(barWidth - 2, 1), height: y(0) - point.y, class: 'cs-chart__bar',
+        });
+        bar.appendChild(svgEl('title', {}, `${item.label} · ${point.category}: ${format(point.value)}`));
+        group.appendChild(bar);
+        // Values too wide for their bar are left to the table (and the tooltip)
+        const label = format(point.value);
+        if (label.length * CHART_CHAR_WIDTH <= barWidth - 4) {
+          group.appendChild(chartText(x + barWidth / 2, point.y - 6, label, 'cs-chart__value'));
+        }
+      });
+    }
+    svg.appendChild(group);
+  });
+
+  svg.appendChild(svgEl('line', { x1: pad.left, x2: CHART_WIDTH - pad.right, y1: y(0), y2: y(0), class: 'cs-chart__baseline' }));
+  drawCategoryLabels(svg, categories, center, height - pad.bottom + 20, band);
+  return svg;
+}
+
+/** stacked_percent: one 100 % bar per category, split by series */
+function buildStackedChart(series, categories) {
+  const row = 56;
+  const pad = { top: 8, side: 8, bottom: 28 };
+  const height = pad.top + row * categories.length + pad.bottom;
+  const plotWidth = CHART_WIDTH - pad.side * 2;
+  const percent = new Intl.NumberFormat(activeLang, { style: 'percent', maximumFractionDigits: 0 });
+
+  const svg = svgEl('svg', { viewBox: `0 0 ${CHART_WIDTH} ${height}`, class: 'cs-chart__svg' });
+  [0, 0.25, 0.5, 0.75, 1].forEach(share => {
+    const x = pad.side + plotWidth * share;
+    svg.appendChild(svgEl('line', { x1: x, x2: x, y1: pad.top, y2: height - pad.bottom + 4, class: 'cs-chart__grid' }));
+    svg.appendChild(chartText(x, height - 8, percent.format(share), 'cs-chart__tick', ['start', 'middle', 'middle', 'middle', 'end'][share * 4]));
+  });
+
+  categories.forEach((category, i) => {
+    const top = pad.top + row * i;
+    svg.appendChild(chartText(pad.side, top + 14, category, 'cs-chart__category', 'start'));
+    const total = series.reduce((sum, item) => sum + (item.values[i] || 0), 0);
+    let x = pad.side;
+    series.forEach((item, s) => {
+      const share = total ? (item.values[i] || 0) / total : 0;
+      if (!share) return;
+      const width = plotWidth * share;
+      const group = svgEl('g', { class: `cs-chart__series cs-chart__series--${s + 1}` });
+      const bar = svgEl('rect', { x, y: top + 22, width, height: 24, class: 'cs-chart__bar' });
+      bar.appendChild(svgEl('title', {}, `${item.label} · ${category}: ${percent.format(share)}`));
+      group.appendChild(bar);
+      const label = percent.format(share);
+      if (label.length * CHART_CHAR_WIDTH + 8 <= width) group.appendChild(chartText(x + width / 2, top + 38, label, 'cs-chart__inside'));
+      svg.appendChild(group);
+      x += width;
+    });
+  });
+  return svg;
+}
+
+/** The numbers behind the chart, for screen readers and print */
+function buildChartTable(block, series, categories, format, title) {
+  const table = el('table', 'cs-chart__table');
+  table.appendChild(el('caption', '', title));
+
+  const head = el('tr');
+  const corner = el('th', '', t(block.categoryLabel || CHART_LABELS.category, activeLang));
+  corner.scope = 'col';
+  head.appendChild(corner);
+  series.forEach(item => {
+    const th = el('th', '', item.label);
+    th.scope = 'col';
+    head.appendChild(th);
+  });
+  table.appendChild(el('thead')).appendChild(head);
+
+  const percent = new Intl.NumberFormat(activeLang, { style: 'percent', maximumFractionDigits: 1 });
+  const body = el('tbody');
+  categories.forEach((category, i) => {
+    const tr = el('tr');
+    const th = el('th', '', category);
+    th.scope = 'row';
+    tr.appendChild(th);
+    const total = series.reduce((sum, item) => sum + (item.values[i] || 0), 0);
+    series.forEach(item => {
+      const value = item.values[i];
+      let text = value === null ? '–' : format(value);
+      // Stacked bars show shares: name them unless the values already are percentages
+      if (block.chart === 'stacked_percent' && value !== null && total && t(block.unit, activeLang) !== '%') {
+        text += ` (${t(CHART_LABELS.share, activeLang)} ${percent.format(value / total)})`;
+      }
+      tr.appendChild(el('td', '', text));
+    });
+    body.appendChild(tr);
+  });
+  table.appendChild(body);
+  return table;
+}
+
+function renderChart(block) {
+  const categories = (block.categories || []).map(category => t(category, activeLang));
+  const series = chartSeries(block);
+  const format = chartFormatter(block);
+  const title = t(block.title, activeLang);
+  const titleId = `chart-${++chartCount}-title`;
+
+  const figure = el('figure', `cs-chart cs-chart--${block.chart}`);
+  const caption = el('figcaption', 'cs-chart__caption');
+  const heading = el('span', 'cs-chart__title', title);
+  heading.id = titleId;
+  caption.appendChild(heading);
+  if (block.caption) caption.appendChild(el('span', 'cs-chart__note', t(block.caption, activeLang)));
+  figure.appendChild(caption);
+
+  const svg = block.chart === 'stacked_percent'
+    ? buildStackedChart(series, categories)
+    : buildAxisChart(block, series, categories, format);
+  svg.setAttribute('role', 'img');
+  svg.setAttribute('aria-labelledby', titleId);
+
+  // Narrow screens scroll the chart sideways instead of shrinking its text
+  const plot = el('div', 'cs-chart__plot');
+  plot.setAttribute('role', 'region');
+  plot.setAttribute('aria-labelledby', titleId);
+  plot.tabIndex = 0;
+  plot.appendChild(svg);
+  figure.appendChild(plot);
+
+  if (series.length > 1) {
+    const legend = el('ul', 'cs-chart__legend');
+    legend.setAttribute('aria-hidden', 'true'); // the table names the series
+    series.forEach((item, s) => legend.appendChild(el('li', `cs-chart__key cs-chart__series--${s + 1}`, item.label)));
+    figure.appendChild(legend);
+  }
+
+  figure.appendChild(buildChartTable(block, series, categories, format, title));
+  return figure;
+}
+
+/* ── Video and embeds (video, embed blocks) ──────────────────── */
+/* Videos are self-hosted and only autoplay (muted) when motion is */
+/* welcome. Embeds load nothing from their provider until the      */
+/* visitor clicks "load" — see datenschutz.html. On paper, both    */
+/* show their poster frame and a link instead.                     */
+
+const MEDIA_LABELS = {
+  download:  { de: 'Video herunterladen', en: 'Download the video' },
+  video:     { de: 'Video', en: 'Video' },
+  prototype: { de: 'Prototyp', en: 'Prototype' },
+  load:      { de: 'Prototyp laden', en: 'Load prototype' },
+  open:      { de: 'In neuem Tab öffnen', en: 'Open in a new tab' },
+  privacy:   { de: 'Datenschutz', en: 'Privacy policy' },
+  consent: {
+    de: 'Der Prototyp wird von {provider} geladen. Dabei überträgt Ihr Browser Daten wie Ihre IP-Adresse an {provider}.',
+    en: 'The prototype is loaded from {provider}. Your browser then sends data such as your IP address to {provider}.',
+  },
+};
+
+const TRACK_LANGUAGES = { de: 'Deutsch', en: 'English' };
+
+const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+/** Absolute URL for printed links: the site's own origin, not the dev server's */
+function siteUrl(href) {
+  const canonical = document.querySelector('link[rel="canonical"]');
+  return new URL(href, canonical ? canonical.href : window.location.href).href;
+}
+
+/** "Video: https://…" — shown in print only, where nothing can be played */
+function buildPrintLink(label, href) {
+  const p = el('p', 'cs-media__print-link');
+  p.appendChild(document.createTextNode(`${t(label, activeLang)}: `));
+  const link = el('a');
+  link.href = href;
+  link.textContent = href;
+  p.appendChild(link);
+  return p;
+}
+
+function renderVideo(block) {
+  const figure = el('figure', 'cs-media cs-media--video');
+  const frame = el('div', 'cs-media__frame');
+
+  const video = el('video', 'cs-media__video');
+  video.controls = true;
+  video.preload = 'none';
+  video.poster = block.poster;
+  video.setAttribute('playsinline', '');
+  video.setAttribute('aria-label', t(block.title, activeLang));
+  if (block.width && block.height) {
+    video.width = block.width;
+    video.height = block.height;
+  }
+  if (block.loop) video.loop = true;
+  // Autoplay is started by startAutoplay(), and only without reduced motion
+  if (block.autoplay) {
+    video.muted = true;
+    video.setAttribute('muted', ''); // the property alone doesn't survive pre-rendering
+    video.dataset.autoplay = '';
+  }
+
+  (block.sources || []).forEach(({ src, type }) => {
+    const source = el('source');
+    source.src = src;
+    source.type = type;
+    video.appendChild(source);
+  });
+
+  // Captions in the page language are on by default
+  const tracks = block.captions || [];
+  const defaultTrack = tracks.find(track => track.lang === activeLang) || tracks[0];
+  tracks.forEach(track => {
+    const node = el('track');
+    node.kind = 'captions';
+    node.src = track.src;
+    node.srclang = track.lang;
+    node.label = TRACK_LANGUAGES[track.lang] || track.lang;
+    if (track === defaultTrack) node.default = true;
+    video.appendChild(node);
+  });
+
+  // Browsers without <video> show a download link instead
+  const fallback = el('a');
+  fallback.href = block.sources[0].src;
+  fallback.textContent = t(MEDIA_LABELS.download, activeLang);
+  video.appendChild(fallback);
+  frame.appendChild(video);
+
+  // Print: the poster frame stands in for the player
+  const poster = el('div', 'cs-media__poster');
+  poster.appendChild(buildImage({ src: block.poster, alt: block.title, width: block.width, height: block.height },
+    'single', 'cs-media__poster-img'));
+  frame.appendChild(poster);
+  figure.appendChild(frame);
+
+  if (block.caption) figure.appendChild(el('figcaption', 'cs-figure__caption', t(block.caption, activeLang)));
+  figure.appendChild(buildPrintLink(MEDIA_LABELS.video, siteUrl(block.sources[0].src)));
+  return figure;
+}
+
+function renderEmbed(block) {
+  const figure = el('figure', 'cs-media cs-media--embed');
+  const frame = el('div', 'cs-media__frame cs-embed');
+  const [w, h] = (block.ratio || '16:9').split(':');
+  frame.style.aspectRatio = `${w} / ${h}`;
+  const title = t(block.title, activeLang);
+  const link = block.link || block.src;
+
+  // Only local files before consent: the poster is on this site
+  if (block.poster) {
+    const poster = el('div', 'cs-media__poster cs-embed__poster');
+    poster.appendChild(buildImage({ src: block.poster, alt: '' }, 'single', 'cs-media__poster-img'));
+    frame.appendChild(poster);
+  }
+
+  const consent = el('div', 'cs-embed__consent');
+  consent.appendChild(el('p', 'cs-embed__title', title));
+  const notice = el('p', 'cs-embed__notice');
+  notice.textContent = `${t(MEDIA_LABELS.consent, activeLang).replace(/\{provider\}/g, block.provider)} `;
+  const privacy = el('a');
+  privacy.href = '/datenschutz.html#ds-embeds';
+  privacy.textContent = t(MEDIA_LABELS.privacy, activeLang);
+  notice.appendChild(privacy);
+  consent.appendChild(notice);
+
+  const actions = el('div', 'cs-embed__actions');
+  // Click handled by the delegated listener in initControls()
+  const load = el('button', 'cs-embed__load');
+  load.type = 'button';
+  load.textContent = t(MEDIA_LABELS.load, activeLang);
+  load.dataset.src = block.src;
+  load.dataset.title = title;
+  actions.appendChild(load);
+  const open = el('a', 'cs-embed__open');
+  open.href = link;
+  open.target = '_blank';
+  open.rel = 'noopener noreferrer';
+  open.textContent = `${t(MEDIA_LABELS.open, activeLang)} ↗`;
+  actions.appendChild(open);
+  consent.appendChild(actions);
+  frame.appendChild(consent);
+  figure.appendChild(frame);
+
+  if (block.caption) figure.appendChild(el('figcaption', 'cs-figure__caption', t(block.caption, activeLang)));
+  figure.appendChild(buildPrintLink(MEDIA_LABELS.prototype, link));
+  return figure;
+}
+
+/** Replace an embed's consent box with the provider's iframe */
+function loadEmbed(button) {
+  const frame = button.closest('.cs-embed');
+  const iframe = el('iframe', 'cs-embed__iframe');
+  iframe.src = button.dataset.src;
+  iframe.title = button.dataset.title;
+  iframe.setAttribute('allowfullscreen', '');
+  iframe.setAttribute('referrerpolicy', 'no-referrer');
+  frame.querySelector('.cs-embed__consent').remove();
+  frame.appendChild(iframe);
+  frame.dataset.loaded = '';
+  iframe.focus(); // the button that had focus is gone
+}
+
+/** Play autoplay videos — unless the visitor asks for reduced motion */
+function startAutoplay() {
+  if (motionQuery.matches) return;
+  document.querySelectorAll('video[data-autoplay]').forEach(video => {
+    video.play().catch(() => {}); // blocked autoplay leaves the poster and controls
+  });
+}
+
+function initVideos() {
+  document.addEventListener('portfolio-rendered', startAutoplay);
+  // Turning reduced motion on stops what is playing on its own
+  motionQuery.addEventListener('change', () => {
+    if (!motionQuery.matches) return;
+    document.querySelectorAll('video[data-autoplay]').forEach(video => video.pause());
+  });
+}
+
 /* ── Case study header ───────────────────────────────────────── */
 
-function buildCaseStudyHeader(project) {
+function buildCaseStudyHeader(project, titleTag = 'h1') {
   const header = el('header', 'case-study-header');
   const inner  = el('div', 'case-study-header__inner container');
 
@@ -361,7 +984,7 @@ function buildCaseStudyHeader(project) {
     ));
   }
 
-  inner.appendChild(el('h1', 'case-study-header__title', t(project.title, activeLang)));
+  inner.appendChild(el(titleTag, 'case-study-header__title', t(project.title, activeLang)));
 
   // Meta row
   const meta = el('dl', 'case-study-header__meta');
@@ -379,6 +1002,21 @@ function buildCaseStudyHeader(project) {
     item.appendChild(el('dd', 'case-study-header__meta-value', val));
     meta.appendChild(item);
   });
+  const job = employerOf(project);
+  if (job) {
+    const item = el('div', 'case-study-header__meta-item');
+    item.appendChild(el('dt', 'case-study-header__meta-label', t(RELATED_LABELS.employer, activeLang)));
+    const value = el('dd', 'case-study-header__meta-value');
+    const link = el('a', 'case-study-header__employer', job.company);
+    link.href = pageHref(`/cv/#experience-${job.id}`, activeLang);
+    value.appendChild(link);
+    item.appendChild(value);
+    meta.appendChild(item);
+  }
+  const reading = el('div', 'case-study-header__meta-item');
+  reading.appendChild(el('dt', 'case-study-header__meta-label', t(NAV_LABELS.reading, activeLang)));
+  reading.appendChild(el('dd', 'case-study-header__meta-value', formatMinutes(readingMinutes(project))));
+  meta.appendChild(reading);
   inner.appendChild(meta);
 
   // Tags
@@ -426,18 +1064,57 @@ function renderDetail(data, slug) {
   // Header section
   main.appendChild(buildCaseStudyHeader(project));
 
-  // Content body
+  // Content body, blocks addressable as #section-1, #section-2, …, headed
+  // blocks also by their heading — listed in the table of contents
+  const body = buildCaseStudyBody(project, 'section');
+  const toc = buildToc(body);
+  if (toc) {
+    body.classList.add('case-study-body--toc');
+    body.firstChild.insertBefore(toc, body.firstChild.firstChild);
+  }
+  main.appendChild(body);
+
+  // Projects sharing tags with this one
+  const related = buildRelated(data, project);
+  if (related) main.appendChild(related);
+
+  // Previous / next project
+  const pager = buildPager(data, project);
+  if (pager) main.appendChild(pager);
+  container.appendChild(main);
+
+  // Footer
+  container.appendChild(buildFooter());
+}
+
+/**
+ * All section blocks of a project, plus the confidential disclaimer.
+ * With `anchorPrefix`, each block gets the id `${anchorPrefix}-N` (N =
+ * position in "sections", from 1) — the links palette.js builds — and
+ * each block heading an id from its German text (headingAnchor()).
+ */
+function buildCaseStudyBody(project, anchorPrefix = null, headingTag = 'h2') {
   const body = el('div', 'case-study-body');
   const bodyInner = el('div', 'container');
+  const content = el('div', 'case-study-body__content');
+  const sections = project.sections || [];
+  // Heading ids must not clash with the block ids or the skip link target
+  const anchors = new Set(['main', ...sections.map((block, i) => `${anchorPrefix}-${i + 1}`)]);
 
   // Render all section blocks
-  (project.sections || []).forEach(block => {
+  sections.forEach((block, i) => {
     const rendered = renderBlock(block);
     if (!rendered) return;
     const wrapper = el('div', 'case-study__block');
+    if (anchorPrefix) wrapper.id = `${anchorPrefix}-${i + 1}`;
     wrapper.setAttribute('data-reveal', '');
+    if (block.heading) {
+      const heading = el(headingTag, 'case-study__heading', t(block.heading, activeLang));
+      if (anchorPrefix) heading.id = headingAnchor(block.heading, anchors);
+      wrapper.appendChild(heading);
+    }
     wrapper.appendChild(rendered);
-    bodyInner.appendChild(wrapper);
+    content.appendChild(wrapper);
   });
 
   // Disclaimer (auto-appended for confidential projects)
@@ -445,19 +1122,451 @@ function renderDetail(data, slug) {
     const wrapper = el('div', 'case-study__block');
     wrapper.setAttribute('data-reveal', '');
     wrapper.appendChild(renderDisclaimer());
-    bodyInner.appendChild(wrapper);
+    content.appendChild(wrapper);
   }
 
+  bodyInner.appendChild(content);
   body.appendChild(bodyInner);
-  main.appendChild(body);
-  container.appendChild(main);
+  return body;
+}
 
-  // Footer
-  container.appendChild(buildFooter());
+/* ── Case study navigation ───────────────────────────────────── */
+/* Block headings get anchors from their German text, so a link   */
+/* works in both languages. Two or more make a table of contents, */
+/* sticky beside the blocks on wide screens, whose entry for the  */
+/* section in view is aria-current. Below the blocks, links to    */
+/* the previous and next project in portfolio.json order.         */
+
+const NAV_LABELS = {
+  toc:      { de: 'Auf dieser Seite',   en: 'On this page' },
+  pager:    { de: 'Weitere Projekte',   en: 'More projects' },
+  previous: { de: 'Vorheriges Projekt', en: 'Previous project' },
+  next:     { de: 'Nächstes Projekt',   en: 'Next project' },
+  reading:  { de: 'Lesezeit',           en: 'Reading time' },
+};
+
+const WORDS_PER_MINUTE = 200;
+// Block fields that aren't read as text: paths, settings, chart data
+const UNREAD_KEYS = ['type', 'src', 'srcset', 'poster', 'sources', 'captions', 'provider', 'icon', 'link', 'url', 'ratio', 'chart', 'values', 'alt'];
+
+/** Id of a block heading, unique among the ids in `taken` (which it joins) */
+function headingAnchor(heading, taken) {
+  const base = slugify(t(heading, 'de'), 'abschnitt');
+  let anchor = base;
+  for (let n = 2; taken.has(anchor); n++) anchor = `${base}-${n}`;
+  taken.add(anchor);
+  return anchor;
+}
+
+/** Estimated minutes to read a project's blocks, at least 1 */
+function readingMinutes(project) {
+  let words = 0;
+  const walk = (value, key) => {
+    if (UNREAD_KEYS.includes(key)) return;
+    if (typeof value === 'string') {
+      words += value.split(/\s+/).filter(Boolean).length;
+    } else if (Array.isArray(value)) {
+      value.forEach(item => walk(item));
+    } else if (value && typeof value === 'object') {
+      if ('de' in value || 'en' in value) walk(t(value, activeLang)); // { de, en }
+      else Object.keys(value).forEach(k => walk(value[k], k));
+    }
+  };
+  walk(project.sections || []);
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+}
+
+/** 4 → "4 Min." / "4 min" */
+function formatMinutes(minutes) {
+  return new Intl.NumberFormat(activeLang, { style: 'unit', unit: 'minute', unitDisplay: 'short' }).format(minutes);
+}
+
+/** Table of contents of a case study body's headings — null for fewer than two */
+function buildToc(body) {
+  const headings = [...body.querySelectorAll('.case-study__heading[id]')];
+  if (headings.length < 2) return null;
+
+  const nav = el('nav', 'case-study-toc');
+  nav.setAttribute('aria-labelledby', 'case-study-toc-title');
+  const title = el('h2', 'case-study-toc__title', t(NAV_LABELS.toc, activeLang));
+  title.id = 'case-study-toc-title';
+  nav.appendChild(title);
+
+  const list = el('ol', 'case-study-toc__list');
+  headings.forEach(heading => {
+    const li = el('li', 'case-study-toc__item');
+    const link = el('a', 'case-study-toc__link', heading.textContent);
+    link.href = `#${heading.id}`;
+    li.appendChild(link);
+    list.appendChild(li);
+  });
+  nav.appendChild(list);
+  return nav;
+}
+
+/** Links to the neighbouring projects in portfolio.json — null for a single project */
+function buildPager(data, project) {
+  const projects = data.projects || [];
+  const index = projects.indexOf(project);
+  const neighbours = { previous: projects[index - 1], next: projects[index + 1] };
+  if (!neighbours.previous && !neighbours.next) return null;
+
+  const nav = el('nav', 'case-study-pager');
+  nav.setAttribute('aria-label', t(NAV_LABELS.pager, activeLang));
+  const inner = el('div', 'case-study-pager__inner container');
+  Object.keys(neighbours).forEach(key => {
+    const target = neighbours[key];
+    if (!target) return;
+    const link = el('a', `case-study-pager__link case-study-pager__link--${key}`);
+    link.href = pageHref(`/portfolio/${target.slug}/`, activeLang);
+    link.rel = key === 'previous' ? 'prev' : 'next';
+    link.appendChild(el('span', 'case-study-pager__label', t(NAV_LABELS[key], activeLang)));
+    link.appendChild(el('span', 'case-study-pager__title', t(target.title, activeLang)));
+    inner.appendChild(link);
+  });
+  nav.appendChild(inner);
+  return nav;
+}
+
+let scrollspyFrame = 0;
+
+/** Mark the table of contents entry of the section in view */
+function updateScrollspy() {
+  scrollspyFrame = 0;
+  const links = [...document.querySelectorAll('.case-study-toc__link')];
+  if (!links.length) return;
+
+  // The section in view: the last heading above the upper third of the
+  // viewport — or the last one, once the page is scrolled to the end
+  const line = window.innerHeight / 3;
+  const atEnd = window.scrollY > 0
+    && window.innerHeight + window.scrollY >= document.documentElement.scrollHeight - 2;
+  let current = null;
+  links.forEach(link => {
+    const heading = document.getElementById(decodeURIComponent(link.hash.slice(1)));
+    if (heading && (atEnd || heading.getBoundingClientRect().top <= line)) current = link;
+  });
+
+  links.forEach(link => {
+    if (link === current) link.setAttribute('aria-current', 'location');
+    else link.removeAttribute('aria-current');
+  });
+}
+
+function initScrollspy() {
+  const schedule = () => {
+    if (!scrollspyFrame) scrollspyFrame = requestAnimationFrame(updateScrollspy);
+  };
+  window.addEventListener('scroll', schedule, { passive: true });
+  window.addEventListener('resize', schedule);
+  document.addEventListener('portfolio-rendered', schedule);
+}
+
+/* ── Related projects and CV links ───────────────────────────── */
+/* A project may name the cv.json experience it comes from; the   */
+/* case study header links to that CV entry, which lists its case */
+/* studies in turn (js/cv.js). Related projects are those sharing */
+/* tags with the case study, most shared tags first.              */
+
+const RELATED_LABELS = {
+  title:    { de: 'Ähnliche Projekte', en: 'Related projects' },
+  employer: { de: 'Arbeitgeber',       en: 'Employer' },
+};
+
+const MAX_RELATED = 3;
+
+let cvData = null;
+
+/** Fetch /data/cv.json once — without it case studies render without the employer */
+async function loadCvData() {
+  if (cvData) return cvData;
+  try {
+    const res = await fetch('/data/cv.json');
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    cvData = await res.json();
+  } catch (err) {
+    console.warn('[portfolio] No employer links — cv.json could not be loaded:', err.message);
+  }
+  return cvData;
+}
+
+/** The cv.json experience a project names, or null */
+function employerOf(project) {
+  if (!cvData || !project.experience) return null;
+  return (cvData.experience || []).find(job => job.id === project.experience) || null;
+}
+
+/** Up to MAX_RELATED projects sharing tags with `project`; ties keep portfolio.json order */
+function relatedProjects(data, project) {
+  const own = new Set((project.tags || []).map(tagKey));
+  return (data.projects || [])
+    .map((other, order) => ({
+      other,
+      order,
+      shared: other === project ? 0 : new Set((other.tags || []).map(tagKey).filter(tag => own.has(tag))).size,
+    }))
+    .filter(({ shared }) => shared > 0)
+    .sort((a, b) => b.shared - a.shared || a.order - b.order)
+    .slice(0, MAX_RELATED)
+    .map(({ other }) => other);
+}
+
+/** "Related projects" cards below a case study — null when no project shares a tag */
+function buildRelated(data, project) {
+  const projects = relatedProjects(data, project);
+  if (!projects.length) return null;
+
+  const section = el('section', 'case-study-related');
+  section.setAttribute('aria-labelledby', 'case-study-related-title');
+  const inner = el('div', 'container');
+  const title = el('h2', 'case-study-related__title', t(RELATED_LABELS.title, activeLang));
+  title.id = 'case-study-related-title';
+  inner.appendChild(title);
+
+  const list = el('div', 'case-study-related__list');
+  projects.forEach(other => list.appendChild(buildProjectCard(other, 'h3')));
+  inner.appendChild(list);
+  section.appendChild(inner);
+  return section;
+}
+
+/* ── Lightbox ────────────────────────────────────────────────── */
+/* One modal <dialog> for all figures. ←/→ page through the        */
+/* figure's gallery, +/− zoom (arrow keys pan while zoomed), Tab   */
+/* stays inside the dialog, Esc closes and focus returns to the    */
+/* figure that opened it.                                          */
+
+const ZOOM_LEVELS = [1, 2, 3];
+
+let lightbox = null;
+let lightboxFigures = [];
+let lightboxIndex = 0;
+let lightboxZoom = 0; // index into ZOOM_LEVELS
+let lightboxTrigger = null;
+
+function buildLightboxButton(className, labelKey, text) {
+  const btn = el('button', `lightbox__btn ${className}`, text);
+  btn.type = 'button';
+  btn.setAttribute('aria-label', t(IMAGE_LABELS[labelKey], activeLang));
+  return btn;
+}
+
+function buildLightbox() {
+  const dialog = el('dialog', 'lightbox');
+  dialog.setAttribute('aria-label', t(IMAGE_LABELS.viewer, activeLang));
+  dialog.dataset.lang = activeLang;
+
+  const bar = el('div', 'lightbox__bar');
+  const counter = el('p', 'lightbox__counter');
+  counter.setAttribute('aria-live', 'polite');
+  bar.appendChild(counter);
+  const tools = el('div', 'lightbox__tools');
+  tools.append(
+    buildLightboxButton('lightbox__zoom-out', 'zoomOut', '−'),
+    buildLightboxButton('lightbox__zoom-in', 'zoomIn', '+'),
+    buildLightboxButton('lightbox__close', 'close', '×'),
+  );
+  bar.appendChild(tools);
+  dialog.appendChild(bar);
+
+  const stage = el('div', 'lightbox__stage');
+  stage.appendChild(el('img', 'lightbox__img'));
+  dialog.appendChild(stage);
+
+  const prev = buildLightboxButton('lightbox__nav lightbox__nav--prev', 'previous', '←');
+  const next = buildLightboxButton('lightbox__nav lightbox__nav--next', 'next', '→');
+  dialog.append(prev, next);
+  dialog.appendChild(el('p', 'lightbox__caption'));
+
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog || e.target === stage) dialog.close();
+    else if (e.target.closest('.lightbox__close')) dialog.close();
+    else if (e.target.closest('.lightbox__nav--prev')) showLightboxImage(lightboxIndex - 1);
+    else if (e.target.closest('.lightbox__nav--next')) showLightboxImage(lightboxIndex + 1);
+    else if (e.target.closest('.lightbox__zoom-in')) setLightboxZoom(lightboxZoom + 1);
+    else if (e.target.closest('.lightbox__zoom-out')) setLightboxZoom(lightboxZoom - 1);
+    else if (e.target.closest('.lightbox__img')) setLightboxZoom(lightboxZoom ? 0 : 1);
+  });
+  dialog.addEventListener('keydown', onLightboxKeydown);
+  dialog.addEventListener('close', () => {
+    if (lightboxTrigger && lightboxTrigger.isConnected) lightboxTrigger.focus();
+    lightboxTrigger = null;
+  });
+
+  document.body.appendChild(dialog);
+  return dialog;
+}
+
+function onLightboxKeydown(e) {
+  const stage = lightbox.querySelector('.lightbox__stage');
+  const zoomed = lightboxZoom > 0;
+  const pan = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] }[e.key];
+
+  if (pan && zoomed) {
+    e.preventDefault();
+    stage.scrollBy(pan[0] * stage.clientWidth / 5, pan[1] * stage.clientHeight / 5);
+  } else if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+    e.preventDefault();
+    showLightboxImage(lightboxIndex + (e.key === 'ArrowLeft' ? -1 : 1));
+  } else if (e.key === '+' || e.key === '=') {
+    e.preventDefault();
+    setLightboxZoom(lightboxZoom + 1);
+  } else if (e.key === '-') {
+    e.preventDefault();
+    setLightboxZoom(lightboxZoom - 1);
+  } else if (e.key === 'Tab') {
+    // Focus trap: wrap around between the first and last enabled button
+    const focusable = [...lightbox.querySelectorAll('button:not([hidden]):not(:disabled)')];
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if (e.shiftKey && document.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+function showLightboxImage(index) {
+  if (index < 0 || index >= lightboxFigures.length) return;
+  lightboxIndex = index;
+  const figure = lightboxFigures[index];
+  const trigger = figure.querySelector('.cs-figure__zoom');
+  const source = figure.querySelector('.cs-figure__img');
+  const caption = figure.querySelector('.cs-figure__caption');
+
+  const img = lightbox.querySelector('.lightbox__img');
+  img.src = trigger.dataset.full;
+  img.alt = source.alt;
+  lightbox.querySelector('.lightbox__caption').textContent = caption ? caption.textContent : '';
+  lightbox.querySelector('.lightbox__caption').hidden = !caption;
+
+  const many = lightboxFigures.length > 1;
+  lightbox.querySelector('.lightbox__counter').textContent = many ? `${index + 1} / ${lightboxFigures.length}` : '';
+  lightbox.querySelectorAll('.lightbox__nav').forEach(btn => { btn.hidden = !many; });
+  lightbox.querySelector('.lightbox__nav--prev').disabled = index === 0;
+  lightbox.querySelector('.lightbox__nav--next').disabled = index === lightboxFigures.length - 1;
+  // Keep focus inside when the button that had it gets disabled
+  if (document.activeElement && document.activeElement.disabled) lightbox.querySelector('.lightbox__close').focus();
+
+  setLightboxZoom(0);
+}
+
+function setLightboxZoom(level) {
+  lightboxZoom = Math.max(0, Math.min(level, ZOOM_LEVELS.length - 1));
+  const zoom = ZOOM_LEVELS[lightboxZoom];
+
+  // Zoomed = a multiple of the size that fits the screen, measured unzoomed
+  const img = lightbox.querySelector('.lightbox__img');
+  img.style.width = '';
+  delete lightbox.dataset.zoomed;
+  if (zoom > 1) {
+    const fitWidth = img.getBoundingClientRect().width;
+    lightbox.dataset.zoomed = '';
+    img.style.width = `${fitWidth * zoom}px`;
+  }
+  lightbox.querySelector('.lightbox__zoom-out').disabled = lightboxZoom === 0;
+  lightbox.querySelector('.lightbox__zoom-in').disabled = lightboxZoom === ZOOM_LEVELS.length - 1;
+
+  // Zoom towards the middle of the image
+  const stage = lightbox.querySelector('.lightbox__stage');
+  stage.scrollTo((stage.scrollWidth - stage.clientWidth) / 2, (stage.scrollHeight - stage.clientHeight) / 2);
+}
+
+/** Open the lightbox on a figure, with the other figures of its gallery */
+function openLightbox(trigger) {
+  const figure = trigger.closest('.cs-figure');
+  const gallery = figure.closest('[data-gallery]');
+  lightboxFigures = gallery
+    ? [...gallery.querySelectorAll('.cs-figure')].filter(item => item.querySelector('.cs-figure__zoom'))
+    : [figure];
+
+  // Built on first use, and again after a language switch for its labels
+  if (!lightbox || lightbox.dataset.lang !== activeLang) {
+    if (lightbox) lightbox.remove();
+    lightbox = buildLightbox();
+  }
+
+  lightboxTrigger = trigger;
+  showLightboxImage(lightboxFigures.indexOf(figure));
+  lightbox.showModal();
+  lightbox.querySelector('.lightbox__close').focus();
+}
+
+/* ── Dossier renderer (print / PDF) ──────────────────────────── */
+/* Cover page + table of contents + every non-WIP case study in   */
+/* portfolio.json order. Used by /export/portfolio.pdf.           */
+
+function renderDossier(data) {
+  const container = document.getElementById('portfolio-dossier');
+  if (!container) return;
+
+  const projects = (data.projects || []).filter(p => !p.wip);
+
+  document.title = 'Portfolio — Mathis Thomsen';
+  container.innerHTML = '';
+
+  // Cover
+  const cover = el('header', 'dossier-cover');
+  const coverInner = el('div', 'dossier-cover__inner container');
+  coverInner.appendChild(el('p', 'dossier-cover__label', 'Portfolio'));
+  coverInner.appendChild(el('h1', 'dossier-cover__name', 'Mathis Thomsen'));
+  coverInner.appendChild(el('p', 'dossier-cover__sub', t(OVERVIEW_INTRO, activeLang)));
+
+  const coverMeta = el('p', 'dossier-cover__meta');
+  coverMeta.textContent = [
+    'mathisthomsen.de',
+    new Date().toLocaleDateString(activeLang === 'de' ? 'de-DE' : 'en-GB', { month: 'long', year: 'numeric' }),
+  ].join(' · ');
+  coverInner.appendChild(coverMeta);
+  cover.appendChild(coverInner);
+  container.appendChild(cover);
+
+  // Table of contents — links become internal PDF links
+  const toc = el('nav', 'dossier-toc');
+  toc.setAttribute('aria-labelledby', 'dossier-toc-title');
+  const tocInner = el('div', 'container');
+  const tocTitle = el('h2', 'dossier-toc__title', activeLang === 'de' ? 'Inhalt' : 'Contents');
+  tocTitle.id = 'dossier-toc-title';
+  tocInner.appendChild(tocTitle);
+
+  const list = el('ol', 'dossier-toc__list');
+  projects.forEach((project, i) => {
+    const li = el('li', 'dossier-toc__item');
+    const a = el('a', 'dossier-toc__link');
+    a.href = `#project-${project.slug}`;
+    a.appendChild(el('span', 'dossier-toc__num', String(i + 1).padStart(2, '0')));
+    a.appendChild(el('span', 'dossier-toc__name', t(project.title, activeLang)));
+    a.appendChild(el('span', 'dossier-toc__year', project.year));
+    li.appendChild(a);
+    list.appendChild(li);
+  });
+  tocInner.appendChild(list);
+  toc.appendChild(tocInner);
+  container.appendChild(toc);
+
+  // Case studies
+  const main = el('main', 'dossier-main');
+  main.id = 'main';
+  projects.forEach(project => {
+    const article = el('article', 'dossier-project');
+    article.id = `project-${project.slug}`;
+    article.appendChild(buildCaseStudyHeader(project, 'h2'));
+    article.appendChild(buildCaseStudyBody(project, null, 'h3'));
+    main.appendChild(article);
+  });
+  container.appendChild(main);
 }
 
 /* ── Overview page renderer ──────────────────────────────────── */
 
+const OVERVIEW_INTRO = {
+  de: 'Ausgewählte Projekte aus UX Research, Information Architecture und Interaction Design.',
+  en: 'Selected projects in UX research, information architecture and interaction design.',
+};
+
 function renderOverview(data) {
   const container = document.getElementById('portfolio-overview');
   if (!container) return;
@@ -466,32 +1575,34 @@ function renderOverview(data) {
 
   // Update the bilingual header subtitle (static in HTML, updated on lang switch)
   const sub = document.getElementById('portfolio-header-sub');
-  if (sub) {
-    sub.textContent = activeLang === 'de'
-      ? 'Ausgewählte Projekte aus UX Research, Information Architecture und Interaction Design.'
-      : 'Selected projects in UX research, information architecture and interaction design.';
-  }
+  if (sub) sub.textContent = t(OVERVIEW_INTRO, activeLang);
 
   const projects = data.projects || [];
 
-  // Filter bar (hidden until > 4 projects)
-  if (projects.length > 4) {
+  // Filter bar from five projects on — or with fewer, when the URL
+  // filters already (a CV skill links to ?tag=…)
+  if (projects.length > 4 || isFiltering(activeFilters)) {
     container.appendChild(buildFilterBar(projects));
   }
 
   const grid = el('div', 'portfolio-grid');
   const inner = el('div', 'portfolio-grid__list');
 
-  projects.forEach(project => {
-    inner.appendChild(buildProjectCard(project));
+  projects.forEach((project, i) => {
+    const card = buildProjectCard(project);
+    card.dataset.order = i;
+    inner.appendChild(card);
   });
 
   grid.appendChild(inner);
+  grid.appendChild(buildEmptyState());
   container.appendChild(grid);
+
+  applyFilters();
 }
 
-function buildProjectCard(project) {
-  const href = `/portfolio/${project.slug}/`;
+function buildProjectCard(project, titleTag = 'h2') {
+  const href = pageHref(`/portfolio/${project.slug}/`, activeLang);
 
   const card = el('a', 'portfolio-card');
   card.href = href;
@@ -499,6 +1610,12 @@ function buildProjectCard(project) {
   if (project.wip)          card.classList.add('portfolio-card--wip');
   card.setAttribute('data-reveal', '');
 
+  // What the filter bar reads — kept on the card, so pre-rendered
+  // markup filters without portfolio.json
+  card.dataset.tags = JSON.stringify(project.tags || []);
+  card.dataset.status = projectStatus(project);
+  card.dataset.year = sortYear(project.year);
+
   // Meta row: year + type indicator
   const meta = el('div', 'portfolio-card__meta');
   meta.appendChild(el('span', 'portfolio-card__year', project.year));
@@ -513,7 +1630,7 @@ function buildProjectCard(project) {
   }
   card.appendChild(meta);
 
-  card.appendChild(el('h2', 'portfolio-card__title', t(project.title, activeLang)));
+  card.appendChild(el(titleTag, 'portfolio-card__title', t(project.title, activeLang)));
   card.appendChild(el('p', 'portfolio-card__teaser', t(project.teaser, activeLang)));
 
   // Tags
@@ -536,37 +1653,276 @@ function buildProjectCard(project) {
   return card;
 }
 
+/* ── Overview filters ────────────────────────────────────────── */
+/* Tags (any/all), status, free-text search and sort order. They   */
+/* show and reorder the rendered cards, and mirror their state in  */
+/* the URL (?tag=…&tag=…&match=all&status=wip&q=…&sort=year) so a  */
+/* filtered view can be shared.                                    */
+
+const FILTER_LABELS = {
+  bar:        { de: 'Projekte filtern',                  en: 'Filter projects' },
+  search:     { de: 'Suche',                             en: 'Search' },
+  searchHint: { de: 'Titel oder Beschreibung',           en: 'Title or description' },
+  sort:       { de: 'Sortierung',                        en: 'Sort by' },
+  tags:       { de: 'Nach Thema filtern',                en: 'Filter by topic' },
+  match:      { de: 'Themen verknüpfen',                 en: 'Combine topics' },
+  any:        { de: 'Eines davon',                       en: 'Any' },
+  all:        { de: 'Alle',                              en: 'All' },
+  status:     { de: 'Nach Status filtern',               en: 'Filter by status' },
+  reset:      { de: 'Filter zurücksetzen',               en: 'Reset filters' },
+  empty:      { de: 'Keine Projekte passen zu diesen Filtern.', en: 'No projects match these filters.' },
+};
+
+const SORT_OPTIONS = {
+  '':    { de: 'Auswahl',           en: 'Featured' },
+  year:  { de: 'Jahr (neueste zuerst)', en: 'Year (newest first)' },
+  title: { de: 'Titel (A–Z)',       en: 'Title (A–Z)' },
+};
+
+const STATUS_LABELS = {
+  public:       { de: 'Öffentlich',  en: 'Public' },
+  confidential: { de: 'Vertraulich', en: 'Confidential' },
+  wip:          { de: 'In Arbeit',   en: 'In Progress' },
+};
+
+function projectStatus(project) {
+  if (project.wip) return 'wip';
+  return project.confidential ? 'confidential' : 'public';
+}
+
+/**
+ * Sortable year from the free-form "year" field: the latest year named,
+ * or 9999 for running projects ("2019–present", "ongoing").
+ */
+function sortYear(year) {
+  const text = String(year || '');
+  if (/present|ongoing|heute|laufend/i.test(text)) return 9999;
+  const years = (text.match(/\d{4}/g) || []).map(Number);
+  return years.length ? Math.max(...years) : 0;
+}
+
+function buildFilterButton(kind, value, label) {
+  const btn = el('button', 'portfolio-filter__btn');
+  btn.type = 'button';
+  btn.textContent = label;
+  btn.dataset.filter = kind;
+  btn.dataset.value = value;
+  btn.setAttribute('aria-pressed', 'false');
+  // click handled by the delegated listener in initControls()
+  return btn;
+}
+
+function buildFilterGroup(labelKey, buttons, modifier = '') {
+  const group = el('div', `portfolio-filter__group${modifier}`);
+  group.setAttribute('role', 'group');
+  group.setAttribute('aria-label', t(FILTER_LABELS[labelKey], activeLang));
+  buttons.forEach(btn => group.appendChild(btn));
+  return group;
+}
+
 function buildFilterBar(projects) {
-  const allTags = [...new Set(projects.flatMap(p => p.tags || []))];
-
-  const bar = el('div', 'portfolio-filter portfolio-filter--visible');
-  bar.setAttribute('role', 'group');
-  bar.setAttribute('aria-label', activeLang === 'de' ? 'Nach Thema filtern' : 'Filter by topic');
-
-  allTags.forEach(tag => {
-    const btn = el('button', 'portfolio-filter__btn', tag);
-    btn.setAttribute('aria-pressed', 'false');
-    btn.addEventListener('click', () => {
-      btn.setAttribute('aria-pressed',
-        btn.getAttribute('aria-pressed') === 'true' ? 'false' : 'true'
-      );
-      // TODO: implement filter logic when multiple projects exist
-    });
-    bar.appendChild(btn);
+  // One button per tag key (case and accents ignored), spelled as first used
+  const allTags = projects.flatMap(p => p.tags || [])
+    .filter((tag, i, tags) => tags.findIndex(other => tagKey(other) === tagKey(tag)) === i);
+  const statuses = Object.keys(STATUS_LABELS).filter(status => projects.some(p => projectStatus(p) === status));
+  const L = key => t(FILTER_LABELS[key], activeLang);
+
+  const bar = el('form', 'portfolio-filter portfolio-filter--visible');
+  bar.setAttribute('role', 'search');
+  bar.setAttribute('aria-label', L('bar'));
+
+  // Search + sort
+  const row = el('div', 'portfolio-filter__row');
+  const searchLabel = el('label', 'portfolio-filter__field');
+  searchLabel.appendChild(el('span', 'portfolio-filter__label', L('search')));
+  const search = el('input', 'portfolio-filter__search');
+  search.type = 'search';
+  search.name = 'q';
+  search.placeholder = L('searchHint');
+  search.autocomplete = 'off';
+  searchLabel.appendChild(search);
+  row.appendChild(searchLabel);
+
+  const sortLabel = el('label', 'portfolio-filter__field');
+  sortLabel.appendChild(el('span', 'portfolio-filter__label', L('sort')));
+  const sort = el('select', 'portfolio-filter__sort');
+  sort.name = 'sort';
+  Object.entries(SORT_OPTIONS).forEach(([value, label]) => {
+    const option = el('option', null, t(label, activeLang));
+    option.value = value;
+    sort.appendChild(option);
   });
+  sortLabel.appendChild(sort);
+  row.appendChild(sortLabel);
+  bar.appendChild(row);
+
+  // Tags, how to combine them, status
+  bar.appendChild(buildFilterGroup('tags', allTags.map(tag => buildFilterButton('tag', tag, tag))));
+  bar.appendChild(buildFilterGroup('match', [
+    buildFilterButton('match', 'any', L('any')),
+    buildFilterButton('match', 'all', L('all')),
+  ], ' portfolio-filter__group--match'));
+  bar.appendChild(buildFilterGroup('status',
+    statuses.map(status => buildFilterButton('status', status, t(STATUS_LABELS[status], activeLang)))));
+
+  // Result count, announced to screen readers, + reset
+  const footer = el('div', 'portfolio-filter__row');
+  const result = el('p', 'portfolio-filter__result');
+  result.setAttribute('role', 'status');
+  result.setAttribute('aria-live', 'polite');
+  footer.appendChild(result);
+  const reset = el('button', 'portfolio-filter__reset', L('reset'));
+  reset.type = 'button';
+  footer.appendChild(reset);
+  bar.appendChild(footer);
 
   return bar;
 }
 
+function buildEmptyState() {
+  const empty = el('div', 'portfolio-empty');
+  empty.hidden = true;
+  empty.appendChild(el('p', 'portfolio-empty__text', t(FILTER_LABELS.empty, activeLang)));
+  const reset = el('button', 'portfolio-filter__reset', t(FILTER_LABELS.reset, activeLang));
+  reset.type = 'button';
+  empty.appendChild(reset);
+  return empty;
+}
+
+const EMPTY_FILTERS = { tags: [], match: 'any', status: [], q: '', sort: '' };
+
+/** Filter state from the URL query */
+function readFilters() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    tags: params.getAll('tag'),
+    match: params.get('match') === 'all' ? 'all' : 'any',
+    status: params.getAll('status').filter(status => STATUS_LABELS[status]),
+    q: params.get('q') || '',
+    sort: SORT_OPTIONS[params.get('sort')] ? params.get('sort') : '',
+  };
+}
+
+/** Mirror the state in the URL without adding history entries */
+function writeFilters(filters) {
+  const url = new URL(window.location.href);
+  ['tag', 'match', 'status', 'q', 'sort'].forEach(key => url.searchParams.delete(key));
+  filters.tags.forEach(tag => url.searchParams.append('tag', tag));
+  if (filters.tags.length > 1 && filters.match === 'all') url.searchParams.set('match', 'all');
+  filters.status.forEach(status => url.searchParams.append('status', status));
+  if (filters.q.trim()) url.searchParams.set('q', filters.q.trim());
+  if (filters.sort) url.searchParams.set('sort', filters.sort);
+  history.replaceState(history.state, '', url);
+}
+
+function cardMatches(card, filters) {
+  // Tags match by tagKey, so ?tag=ux%20research finds "UX Research"
+  const keys = JSON.parse(card.dataset.tags || '[]').map(tagKey);
+  if (filters.tags.length) {
+    const hit = tag => keys.includes(tagKey(tag));
+    if (filters.match === 'all' ? !filters.tags.every(hit) : !filters.tags.some(hit)) return false;
+  }
+  if (filters.status.length && !filters.status.includes(card.dataset.status)) return false;
+
+  const words = foldText(filters.q).split(/\s+/).filter(Boolean);
+  if (words.length) {
+    // Title and teaser as rendered, i.e. in the active language
+    const text = foldText(['.portfolio-card__title', '.portfolio-card__teaser']
+      .map(selector => (card.querySelector(selector) || {}).textContent || '')
+      .join(' '));
+    if (!words.every(word => text.includes(word))) return false;
+  }
+  return true;
+}
+
+function compareCards(sort) {
+  const title = card => (card.querySelector('.portfolio-card__title') || {}).textContent || '';
+  if (sort === 'year') {
+    return (a, b) => Number(b.dataset.year) - Number(a.dataset.year) || a.dataset.order - b.dataset.order;
+  }
+  if (sort === 'title') return (a, b) => title(a).localeCompare(title(b), activeLang);
+  return (a, b) => a.dataset.order - b.dataset.order;
+}
+
+let activeFilters = { ...EMPTY_FILTERS };
+
+/**
+ * Show, hide and order the cards for the current filters, update the
+ * controls to match and announce the result. `announce` is false for the
+ * initial state, which needs no announcement.
+ */
+function applyFilters({ announce = false } = {}) {
+  const bar = document.querySelector('.portfolio-filter');
+  const list = document.querySelector('.portfolio-grid__list');
+  if (!bar || !list) return;
+  const filters = activeFilters;
+
+  // Controls
+  bar.querySelectorAll('.portfolio-filter__btn').forEach(btn => {
+    const { filter, value } = btn.dataset;
+    const pressed = filter === 'tag' ? filters.tags.some(tag => tagKey(tag) === tagKey(value))
+      : filter === 'status' ? filters.status.includes(value)
+      : filters.match === value;
+    btn.setAttribute('aria-pressed', String(pressed));
+  });
+  const search = bar.querySelector('.portfolio-filter__search');
+  if (search && search.value !== filters.q) search.value = filters.q;
+  const sort = bar.querySelector('.portfolio-filter__sort');
+  if (sort) sort.value = filters.sort;
+  // AND/OR only matters with two or more tags
+  const match = bar.querySelector('.portfolio-filter__group--match');
+  if (match) match.hidden = filters.tags.length < 2;
+
+  // Cards
+  const cards = [...list.querySelectorAll('.portfolio-card')];
+  cards.sort(compareCards(filters.sort)).forEach(card => list.appendChild(card));
+  const visible = cards.filter(card => {
+    card.hidden = !cardMatches(card, filters);
+    return !card.hidden;
+  });
+
+  const filtered = visible.length < cards.length;
+  const empty = document.querySelector('.portfolio-empty');
+  if (empty) empty.hidden = visible.length > 0;
+  bar.querySelectorAll('.portfolio-filter__reset').forEach(btn => { btn.hidden = !isFiltering(filters); });
+
+  // Live region: "3 of 5 projects", rewritten after each change so a
+  // screen reader hears the result
+  const result = bar.querySelector('.portfolio-filter__result');
+  if (result) {
+    const text = activeLang === 'de'
+      ? (filtered ? `${visible.length} von ${cards.length} Projekten` : `${cards.length} Projekte`)
+      : (filtered ? `${visible.length} of ${cards.length} projects` : `${cards.length} projects`);
+    if (announce || !result.textContent) result.textContent = text;
+  }
+}
+
+function isFiltering(filters) {
+  return filters.tags.length > 0 || filters.status.length > 0 || filters.q.trim() !== '' || filters.sort !== '';
+}
+
+/** Apply a change from the controls */
+function updateFilters(change) {
+  activeFilters = { ...activeFilters, ...change };
+  writeFilters(activeFilters);
+  applyFilters({ announce: true });
+}
+
+/** Add `value` to the list, or remove it and every item with the same key */
+function toggleValue(list, value, keyOf = item => item) {
+  const key = keyOf(value);
+  return list.some(item => keyOf(item) === key) ? list.filter(item => keyOf(item) !== key) : [...list, value];
+}
+
 /* ── Shared topbar builders ──────────────────────────────────── */
 
 function buildOverviewTopbar() {
   const nav = el('nav', 'portfolio-topbar');
   nav.setAttribute('role', 'navigation');
-  nav.setAttribute('aria-label', activeLang === 'de' ? 'Seiten-Navigation' : 'Page navigation');
+  nav.setAttribute('aria-label', t(SITE_LABELS.pageNav, activeLang));
 
   const back = el('a', 'portfolio-topbar__back');
-  back.href = '/';
+  back.href = pageHref('/', activeLang);
   back.innerHTML = '<span aria-hidden="true">←</span>';
   back.appendChild(document.createTextNode('\u00A0Mathis Thomsen'));
   nav.appendChild(back);
@@ -578,10 +1934,10 @@ function buildOverviewTopbar() {
 function buildDetailTopbar() {
   const nav = el('nav', 'portfolio-topbar case-study-topbar');
   nav.setAttribute('role', 'navigation');
-  nav.setAttribute('aria-label', activeLang === 'de' ? 'Seiten-Navigation' : 'Page navigation');
+  nav.setAttribute('aria-label', t(SITE_LABELS.pageNav, activeLang));
 
   const back = el('a', 'portfolio-topbar__back');
-  back.href = '/portfolio/';
+  back.href = pageHref('/portfolio/', activeLang);
   back.innerHTML = '<span aria-hidden="true">←</span>';
   back.appendChild(document.createTextNode(
     '\u00A0' + (activeLang === 'de' ? 'Portfolio' : 'Portfolio')
@@ -595,9 +1951,7 @@ function buildDetailTopbar() {
 function buildLangToggle() {
   const wrap = el('div', 'portfolio-topbar__lang');
   wrap.setAttribute('role', 'group');
-  wrap.setAttribute('aria-label',
-    activeLang === 'de' ? 'Sprache wählen' : 'Select language'
-  );
+  wrap.setAttribute('aria-label', t(SITE_LABELS.langToggle, activeLang));
 
   SUPPORTED_LANGS.forEach((lang, i) => {
     if (i > 0) {
@@ -612,7 +1966,7 @@ function buildLangToggle() {
     btn.setAttribute('aria-label',
       lang === 'de' ? 'Auf Deutsch wechseln' : 'Switch to English'
     );
-    btn.addEventListener('click', () => setLang(lang));
+    // click handled by the delegated listener in initControls()
     wrap.appendChild(btn);
   });
 
@@ -635,9 +1989,20 @@ function buildFooter() {
 
 function setLang(lang) {
   if (!SUPPORTED_LANGS.includes(lang)) return;
+
+  storeLang(lang);
+
+  // Language-prefixed URL: the other language is its own page. Only the
+  // unprefixed print dossier re-renders in place.
+  const pathLang = langFromPath();
+  if (pathLang) {
+    if (pathLang !== lang) window.location.assign(localizedUrl(lang));
+    return;
+  }
+
   activeLang = lang;
-  localStorage.setItem(STORAGE_KEY, lang);
   document.documentElement.lang = lang;
+  applySiteLabels(lang);
 
   // Update all toggle buttons on page
   document.querySelectorAll('.portfolio-topbar__lang-btn').forEach(btn => {
@@ -645,36 +2010,143 @@ function setLang(lang) {
   });
 
   // Re-render the active page
-  if (portfolioData) {
-    const overview = document.getElementById('portfolio-overview');
-    const detail   = document.getElementById('portfolio-detail');
-    if (overview) renderOverview(portfolioData);
-    if (detail)   renderDetail(portfolioData, detail.dataset.slug);
-    document.dispatchEvent(new CustomEvent('portfolio-rendered'));
-  }
+  loadPortfolioData()
+    .then(rerender)
+    .catch(err => console.error('[portfolio] Failed to load portfolio.json:', err.message));
+}
+
+/** Render whichever page this is again, e.g. after a language switch */
+function rerender(data) {
+  const overview = document.getElementById('portfolio-overview');
+  const detail   = document.getElementById('portfolio-detail');
+  const dossier  = document.getElementById('portfolio-dossier');
+  if (overview) renderOverview(data);
+  if (detail)   renderDetail(data, detail.dataset.slug);
+  if (dossier)  renderDossier(data);
+  document.dispatchEvent(new CustomEvent('portfolio-rendered'));
+}
+
+/* ── Live reload (dev server) ────────────────────────────────── */
+/* Edits to data/portfolio.json re-render in place, keeping the    */
+/* scroll position; preventDefault() stops the snippet's reload.   */
+
+function initLiveData() {
+  document.addEventListener('data-changed', (e) => {
+    if (e.detail.file !== '/data/portfolio.json') return;
+    e.preventDefault();
+
+    portfolioData = null;
+    loadPortfolioData()
+      .then(data => {
+        const scrollY = window.scrollY;
+        rerender(data);
+        window.scrollTo(0, scrollY);
+      })
+      .catch(err => console.error('[portfolio] Failed to load portfolio.json:', err.message));
+  });
+}
+
+/* ── Controls ────────────────────────────────────────────────── */
+/* Delegated from document, so buttons work the same whether they */
+/* were rendered here or arrive pre-rendered in the HTML.          */
+
+function initControls() {
+  document.addEventListener('click', (e) => {
+    const langBtn = e.target.closest('.portfolio-topbar__lang-btn');
+    if (langBtn) {
+      setLang(langBtn.dataset.lang);
+      return;
+    }
+
+    const filterBtn = e.target.closest('.portfolio-filter__btn');
+    if (filterBtn) {
+      const { filter, value } = filterBtn.dataset;
+      if (filter === 'tag')    updateFilters({ tags: toggleValue(activeFilters.tags, value, tagKey) });
+      if (filter === 'status') updateFilters({ status: toggleValue(activeFilters.status, value) });
+      if (filter === 'match')  updateFilters({ match: value });
+      return;
+    }
+
+    const zoomBtn = e.target.closest('.cs-figure__zoom');
+    if (zoomBtn) {
+      // No <dialog> support: the button is still a plain image
+      if (typeof HTMLDialogElement === 'function') openLightbox(zoomBtn);
+      return;
+    }
+
+    const embedBtn = e.target.closest('.cs-embed__load');
+    if (embedBtn) {
+      loadEmbed(embedBtn);
+      return;
+    }
+
+    const resetBtn = e.target.closest('.portfolio-filter__reset');
+    if (resetBtn) {
+      updateFilters(EMPTY_FILTERS);
+      const search = document.querySelector('.portfolio-filter__search');
+      if (search) search.focus();
+    }
+  });
+
+  document.addEventListener('input', (e) => {
+    if (e.target.matches('.portfolio-filter__search')) updateFilters({ q: e.target.value });
+    if (e.target.matches('.cs-compare__range')) setComparePosition(e.target);
+  });
+
+  document.addEventListener('change', (e) => {
+    if (e.target.matches('.portfolio-filter__sort')) updateFilters({ sort: e.target.value });
+  });
+
+  // Enter in the search field would submit the filter form
+  document.addEventListener('submit', (e) => {
+    if (e.target.matches('.portfolio-filter')) e.preventDefault();
+  });
 }
 
 /* ── Init ────────────────────────────────────────────────────── */
 
+/** Fetch /data/portfolio.json once; pre-rendered pages only need it on language switch */
+async function loadPortfolioData() {
+  if (portfolioData) return portfolioData;
+  const res = await fetch('/data/portfolio.json');
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  portfolioData = await res.json();
+  return portfolioData;
+}
+
 async function init() {
   activeLang = resolveInitialLang();
   document.documentElement.lang = activeLang;
+  applySiteLabels(activeLang);
+  activeFilters = readFilters();
+  initControls();
+  initLiveData();
+  initVideos();
+  initScrollspy();
+
+  // Pre-rendered page (npm run build) in the language we want: the markup
+  // is already complete, only apply the filters from the URL and hand it
+  // over to animations.js
+  if (document.documentElement.dataset.prerendered === activeLang) {
+    applyFilters();
+    adoptPlaceholders();
+    document.dispatchEvent(new CustomEvent('portfolio-rendered'));
+    return;
+  }
+
+  const overview = document.getElementById('portfolio-overview');
+  const detail   = document.getElementById('portfolio-detail');
+  const dossier  = document.getElementById('portfolio-dossier');
 
   let data;
   try {
-    const res = await fetch('/data/portfolio.json');
-    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-    data = await res.json();
+    // cv.json only for the employer in case study headers
+    [data] = await Promise.all([loadPortfolioData(), loadImageManifest(), (detail || dossier) && loadCvData()]);
   } catch (err) {
     console.error('[portfolio] Failed to load portfolio.json:', err.message);
     return;
   }
 
-  portfolioData = data;
-
-  const overview = document.getElementById('portfolio-overview');
-  const detail   = document.getElementById('portfolio-detail');
-
   if (overview) {
     // Inject topbar into the static topbar placeholder
     const topbarPlaceholder = document.getElementById('portfolio-topbar-placeholder');
@@ -688,6 +2160,10 @@ async function init() {
     renderDetail(data, detail.dataset.slug);
   }
 
+  if (dossier) {
+    renderDossier(data);
+  }
+
   document.dispatchEvent(new CustomEvent('portfolio-rendered'));
 }
 
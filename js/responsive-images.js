@@ -0,0 +1,82 @@
+/**
+ * responsive-images.js — Images from the image pipeline (server/images.js)
+ *
+ * Turns an <img> into a <picture> with AVIF and WebP <source>s, sets its
+ * intrinsic size and shows the blurred preview until the file is there,
+ * all from /img/manifest.json. Used by cv.js and portfolio.js, which load
+ * after it (global `ResponsiveImages`).
+ */
+
+(function (global) {
+  'use strict';
+
+  let imageManifest = {};
+
+  /** Fetch /img/manifest.json; without it images keep their original file */
+  async function loadImageManifest() {
+    try {
+      const response = await fetch('/img/manifest.json');
+      if (response.ok) imageManifest = await response.json();
+    } catch {
+      // Static host without the manifest — nothing to upgrade
+    }
+  }
+
+  function variantSrcset(src, widths, format) {
+    return widths.map(width => `/img${src}/${width}.${format} ${width}w`).join(', ');
+  }
+
+  /** Drop the blurred preview once the real image is there */
+  function clearPlaceholder(img) {
+    img.classList.remove('has-placeholder');
+    img.style.removeProperty('background-image');
+  }
+
+  /**
+   * Serve `img` (showing `src`) from the manifest's variants: wrapped in a
+   * <picture> with AVIF and WebP sources, JPEG widths in its own srcset.
+   * Returns what to insert — the <picture>, or `img` for unknown images.
+   * An `img` already in the page is swapped for its <picture> in place.
+   */
+  function responsiveImage(img, src, sizes) {
+    const info = imageManifest[src];
+    if (!info) return img;
+
+    // Intrinsic size reserves the space before the file arrives
+    if (info.width && info.height && !img.hasAttribute('width')) {
+      img.width = info.width;
+      img.height = info.height;
+    }
+    if (!info.widths || !info.formats) return img; // no variants without sharp
+
+    const picture = document.createElement('picture');
+    if (img.parentNode) img.replaceWith(picture);
+    info.formats.filter(format => format !== 'jpg').forEach(format => {
+      const source = document.createElement('source');
+      source.type = `image/${format}`;
+      source.srcset = variantSrcset(src, info.widths, format);
+      source.sizes = sizes;
+      picture.appendChild(source);
+    });
+    img.srcset = variantSrcset(src, info.widths, 'jpg');
+    img.sizes = sizes;
+
+    if (info.placeholder && !img.complete) {
+      img.classList.add('has-placeholder');
+      img.style.backgroundImage = `url("${info.placeholder}")`;
+      img.addEventListener('load', () => clearPlaceholder(img), { once: true });
+    }
+    picture.appendChild(img);
+    return picture;
+  }
+
+  /** Pre-rendered pages carry the previews in their markup: clear them on load */
+  function adoptPlaceholders(root = document) {
+    root.querySelectorAll('img.has-placeholder').forEach(img => {
+      if (img.complete) clearPlaceholder(img);
+      else img.addEventListener('load', () => clearPlaceholder(img), { once: true });
+    });
+  }
+
+  global.ResponsiveImages = { loadImageManifest, responsiveImage, adoptPlaceholders };
+}(self));
@@ -0,0 +1,215 @@
+/**
+ * rich-text.js — Inline markup of content fields
+ *
+ * Long-form fields of cv.json and portfolio.json (README → "Rich text")
+ * take a small Markdown subset:
+ *
+ *   **bold**   *italic*   `code`   [link text](https://…)
+ *   \*  \`  \[  \]  \\       → the character itself
+ *   line break               → line break
+ *   lines starting with "- " → bullet list      (block fields only)
+ *   blank line               → new paragraph    (block fields only)
+ *
+ * Links may point to http(s)://, mailto:, tel:, site paths (/…) and
+ * anchors (#…); anything else keeps only the link text. Everything else
+ * is text — HTML in a field shows as written.
+ *
+ * parseBlocks() and parseInline() return the structure everything renders
+ * from: the pages (appendInline(), appendBlocks() — only <strong>, <em>,
+ * <code>, <a>, <br>, <p> and <ul> are created, content is never parsed as
+ * HTML), the search palette (plainText(), foldText()) and the exports
+ * (server/rich-text.js, cv-document.js, docx.js).
+ *
+ * One file for both sides: the pages load it as a classic script before
+ * their own (global `RichText`), the server require()s it.
+ *
+ * Inline nodes:
+ *   { type: 'text', text }
+ *   { type: 'strong' | 'em', children }
+ *   { type: 'code', text }
+ *   { type: 'link', url, children }
+ *   { type: 'break' }
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.RichText = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // Link targets a content field may use; other links keep only their text
+  const SAFE_URL = /^(https?:\/\/|mailto:|tel:|\/(?!\/)|#)/i;
+  // [text](target) — a target may hold one level of parentheses, as in Wikipedia URLs
+  const MARKUP_LINK = /\[[^\]\n]+\]\(((?:[^()\s]|\([^()\s]*\))+)\)/g;
+  const LIST_ITEM = /^\s*-\s+/;
+
+  /** Inline nodes of one paragraph or list item */
+  function parseInline(text) {
+    // A new regex per call: the parse recurses into bold, italic and link text.
+    // Emphasis ends at the first closing mark (lazy ??), so "**a** **b**" is two.
+    const pattern = /\\([\\`*[\]])|\*\*(\S(?:.*?\S)??)\*\*|\*(\S(?:.*?\S)??)\*|`([^`\n]+)`|\[([^\]\n]+)\]\(((?:[^()\s]|\([^()\s]*\))+)\)|\n/g;
+    const nodes = [];
+    const pushText = value => {
+      if (!value) return;
+      const last = nodes[nodes.length - 1];
+      if (last && last.type === 'text') last.text += value;
+      else nodes.push({ type: 'text', text: value });
+    };
+
+    let pos = 0;
+    let match;
+    const source = String(text || '');
+    while ((match = pattern.exec(source))) {
+      const [whole, escaped, bold, italic, code, label, url] = match;
+      pushText(source.slice(pos, match.index));
+      if (escaped) pushText(escaped);
+      else if (bold) nodes.push({ type: 'strong', children: parseInline(bold) });
+      else if (italic) nodes.push({ type: 'em', children: parseInline(italic) });
+      else if (code) nodes.push({ type: 'code', text: code });
+      else if (label && SAFE_URL.test(url)) nodes.push({ type: 'link', url, children: parseInline(label) });
+      else if (label) parseInline(label).forEach(node => (node.type === 'text' ? pushText(node.text) : nodes.push(node)));
+      else nodes.push({ type: 'break' });
+      pos = match.index + whole.length;
+    }
+    pushText(source.slice(pos));
+    return nodes;
+  }
+
+  /**
+   * Paragraphs and bullet lists of a block field, their text still marked up:
+   * [{ type: 'paragraph', text }, { type: 'list', items: [text] }]
+   */
+  function parseBlocks(text) {
+    const blocks = [];
+    String(text || '').split(/\n[ \t]*\n/).forEach(chunk => {
+      chunk.split('\n').forEach(line => {
+        const last = blocks[blocks.length - 1];
+        if (LIST_ITEM.test(line)) {
+          const item = line.replace(LIST_ITEM, '');
+          if (last && last.type === 'list' && !last.closed) last.items.push(item);
+          else blocks.push({ type: 'list', items: [item] });
+        } else if (line.trim()) {
+          if (last && last.type === 'paragraph' && !last.closed) last.text += `\n${line}`;
+          else blocks.push({ type: 'paragraph', text: line });
+        }
+      });
+      // A blank line ends the paragraph or list before it
+      if (blocks.length) blocks[blocks.length - 1].closed = true;
+    });
+    return blocks.map(({ closed, ...block }) => block);
+  }
+
+  /** Text of inline nodes, without markup or link targets */
+  function textContent(nodes) {
+    return nodes.map(node => {
+      if (node.type === 'break') return '\n';
+      return node.children ? textContent(node.children) : node.text;
+    }).join('');
+  }
+
+  /** A block field as one line of text, without markup — for search */
+  function plainText(text) {
+    return parseBlocks(text)
+      .flatMap(block => (block.type === 'list' ? block.items : [block.text]))
+      .map(item => textContent(parseInline(item)))
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Lowercase, without diacritics — "Über" matches "uber". Search and tag
+   * matching (palette, portfolio filters, CV ↔ portfolio links) all fold
+   * with this, independent of the browser's locale.
+   */
+  function foldText(text) {
+    return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * Key a tag is matched by: the CV links skills and experiences to the
+   * portfolio projects whose tag has the same key, the portfolio groups
+   * and filters projects by it
+   */
+  function tagKey(tag) {
+    return foldText(String(tag).trim());
+  }
+
+  /**
+   * "Ziele & Ergebnisse" → "ziele-ergebnisse", or `fallback` when nothing
+   * is left. Case study heading anchors and imported CV ids — deep links
+   * depend on these rules staying as they are.
+   */
+  function slugify(text, fallback) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/ß/g, 'ss')
+      .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || fallback;
+  }
+
+  /** Append inline nodes to `parent` as <strong>, <em>, <code>, <a> and <br> */
+  function appendNodes(parent, nodes) {
+    const doc = parent.ownerDocument;
+    nodes.forEach(node => {
+      switch (node.type) {
+        case 'text':
+          parent.append(node.text);
+          break;
+        case 'break':
+          parent.appendChild(doc.createElement('br'));
+          break;
+        case 'code':
+          parent.appendChild(doc.createElement('code')).textContent = node.text;
+          break;
+        case 'link': {
+          const link = parent.appendChild(doc.createElement('a'));
+          link.href = node.url;
+          if (/^https?:/i.test(node.url)) {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+          }
+          appendNodes(link, node.children);
+          break;
+        }
+        default:
+          appendNodes(parent.appendChild(doc.createElement(node.type)), node.children);
+      }
+    });
+    return parent;
+  }
+
+  /** Append marked-up text to `parent` (bullets, descriptions, pull quotes) */
+  function appendInline(parent, text) {
+    return appendNodes(parent, parseInline(text));
+  }
+
+  /** Append marked-up paragraphs and bullet lists to `parent` */
+  function appendBlocks(parent, text) {
+    const doc = parent.ownerDocument;
+    parseBlocks(text).forEach(block => {
+      if (block.type === 'list') {
+        const list = parent.appendChild(doc.createElement('ul'));
+        block.items.forEach(item => appendInline(list.appendChild(doc.createElement('li')), item));
+      } else {
+        appendInline(parent.appendChild(doc.createElement('p')), block.text);
+      }
+    });
+    return parent;
+  }
+
+  return {
+    SAFE_URL,
+    MARKUP_LINK,
+    parseInline,
+    parseBlocks,
+    textContent,
+    plainText,
+    foldText,
+    tagKey,
+    slugify,
+    appendInline,
+    appendBlocks,
+  };
+}));
@@ -0,0 +1,115 @@
+/**
+ * site.js — Language and page helpers every page script shares
+ *
+ * The active language (/de/ or /en/ URL prefix → ?lang= → localStorage →
+ * navigator.language → 'de'), its persistence under the 'cv-lang' key and
+ * cookie, localized { de, en } fields, links in the page's language scheme
+ * and plain-text elements — for card.js, cv.js, portfolio.js and
+ * palette.js alike.
+ *
+ * SITE_LABELS are the labels the static HTML carries in German: the skip
+ * link and the aria-labels of elements marked data-i18n-label="<key>".
+ * server/lang-routes.js (localizeHtml) writes them in the page's language
+ * for /en/…, applySiteLabels() after a switch in place.
+ *
+ * One file for both sides: the pages load it as a classic script before
+ * their own (global `Site`), cv-format.js and the server require() it.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Site = factory();
+}(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const SUPPORTED_LANGS = ['de', 'en'];
+  const STORAGE_KEY = 'cv-lang'; // also the cookie server/lang-routes.js reads
+
+  const SITE_LABELS = {
+    skipLink:   { de: 'Zum Inhalt springen', en: 'Skip to content' },
+    pageNav:    { de: 'Seiten-Navigation',   en: 'Page navigation' },
+    langToggle: { de: 'Sprache wählen',      en: 'Select language' },
+    contact:    { de: 'Kontakt',             en: 'Contact' },
+  };
+
+  /** Resolve a bilingual { de, en } field (or a plain string) */
+  function t(field, lang) {
+    if (!field) return '';
+    if (typeof field === 'string') return field;
+    return field[lang] || field['de'] || '';
+  }
+
+  /** Language from a /de/… or /en/… URL prefix, or null on unprefixed pages */
+  function langFromPath() {
+    const match = window.location.pathname.match(/^\/(de|en)(?:\/|$)/);
+    return match ? match[1] : null;
+  }
+
+  /** Resolve initial language: URL prefix > query param > localStorage > browser > 'de' */
+  function resolveInitialLang() {
+    const pathLang = langFromPath();
+    if (pathLang) return pathLang;
+
+    const params = new URLSearchParams(window.location.search);
+    const qLang = params.get('lang');
+    if (qLang && SUPPORTED_LANGS.includes(qLang)) return qLang;
+
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (stored && SUPPORTED_LANGS.includes(stored)) return stored;
+
+    const browser = (navigator.language || '').toLowerCase().slice(0, 2);
+    return SUPPORTED_LANGS.includes(browser) ? browser : 'de';
+  }
+
+  /**
+   * Remember a language switch — the cookie mirror lets the server pick
+   * the language for unprefixed URLs (/cv/ → /en/cv/)
+   */
+  function storeLang(lang) {
+    localStorage.setItem(STORAGE_KEY, lang);
+    document.cookie = `${STORAGE_KEY}=${lang}; path=/; max-age=31536000; SameSite=Lax`;
+  }
+
+  /** Current URL with its /de/ or /en/ prefix swapped for `lang` */
+  function localizedUrl(lang) {
+    const { pathname, search, hash } = window.location;
+    return pathname.replace(/^\/(de|en)(?=\/|$)/, `/${lang}`) + search + hash;
+  }
+
+  /** Link to a site page, in `lang` when this page has a language prefix */
+  function pageHref(pagePath, lang) {
+    return langFromPath() ? `/${lang}${pagePath}` : pagePath;
+  }
+
+  /** Skip link and data-i18n-label aria-labels of the page in `lang` */
+  function applySiteLabels(lang) {
+    const skipLink = document.querySelector('.skip-link');
+    if (skipLink) skipLink.textContent = t(SITE_LABELS.skipLink, lang);
+    document.querySelectorAll('[data-i18n-label]').forEach(node => {
+      const label = SITE_LABELS[node.dataset.i18nLabel];
+      if (label) node.setAttribute('aria-label', t(label, lang));
+    });
+  }
+
+  /** Element with a class and plain text — `text` is never parsed as HTML */
+  function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  return {
+    SUPPORTED_LANGS,
+    STORAGE_KEY,
+    SITE_LABELS,
+    t,
+    langFromPath,
+    resolveInitialLang,
+    storeLang,
+    localizedUrl,
+    pageHref,
+    applySiteLabels,
+    el,
+  };
+}));
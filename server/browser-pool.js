@@ -0,0 +1,128 @@
+/**
+ * server/browser-pool.js — Long-lived Puppeteer browser pool
+ *
+ * Keeps a small number of Chromium instances warm so a PDF request only
+ * pays for opening a tab, not for booting a browser. Renders are funnelled
+ * through a bounded queue: at most `size` pages render at once, at most
+ * `queueLimit` requests wait behind them, anything beyond that is rejected
+ * with a QUEUE_FULL error so the caller can answer 503.
+ *
+ * Usage:
+ *   const pool = createBrowserPool({ size: 2, queueLimit: 10 });
+ *   const pdf = await pool.withPage(async (page) => page.pdf());
+ *   await pool.close();
+ */
+
+'use strict';
+
+const LAUNCH_OPTIONS = {
+  headless: 'new',
+  args: ['--no-sandbox', '--disable-setuid-sandbox'],
+};
+
+class PoolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'PoolError';
+    this.code = code;
+  }
+}
+
+/**
+ * @param {object}  [options]
+ * @param {number}  [options.size=2]        Browsers kept warm (= max parallel renders)
+ * @param {number}  [options.queueLimit=10] Requests allowed to wait for a free browser
+ */
+function createBrowserPool({ size = 2, queueLimit = 10 } = {}) {
+  let puppeteer = null;
+  let closed = false;
+
+  /** @type {{ browser: Promise<import('puppeteer').Browser>|null, busy: boolean }[]} */
+  const slots = Array.from({ length: size }, () => ({ browser: null, busy: false }));
+  const waiting = [];
+
+  function loadPuppeteer() {
+    if (puppeteer) return puppeteer;
+    try {
+      puppeteer = require('puppeteer');
+    } catch {
+      throw new PoolError('NO_PUPPETEER', 'Puppeteer not installed. Run: npm install');
+    }
+    return puppeteer;
+  }
+
+  /** Lazily launch (or relaunch after a crash) the browser behind a slot */
+  function getBrowser(slot) {
+    if (!slot.browser) {
+      slot.browser = loadPuppeteer().launch(LAUNCH_OPTIONS).then(browser => {
+        browser.on('disconnected', () => { slot.browser = null; });
+        return browser;
+      });
+      // A failed launch must not poison the slot for the next request
+      slot.browser.catch(() => { slot.browser = null; });
+    }
+    return slot.browser;
+  }
+
+  function acquire() {
+    if (closed) return Promise.reject(new PoolError('CLOSED', 'Browser pool is shut down'));
+
+    const free = slots.find(s => !s.busy);
+    if (free) {
+      free.busy = true;
+      return Promise.resolve(free);
+    }
+
+    if (waiting.length >= queueLimit) {
+      return Promise.reject(new PoolError('QUEUE_FULL', 'Too many export requests, try again shortly'));
+    }
+    return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+  }
+
+  function release(slot) {
+    const next = waiting.shift();
+    if (next) {
+      next.resolve(slot); // hand the slot over directly, it stays busy
+    } else {
+      slot.busy = false;
+    }
+  }
+
+  /**
+   * Run `fn` with a fresh page from a warm browser. The page is always
+   * closed afterwards; the browser stays up for the next request.
+   */
+  async function withPage(fn) {
+    loadPuppeteer();
+    const slot = await acquire();
+    let page;
+    try {
+      const browser = await getBrowser(slot);
+      page = await browser.newPage();
+      return await fn(page);
+    } finally {
+      if (page) await page.close().catch(() => {});
+      release(slot);
+    }
+  }
+
+  /** Reject queued requests and shut every browser down */
+  async function close() {
+    closed = true;
+    waiting.splice(0).forEach(w => w.reject(new PoolError('CLOSED', 'Browser pool is shut down')));
+    await Promise.all(slots.map(async slot => {
+      if (!slot.browser) return;
+      const browser = await slot.browser.catch(() => null);
+      slot.browser = null;
+      if (browser) await browser.close().catch(() => {});
+    }));
+  }
+
+  return {
+    withPage,
+    close,
+    get pending() { return waiting.length; },
+  };
+}
+
+module.exports = { createBrowserPool, PoolError };
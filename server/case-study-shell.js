@@ -0,0 +1,74 @@
+/**
+ * server/case-study-shell.js — HTML shell for a case study page
+ *
+ * A case study page is an empty #portfolio-detail container that
+ * portfolio.js fills from data/portfolio.json. Only <title> and the meta
+ * description need to be known up front, and both come from the JSON
+ * entry, so the shell is generated rather than copied by hand.
+ *
+ * Used by server/export.js (served on the fly for /portfolio/:slug/) and
+ * by server/generate-shells.js (written to disk for the static deploy).
+ */
+
+'use strict';
+
+const { SITE_LABELS, t } = require('../js/site');
+
+const SITE_NAME = 'Mathis Thomsen';
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {object} project  Entry from portfolio.json "projects"
+ * @param {string} [lang]   Language of the static title/description
+ * @returns {string} Complete HTML document
+ */
+function renderCaseStudyShell(project, lang = 'de') {
+  const title = `${t(project.title, lang)} — ${SITE_NAME}`;
+  const description = t(project.teaser, lang) || title;
+
+  return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="description" content="${escapeHtml(description)}">
+  <meta name="robots" content="noindex, nofollow">
+  <link rel="icon" href="/assets/favicon.svg" type="image/svg+xml">
+
+  <title>${escapeHtml(title)}</title>
+
+  <!-- Preload critical font -->
+  <link rel="preload" href="/assets/fonts/SpaceGrotesk-Variable.woff2" as="font" type="font/woff2" crossorigin>
+
+  <link rel="stylesheet" href="/css/base.css">
+  <link rel="stylesheet" href="/css/portfolio.css">
+</head>
+<body>
+
+  <a href="#main" class="skip-link">${t(SITE_LABELS.skipLink, lang)}</a>
+
+  <!-- Entire page content (topbar + main + footer) rendered by portfolio.js -->
+  <!-- Generated from data/portfolio.json by server/generate-shells.js — do not edit -->
+  <div id="portfolio-detail" data-slug="${escapeHtml(project.slug)}"></div>
+
+  <!-- Shared helpers (window.Site, window.RichText, …) — classic
+       scripts, so they have run before the modules below -->
+  <script src="/js/site.js"></script>
+  <script src="/js/rich-text.js"></script>
+  <script src="/js/responsive-images.js"></script>
+  <script src="/js/animations.js" type="module"></script>
+  <script src="/js/portfolio.js" type="module"></script>
+  <script src="/js/palette.js" type="module"></script>
+</body>
+</html>
+`;
+}
+
+module.exports = { renderCaseStudyShell, escapeHtml };
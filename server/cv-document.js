@@ -0,0 +1,215 @@
+/**
+ * server/cv-document.js — CV as a single-column document (Markdown, text)
+ *
+ * buildCvDocument() turns one language of cv.json into a flat list of
+ * blocks with the same sections, in the same order, as renderAll() in
+ * js/cv.js. The renderers below (and docx.js) only decide how each block
+ * looks, so all text exports stay in step with the CV page.
+ *
+ * Blocks:
+ *   { type: 'title',     text, subtitle }       name + job title
+ *   { type: 'contact',   items: [{ text, url }] }
+ *   { type: 'heading',   level: 2|3|4, text, url? }
+ *   { type: 'meta',      text }                 period, issuer, … (secondary line)
+ *   { type: 'paragraph', text, rich? }
+ *   { type: 'list',      items: [text], rich? }
+ *   { type: 'links',     items: [{ text, url }] }
+ *
+ * `rich: true` marks text in the inline markup of rich-text.js (summary,
+ * bullets, project descriptions); all other text is plain.
+ */
+
+'use strict';
+
+const {
+  t,
+  formatPeriod,
+  formatProjectPeriod,
+  SECTION_LABELS,
+  SKILL_GROUP_LABELS,
+  levelWord,
+} = require('../js/cv-format');
+const { parseInline, parseBlocks, absoluteUrl, toPlain } = require('./rich-text');
+
+/** Blocks for one language of cv.json */
+function buildCvDocument(cv, lang) {
+  const blocks = [];
+  const push = (type, props) => blocks.push({ type, ...props });
+  // Sections a profile emptied (js/cv-profile.js) are left out, as on the page
+  const section = (key, items = [null]) => {
+    if (items.length) push('heading', { level: 2, text: SECTION_LABELS[key][lang] });
+  };
+  const meta = cv.meta || {};
+
+  push('title', { text: meta.name, subtitle: t(meta.title, lang) });
+  const contact = [
+    meta.email && { text: meta.email, url: `mailto:${meta.email}` },
+    meta.website && { text: meta.website, url: `https://${meta.website}` },
+  ].filter(Boolean);
+  if (contact.length) push('contact', { items: contact }); // none when anonymized
+
+  section('section.about');
+  parseBlocks(t(cv.summary, lang)).forEach(({ type, ...props }) => push(type, { ...props, rich: true }));
+
+  section('section.experience', cv.experience || []);
+  (cv.experience || []).forEach(job => {
+    push('heading', { level: 3, text: job.company, url: job.companyUrl || undefined });
+    push('meta', { text: formatPeriod(job.start, job.end, lang) });
+    const jobBullets = t(job.description, lang);
+    if (Array.isArray(jobBullets) && jobBullets.length) push('list', { items: jobBullets, rich: true });
+
+    job.roles.forEach(role => {
+      push('heading', { level: 4, text: t(role.title, lang) });
+      push('meta', { text: formatPeriod(role.start, role.end, lang) });
+      const roleBullets = t(role.description, lang);
+      if (Array.isArray(roleBullets) && roleBullets.length) push('list', { items: roleBullets, rich: true });
+    });
+
+    if (job.tags && job.tags.length) push('meta', { text: job.tags.join(' · ') });
+  });
+
+  section('section.education', cv.education || []);
+  (cv.education || []).forEach(edu => {
+    push('heading', { level: 3, text: t(edu.degree, lang) });
+    push('meta', { text: `${formatPeriod(edu.start, edu.end, lang)} · ${edu.institution}` });
+    if (edu.grade) push('paragraph', { text: lang === 'de' ? `Note: ${edu.grade}` : `Grade: ${edu.grade}` });
+    if (edu.focus) push('paragraph', { text: t(edu.focus, lang) });
+  });
+
+  // Skills and languages: bars on the page, words here
+  const skills = cv.skills || {};
+  const withLevel = skill => `${t(skill.name, lang)} — ${levelWord(skill.level, skill.max, lang)}`;
+  const misc = t(skills.misc, lang);
+  const hasMisc = Array.isArray(misc) && misc.length > 0;
+  section('section.skills', [...(skills.specialized || []), ...(skills.tools || []), ...(hasMisc ? misc : [])]);
+  ['specialized', 'tools'].forEach(group => {
+    if (!(skills[group] || []).length) return;
+    push('heading', { level: 3, text: SKILL_GROUP_LABELS[group][lang] });
+    push('list', { items: skills[group].map(withLevel) });
+  });
+  if (hasMisc) {
+    push('heading', { level: 3, text: SKILL_GROUP_LABELS.misc[lang] });
+    push('paragraph', { text: misc.join(' · ') });
+  }
+
+  section('section.languages');
+  push('list', {
+    items: (cv.languages || []).map(language => `${t(language.name, lang)} — ${t(language.label, lang)}`),
+  });
+
+  const certifications = cv.certifications || [];
+  section('section.certifications', certifications);
+  if (certifications.length) {
+    push('list', { items: certifications.map(cert => `${t(cert.title, lang)} — ${cert.issuer}`) });
+  }
+
+  section('section.projects', cv.projects || []);
+  (cv.projects || []).forEach(project => {
+    push('heading', { level: 3, text: t(project.title, lang) });
+    const period = formatProjectPeriod(project, lang);
+    if (period) push('meta', { text: period });
+    if (project.description) push('paragraph', { text: t(project.description, lang), rich: true });
+    if (project.links && project.links.length) {
+      push('links', { items: project.links.map(link => ({ text: link.label, url: link.url })) });
+    }
+  });
+
+  return blocks;
+}
+
+/** Join rendered blocks; a meta line stays right under its heading */
+function joinBlocks(blocks, rendered) {
+  return rendered.reduce((out, text, i) => {
+    if (i === 0) return text;
+    const tight = blocks[i].type === 'meta' && blocks[i - 1].type === 'heading';
+    return out + (tight ? '\n' : '\n\n') + text;
+  }, '') + '\n';
+}
+
+/* ── Markdown ────────────────────────────────────────────────── */
+
+/** Escape characters Markdown would otherwise treat as formatting */
+function escapeMarkdown(text) {
+  return String(text)
+    .replace(/([\\`*_[\]<>|])/g, '\\$1')
+    .replace(/^(#|\d+\.|[-+])(\s)/, '\\$1$2');
+}
+
+/** Marked-up text as Markdown; `indent` continues a list item after a line break */
+function richMarkdown(text, indent = '') {
+  const walk = nodes => nodes.map(node => {
+    switch (node.type) {
+      case 'text':   return escapeMarkdown(node.text);
+      case 'code':   return `\`${node.text}\``;
+      case 'break':  return `\\\n${indent}`;
+      case 'strong': return `**${walk(node.children)}**`;
+      case 'em':     return `*${walk(node.children)}*`;
+      case 'link': {
+        const url = absoluteUrl(node.url);
+        return url ? `[${walk(node.children)}](${url})` : walk(node.children);
+      }
+      default:       return '';
+    }
+  }).join('');
+  return walk(parseInline(text));
+}
+
+function toMarkdown(blocks) {
+  const md = escapeMarkdown;
+  const link = ({ text, url }) => `[${md(text)}](${url})`;
+
+  return joinBlocks(blocks, blocks.map(block => {
+    switch (block.type) {
+      case 'title':     return `# ${md(block.text)}\n\n**${md(block.subtitle)}**`;
+      case 'contact':   return block.items.map(link).join(' · ');
+      case 'heading':   return `${'#'.repeat(block.level)} ${block.url ? link(block) : md(block.text)}`;
+      case 'meta':      return `*${md(block.text)}*`;
+      case 'paragraph': return block.rich ? richMarkdown(block.text) : md(block.text);
+      case 'list':      return block.items.map(item => `- ${block.rich ? richMarkdown(item, '  ') : md(item)}`).join('\n');
+      case 'links':     return block.items.map(link).join(' · ');
+      default:          return '';
+    }
+  }));
+}
+
+/* ── Plain text ──────────────────────────────────────────────── */
+
+const TEXT_WIDTH = 78;
+
+/** Word-wrap to TEXT_WIDTH; continuation lines get `indent` */
+function wrap(text, firstPrefix = '', indent = '') {
+  const lines = [];
+  let line = firstPrefix;
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const empty = line === firstPrefix || line === indent;
+    if (!empty && line.length + 1 + word.length > TEXT_WIDTH) {
+      lines.push(line);
+      line = indent + word;
+    } else {
+      line += (empty ? '' : ' ') + word;
+    }
+  });
+  lines.push(line);
+  return lines.join('\n');
+}
+
+function toPlainText(blocks) {
+  const text = (value, rich) => (rich ? toPlain(value) : value);
+  return joinBlocks(blocks, blocks.map(block => {
+    switch (block.type) {
+      case 'title':     return `${block.text.toUpperCase()}\n${block.subtitle}`;
+      case 'contact':   return block.items.map(item => item.text).join(' · ');
+      case 'heading':
+        if (block.level === 2) return `\n${block.text.toUpperCase()}\n${'═'.repeat(block.text.length)}`;
+        if (block.level === 3) return `${block.text}\n${'─'.repeat(block.text.length)}`;
+        return block.text;
+      case 'meta':      return wrap(block.text);
+      case 'paragraph': return wrap(text(block.text, block.rich));
+      case 'list':      return block.items.map(item => wrap(text(item, block.rich), '  • ', '    ')).join('\n');
+      case 'links':     return block.items.map(item => `  ${item.text}: ${item.url}`).join('\n');
+      default:          return '';
+    }
+  }));
+}
+
+module.exports = { buildCvDocument, toMarkdown, toPlainText };
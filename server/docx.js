@@ -0,0 +1,250 @@
+/**
+ * server/docx.js — Minimal DOCX writer for the CV document blocks
+ *
+ * Turns the blocks from cv-document.js into a Word document: built-in
+ * heading styles (so Word's navigation pane and outline work), real bullet
+ * lists, clickable hyperlinks, document language and core properties.
+ * A DOCX file is a zip of a few XML parts; the zip container is written
+ * here with zlib, so no extra dependency is needed.
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+const { parseInline, absoluteUrl, textContent } = require('./rich-text');
+
+/* ── Zip container ───────────────────────────────────────────── */
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/** @param {{ name: string, data: string|Buffer }[]} files */
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach(({ name, data }) => {
+    const raw = Buffer.from(data);
+    const compressed = zlib.deflateRawSync(raw);
+    const nameBuf = Buffer.from(name, 'utf8');
+    const crc = crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);  // local file header signature
+    local.writeUInt16LE(20, 4);          // version needed
+    local.writeUInt16LE(0x0800, 6);      // flags: UTF-8 names
+    local.writeUInt16LE(8, 8);           // method: deflate
+    local.writeUInt32LE(0, 10);          // mod time + date (unset)
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    local.writeUInt16LE(0, 28);          // extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // central directory signature
+    central.writeUInt16LE(20, 4);         // version made by
+    central.writeUInt16LE(20, 6);         // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBuf.length, 28);
+    // extra, comment, disk, attributes: all zero
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBuf, compressed);
+    centrals.push(central, nameBuf);
+    offset += local.length + nameBuf.length + compressed.length;
+  });
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);       // end of central directory
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/* ── WordprocessingML ────────────────────────────────────────── */
+
+const NS_W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+const NS_R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const REL_TYPE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const run = (text, props = '') =>
+  `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+
+const paragraph = (content, style, props = '') =>
+  `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/>${props}</w:pPr>` : ''}${content}</w:p>`;
+
+// Repeated on each list paragraph: not every reader resolves numbering via the style
+const BULLET = '<w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr>';
+
+const STYLES = `${XML_HEAD}<w:styles xmlns:w="${NS_W}">
+  <w:docDefaults>
+    <w:rPrDefault><w:rPr>
+      <w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:cs="Calibri"/>
+      <w:sz w:val="21"/><w:lang w:val="{{LANG}}"/>
+    </w:rPr></w:rPrDefault>
+    <w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+  </w:docDefaults>
+  <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:spacing w:after="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="44"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/>
+    <w:rPr><w:sz w:val="26"/><w:color w:val="555555"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:keepNext/><w:spacing w:before="360" w:after="120"/>
+      <w:pBdr><w:bottom w:val="single" w:sz="6" w:space="2" w:color="999999"/></w:pBdr><w:outlineLvl w:val="0"/></w:pPr>
+    <w:rPr><w:b/><w:caps/><w:sz w:val="26"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:keepNext/><w:spacing w:before="200" w:after="0"/><w:outlineLvl w:val="1"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="23"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading3"><w:name w:val="heading 3"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:keepNext/><w:spacing w:before="120" w:after="0"/><w:outlineLvl w:val="2"/></w:pPr>
+    <w:rPr><w:b/><w:sz w:val="21"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="Meta"><w:name w:val="Meta"/><w:basedOn w:val="Normal"/>
+    <w:rPr><w:color w:val="666666"/><w:sz w:val="19"/></w:rPr></w:style>
+  <w:style w:type="paragraph" w:styleId="ListBullet"><w:name w:val="List Bullet"/><w:basedOn w:val="Normal"/>
+    <w:pPr><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr><w:spacing w:after="40"/></w:pPr></w:style>
+  <w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/>
+    <w:rPr><w:color w:val="1A5FB4"/><w:u w:val="single"/></w:rPr></w:style>
+</w:styles>`;
+
+const NUMBERING = `${XML_HEAD}<w:numbering xmlns:w="${NS_W}">
+  <w:abstractNum w:abstractNumId="0">
+    <w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/>
+      <w:pPr><w:ind w:left="360" w:hanging="240"/></w:pPr></w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+
+const CONTENT_TYPES = `${XML_HEAD}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+  <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+  <Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>
+  <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const ROOT_RELS = `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="${REL_TYPE}/officeDocument" Target="word/document.xml"/>
+  <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+// Document headings start one level below the title: section → Heading1
+const HEADING_STYLES = { 2: 'Heading1', 3: 'Heading2', 4: 'Heading3' };
+
+/**
+ * @param {object[]} blocks  From buildCvDocument()
+ * @param {object}   meta    { title, author, lang: 'de' | 'en' }
+ * @returns {Buffer} .docx file
+ */
+function toDocx(blocks, { title, author, lang }) {
+  const links = [];
+  const hyperlink = (text, url) => {
+    const id = `rIdLink${links.length + 1}`;
+    links.push({ id, url });
+    return `<w:hyperlink r:id="${id}">${run(text, '<w:rStyle w:val="Hyperlink"/>')}</w:hyperlink>`;
+  };
+  const separated = items => items
+    .map(item => hyperlink(item.text, item.url))
+    .join(run(' · '));
+  // Marked-up text (rich-text.js) as runs: bold, italic, code and links
+  const richRuns = (text) => {
+    const walk = (nodes, props) => nodes.map(node => {
+      switch (node.type) {
+        case 'text':   return run(node.text, props);
+        case 'code':   return run(node.text, `${props}<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>`);
+        case 'break':  return '<w:r><w:br/></w:r>';
+        case 'strong': return walk(node.children, `${props}<w:b/>`);
+        case 'em':     return walk(node.children, `${props}<w:i/>`);
+        case 'link': {
+          const url = absoluteUrl(node.url);
+          return url ? hyperlink(textContent(node.children), url) : walk(node.children, props);
+        }
+        default:       return '';
+      }
+    }).join('');
+    return walk(parseInline(text), '');
+  };
+  const content = (text, rich) => (rich ? richRuns(text) : run(text));
+
+  const body = blocks.map(block => {
+    switch (block.type) {
+      case 'title':
+        return paragraph(run(block.text), 'Title') + paragraph(run(block.subtitle), 'Subtitle');
+      case 'contact':
+      case 'links':
+        return paragraph(separated(block.items));
+      case 'heading':
+        return paragraph(block.url ? hyperlink(block.text, block.url) : run(block.text), HEADING_STYLES[block.level]);
+      case 'meta':
+        return paragraph(run(block.text), 'Meta');
+      case 'paragraph':
+        return paragraph(content(block.text, block.rich));
+      case 'list':
+        return block.items.map(item => paragraph(content(item, block.rich), 'ListBullet', BULLET)).join('');
+      default:
+        return '';
+    }
+  }).join('\n');
+
+  const document = `${XML_HEAD}<w:document xmlns:w="${NS_W}" xmlns:r="${NS_R}"><w:body>
+${body}
+<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1134" w:right="1134" w:bottom="1134" w:left="1134" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>
+</w:body></w:document>`;
+
+  const documentRels = `${XML_HEAD}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rIdStyles" Type="${REL_TYPE}/styles" Target="styles.xml"/>
+  <Relationship Id="rIdNumbering" Type="${REL_TYPE}/numbering" Target="numbering.xml"/>
+${links.map(({ id, url }) =>
+    `  <Relationship Id="${id}" Type="${REL_TYPE}/hyperlink" Target="${escapeXml(url)}" TargetMode="External"/>`
+  ).join('\n')}
+</Relationships>`;
+
+  const core = `${XML_HEAD}<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <dc:title>${escapeXml(title)}</dc:title>
+  <dc:creator>${escapeXml(author)}</dc:creator>
+  <dc:language>${lang}</dc:language>
+  <dcterms:modified xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:modified>
+</cp:coreProperties>`;
+
+  return zip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: ROOT_RELS },
+    { name: 'word/document.xml', data: document },
+    { name: 'word/_rels/document.xml.rels', data: documentRels },
+    { name: 'word/styles.xml', data: STYLES.replace('{{LANG}}', lang === 'de' ? 'de-DE' : 'en-GB') },
+    { name: 'word/numbering.xml', data: NUMBERING },
+    { name: 'docProps/core.xml', data: core },
+  ]);
+}
+
+module.exports = { toDocx };
@@ -8,11 +8,57 @@
  *
  * Endpoints:
  *   GET /             → serves static files from project root
+ *   GET /de/…, /en/…  → card, CV, portfolio and case studies per language,
+ *                       with canonical + hreflang links (lang-routes.js)
+ *   GET /, /cv/, /portfolio/… → 302 to the visitor's language
+ *                               (?lang= > cv-lang cookie > Accept-Language)
+ *   GET /:lang/portfolio/:slug/ → case study shell generated from
+ *                                 portfolio.json (404 for unknown slugs)
  *   GET /export/cv.pdf?lang=de|en  → returns A4 PDF of the CV
+ *       (paper, margin, density, bullets, theme and links set the
+ *        layout — js/pdf-options.js; invalid values → 400)
+ *       (all CV exports take ?profile=<name> for a tailored variant
+ *        defined in cv.json "profiles"; unknown names → 404, and
+ *        ?anonymous=1 for a CV without name, photo, contact details and
+ *        employer names — js/cv-anonymous.js)
+ *   GET /export/cv.json?format=jsonresume&lang=de|en → the CV as a
+ *                                          JSON Resume document (json-resume.js)
+ *   GET /export/cv.md, cv.txt, cv.docx?lang=de|en → the CV as Markdown,
+ *                                          plain text or Word (cv-document.js)
+ *   GET /export/contact.vcf?lang=de|en → vCard 4.0 with photo (vcard.js)
+ *   GET /export/contact-qr.svg  → QR code for the business card page (qr.js)
+ *   GET /export/portfolio/:slug.pdf?lang=de|en → A4 PDF of one case study
+ *   GET /export/portfolio.pdf?lang=de|en → cover, contents + all non-WIP
+ *                                          case studies in one PDF
+ *   GET /img/manifest.json       → size, variants and placeholder of every
+ *                                  image the content files use (images.js)
+ *   GET /img/<path>/<width>.<avif|webp|jpg> → one resized variant
  *
  * The CV page's active language is pre-set via localStorage injection
  * before Puppeteer captures the page, so the rendered PDF matches
- * the requested language.
+ * the requested language. The same applies to the portfolio pages.
+ *
+ * Chromium instances are kept warm in a small pool (browser-pool.js) and
+ * finished PDFs are cached on disk (pdf-cache.js) until one of their
+ * source files changes. Repeat downloads are answered from the cache,
+ * or with 304 Not Modified when the client's ETag is still current.
+ *
+ * At startup the content files are checked with validate-data.js; errors
+ * are printed in a banner but don't stop the server, so they can be
+ * fixed while it runs.
+ *
+ * When started directly outside production, pages reload themselves on
+ * edits to data/, css/, js/ or HTML files (live-reload.js, GET /__live-reload).
+ *
+ * Environment:
+ *   PORT             Port to listen on (default 3000)
+ *   PDF_POOL_SIZE    Warm browsers / parallel renders (default 2)
+ *   PDF_QUEUE_LIMIT  Requests allowed to wait for a browser (default 10)
+ *   PDF_CACHE_DIR    Where cached PDFs are stored (default .cache/pdf)
+ *   IMAGE_CACHE_DIR  Where image variants are stored (default .cache/img)
+ *   SITE_ORIGIN      Origin for canonical/hreflang URLs (default https://mathisthomsen.de)
+ *   LIVE_RELOAD      Set to 0 to turn live reload off (always off when
+ *                    NODE_ENV=production)
  */
 
 'use strict';
@@ -20,10 +66,26 @@
 const http = require('http');
 const path = require('path');
 const fs = require('fs');
+const { createBrowserPool } = require('./browser-pool');
+const { createPdfCache } = require('./pdf-cache');
+const { renderCaseStudyShell } = require('./case-study-shell');
+const { SUPPORTED_LANGS, SITE_ORIGIN, parseLangPath, negotiateLang, localizeHtml } = require('./lang-routes');
+const { toJsonResume } = require('./json-resume');
+const { buildCvDocument, toMarkdown, toPlainText } = require('./cv-document');
+const { toDocx } = require('./docx');
+const { t } = require('../js/cv-format');
+const { applyProfile, hasProfile } = require('../js/cv-profile');
+const { isAnonymousQuery, anonymizeCv } = require('../js/cv-anonymous');
+const { parsePdfOptions, changedOptions, pdfOptionsVariant, pdfPageSettings } = require('../js/pdf-options');
+const { finishPdf, footerTemplate } = require('./pdf-document');
+const { buildVcard, websiteUrl } = require('./vcard');
+const { encodeQr, qrToSvg } = require('./qr');
+const { validateData, formatIssues } = require('./validate-data');
+const { createLiveReload } = require('./live-reload');
+const { createImagePipeline } = require('./images');
 
 const PORT = process.env.PORT || 3000;
 const ROOT = path.resolve(__dirname, '..');
-const SUPPORTED_LANGS = ['de', 'en'];
 
 /* ── Minimal static file server ───────────────────────────── */
 
@@ -37,9 +99,25 @@ const MIME_TYPES = {
   '.png':  'image/png',
   '.jpg':  'image/jpeg',
   '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
   '.ico':  'image/x-icon',
 };
 
+// Set when started directly in development — see the bottom of this file
+let liveReload = null;
+
+/**
+ * Send an HTML page, with the live reload snippet when it is on. Pages
+ * loaded by Puppeteer (PDF export, prerender) never get it: the open event
+ * stream would keep them from ever reaching "network idle".
+ */
+function sendHtml(req, res, html) {
+  const headless = /HeadlessChrome/.test(req.headers['user-agent'] || '');
+  res.writeHead(200, { 'Content-Type': MIME_TYPES['.html'] });
+  res.end(liveReload && !headless ? liveReload.inject(html) : html);
+}
+
 function serveStatic(req, res) {
   let urlPath = req.url.split('?')[0];
 
@@ -68,6 +146,11 @@ function serveStatic(req, res) {
     }
 
     const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.html') {
+      sendHtml(req, res, data.toString('utf8'));
+      return;
+    }
+
     const contentType = MIME_TYPES[ext] || 'application/octet-stream';
     res.writeHead(200, { 'Content-Type': contentType });
     res.end(data);
@@ -76,44 +159,88 @@ function serveStatic(req, res) {
 
 /* ── PDF export handler ────────────────────────────────────── */
 
-async function handlePdfExport(req, res) {
-  const url = new URL(req.url, `http://localhost:${PORT}`);
-  const lang = SUPPORTED_LANGS.includes(url.searchParams.get('lang'))
-    ? url.searchParams.get('lang')
-    : 'de';
+// Everything the rendered CV depends on — a change to any of these
+// invalidates the cached PDFs.
+const CV_PDF_INPUTS = [
+  'data/cv.json',
+  'data/portfolio.json', // skill and case study links
+  'cv/index.html',
+  'css/base.css',
+  'css/cv.css',
+  'js/cv.js',
+  'js/site.js',
+  'js/cv-format.js',
+  'js/rich-text.js',
+  'js/responsive-images.js',
+  'js/cv-profile.js',
+  'js/cv-anonymous.js',
+  'js/pdf-options.js',
+  'server/lang-routes.js', // canonical and hreflang links of the page
+].map(f => path.join(ROOT, f));
+
+/** CV_PDF_INPUTS plus the photo `cv` shows (meta.photo), which the PDF embeds */
+function cvPdfInputs(cv) {
+  const photo = ((cv || {}).meta || {}).photo;
+  return typeof photo === 'string' && photo.startsWith('/')
+    ? [...CV_PDF_INPUTS, path.join(ROOT, decodeURI(photo))]
+    : CV_PDF_INPUTS;
+}
+
+// The CV's footer prints the day it was generated (footerTemplate), so a
+// cached CV PDF and its ETag expire with the day
+const CV_PDF_STAMP = { stamp: () => new Date().toDateString() };
 
-  let puppeteer;
+/** cv.json at startup, for the cache registration — null if unreadable */
+function readCvSync() {
   try {
-    puppeteer = require('puppeteer');
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'cv.json'), 'utf8'));
   } catch {
-    res.writeHead(503, { 'Content-Type': 'text/plain' });
-    res.end('Puppeteer not installed. Run: npm install');
-    return;
+    return null;
   }
+}
 
-  let browser;
-  try {
-    browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox'],
-    });
+const pool = createBrowserPool({
+  size: Number(process.env.PDF_POOL_SIZE) || 2,
+  queueLimit: Number(process.env.PDF_QUEUE_LIMIT) || 10,
+});
 
-    const page = await browser.newPage();
+const pdfCache = createPdfCache({
+  dir: process.env.PDF_CACHE_DIR || path.join(ROOT, '.cache', 'pdf'),
+});
+pdfCache.register('cv', cvPdfInputs(readCvSync()), CV_PDF_STAMP);
 
+/**
+ * Render a site page to a PDF buffer using a pooled browser.
+ *
+ * @param {string} pagePath       Path of the page to capture, e.g. '/en/cv/'
+ *                                (may carry a query, e.g. '?profile=research')
+ * @param {string} lang           Language pre-set before the page loads
+ *                                (for pages without a language prefix)
+ * @param {string} readySelector  Element that only exists once JS has rendered
+ * @param {object} [options]
+ * @param {object} [options.pdfSettings]   page.pdf() overrides, e.g. { format: 'Letter' }
+ * @param {object} [options.documentInfo]  { title, author, subject, keywords }:
+ *        adds them to the PDF with its language, bookmarks for the page's
+ *        [data-i18n] headings and a "generated on · page x of y" footer
+ *        (pdf-document.js)
+ */
+function renderPagePdf(pagePath, lang, readySelector, { pdfSettings = {}, documentInfo } = {}) {
+  return pool.withPage(async (page) => {
     // Pre-set language in localStorage before page loads
     await page.evaluateOnNewDocument((lang) => {
       localStorage.setItem('cv-lang', lang);
     }, lang);
 
-    // Navigate to the CV page
-    const cvUrl = `http://localhost:${PORT}/cv/?lang=${lang}`;
-    await page.goto(cvUrl, { waitUntil: 'networkidle0', timeout: 30000 });
+    // Print resolution: srcset picks image variants twice the layout width
+    await page.setViewport({ ...page.viewport(), deviceScaleFactor: 2 });
 
-    // Wait for fonts and CV data to render
-    await page.evaluate(() => document.fonts.ready);
+    const pageUrl = new URL(pagePath, `http://localhost:${PORT}`);
+    pageUrl.searchParams.set('lang', lang);
+    await page.goto(pageUrl.href, { waitUntil: 'networkidle0', timeout: 30000 });
 
-    // Ensure CV data has rendered (wait for the name element)
-    await page.waitForSelector('.cv-header__name', { timeout: 10000 });
+    // Wait for fonts and JSON data to render
+    await page.evaluate(() => document.fonts.ready);
+    await page.waitForSelector(readySelector, { timeout: 10000 });
 
     // Force all bar fills and reveal animations (IntersectionObserver won't
     // fire for off-screen sections in a headless, non-scrolling context)
@@ -126,27 +253,545 @@ async function handlePdfExport(req, res) {
       });
     });
 
-    // Generate PDF
-    const pdfBuffer = await page.pdf({
+    // Lazy images below the fold never load in a page that doesn't
+    // scroll — load them all before printing
+    await page.evaluate(() => Promise.all([...document.images].map(img => {
+      img.loading = 'eager';
+      return img.complete ? null : new Promise(resolve => { img.onload = img.onerror = resolve; });
+    })));
+
+    // Links into the site point at this server — in the PDF they open the
+    // public site. #anchors stay links within the document.
+    await page.evaluate((origin) => {
+      document.querySelectorAll('a[href]').forEach(link => {
+        if (link.getAttribute('href').startsWith('#') || link.origin !== window.location.origin) return;
+        link.href = origin + link.pathname + link.search + link.hash;
+      });
+    }, SITE_ORIGIN);
+
+    const settings = {
       format: 'A4',
       printBackground: true,
       margin: { top: '15mm', right: '15mm', bottom: '15mm', left: '15mm' },
+      tagged: true, // structure tree for screen readers
+      ...pdfSettings,
+    };
+    if (!documentInfo) return page.pdf(settings);
+
+    // Section headings as the page shows them — hidden (emptied) sections
+    // get no bookmark
+    const bookmarks = await page.$$eval('[data-i18n]', headings => headings
+      .filter(heading => /^H[1-6]$/.test(heading.tagName) && !heading.closest('[hidden]'))
+      .map(heading => heading.textContent.trim()));
+
+    const pdf = await page.pdf({
+      ...settings,
+      outline: true, // Chromium's outline supplies the bookmark destinations
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: footerTemplate(lang, { inset: settings.margin.left }),
     });
 
-    const filename = `CV_Mathis_Thomsen_${lang.toUpperCase()}.pdf`;
+    try {
+      return finishPdf(Buffer.from(pdf), { ...documentInfo, lang, bookmarks });
+    } catch (err) {
+      // A readable PDF without metadata beats no PDF
+      console.warn('[export] Could not add PDF metadata:', err.message);
+      return pdf;
+    }
+  });
+}
+
+/**
+ * Send a PDF through the cache: answers 304 when the client's ETag is
+ * still current, otherwise serves the cached file or renders it once.
+ */
+async function sendCachedPdf(req, res, { name, variant, filename, render }) {
+  try {
+    const currentTag = await pdfCache.etag(name, variant);
+    if (req.headers['if-none-match'] === currentTag) {
+      res.writeHead(304, { ETag: currentTag, 'Cache-Control': 'no-cache' });
+      res.end();
+      return;
+    }
+
+    const { buffer, etag, hit } = await pdfCache.fetch(name, variant, render);
     res.writeHead(200, {
       'Content-Type': 'application/pdf',
       'Content-Disposition': `attachment; filename="${filename}"`,
-      'Content-Length': pdfBuffer.length,
+      'Content-Length': buffer.length,
+      'Cache-Control': 'no-cache',
+      ETag: etag,
+      'X-Cache': hit ? 'HIT' : 'MISS',
     });
-    res.end(pdfBuffer);
+    res.end(buffer);
 
   } catch (err) {
-    console.error('[export] PDF generation failed:', err.message);
+    if (err.code === 'NO_PUPPETEER') {
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end(err.message);
+      return;
+    }
+    if (err.code === 'QUEUE_FULL') {
+      res.writeHead(503, { 'Content-Type': 'text/plain', 'Retry-After': '5' });
+      res.end(err.message);
+      return;
+    }
+    console.error(`[export] PDF generation failed (${name}/${variant}):`, err.message);
     res.writeHead(500, { 'Content-Type': 'text/plain' });
     res.end(`PDF generation failed: ${err.message}`);
-  } finally {
-    if (browser) await browser.close();
+  }
+}
+
+function resolveLang(url) {
+  return SUPPORTED_LANGS.includes(url.searchParams.get('lang'))
+    ? url.searchParams.get('lang')
+    : 'de';
+}
+
+async function handlePdfExport(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const lang = resolveLang(url);
+
+  const cv = await loadCvOrFail(res);
+  if (!cv) return;
+  const profile = profileOrFail(url, cv, res);
+  if (profile === undefined) return;
+  const anonymous = isAnonymousQuery(url.searchParams);
+  pdfCache.register('cv', cvPdfInputs(cv), CV_PDF_STAMP); // follows a changed meta.photo
+
+  const { options, error } = parsePdfOptions(url.searchParams);
+  if (error) {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end(error);
+    return;
+  }
+
+  // The page applies the layout options itself (print CSS variants);
+  // paper size and margins also go to page.pdf()
+  const params = new URLSearchParams(changedOptions(options));
+  if (profile) params.set('profile', profile);
+  if (anonymous) params.set('anonymous', '1');
+  const query = params.size ? `?${params}` : '';
+
+  // Metadata from the CV as this PDF shows it — anonymized where it is
+  const documentInfo = cvDocumentInfo(tailorCv(cv, { profile, anonymous, lang }), lang);
+
+  // Cache variant, e.g. "de~profile=research~anonymous~paper=letter" —
+  // "~" and "=" can't occur in a profile id or option value, so no two
+  // requests that render differently share a key
+  const variant = [lang, profile && `profile=${profile}`, anonymous && 'anonymous', pdfOptionsVariant(options)]
+    .filter(Boolean)
+    .join('~');
+
+  await sendCachedPdf(req, res, {
+    name: 'cv',
+    variant,
+    filename: cvFilename(lang, 'pdf', anonymous),
+    render: () => renderPagePdf(`/${lang}/cv/${query}`, lang, '.cv-header__name', {
+      pdfSettings: pdfPageSettings(options),
+      documentInfo,
+    }),
+  });
+}
+
+/* ── CV data exports ───────────────────────────────────────── */
+
+const CV_JSON = path.join(ROOT, 'data', 'cv.json');
+
+/** Read cv.json, or answer 500 and return null */
+async function loadCvOrFail(res) {
+  try {
+    return JSON.parse(await fs.promises.readFile(CV_JSON, 'utf8'));
+  } catch (err) {
+    console.error('[export] Could not read cv.json:', err.message);
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Could not read CV data');
+    return null;
+  }
+}
+
+/**
+ * ?profile= of a CV export: null for the full CV, the name of a profile
+ * cv.json defines, or undefined after answering 404 for any other name.
+ */
+function profileOrFail(url, cv, res) {
+  const name = url.searchParams.get('profile');
+  if (!name) return null;
+  if (hasProfile(cv, name)) return name;
+  res.writeHead(404, { 'Content-Type': 'text/plain' });
+  res.end(`Unknown profile: ${name}`);
+  return undefined;
+}
+
+/** cv.json as one export shows it: through a profile, then anonymized */
+function tailorCv(cv, { profile, anonymous, lang }) {
+  const profiled = applyProfile(cv, profile);
+  return anonymous ? anonymizeCv(profiled, lang) : profiled;
+}
+
+/** PDF document info for a (tailored) CV: title as on the page, keywords from meta or the tags */
+function cvDocumentInfo(cv, lang) {
+  const meta = cv.meta || {};
+  const keywords = t(meta.keywords, lang) || [...new Set(cv.experience.flatMap(job => job.tags || []))];
+  return {
+    title: `${lang === 'de' ? 'Lebenslauf' : 'CV'} — ${meta.name}`,
+    author: meta.name,
+    subject: t(meta.title, lang),
+    keywords: keywords.join(', '),
+  };
+}
+
+/** Download file name — the anonymous CV's carries no name either */
+function cvFilename(lang, extension, anonymous) {
+  return `${anonymous ? 'CV' : 'CV_Mathis_Thomsen'}_${lang.toUpperCase()}.${extension}`;
+}
+
+/** GET /export/cv.json?format=jsonresume — one language of cv.json as JSON Resume */
+async function handleCvJsonExport(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const lang = resolveLang(url);
+
+  if (url.searchParams.get('format') !== 'jsonresume') {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('Unsupported format. Use ?format=jsonresume');
+    return;
+  }
+
+  const cv = await loadCvOrFail(res);
+  if (!cv) return;
+  const profile = profileOrFail(url, cv, res);
+  if (profile === undefined) return;
+  const anonymous = isAnonymousQuery(url.searchParams);
+
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES['.json'],
+    'Content-Disposition': `inline; filename="${cvFilename(lang, 'json', anonymous)}"`,
+    'Cache-Control': 'no-cache',
+  });
+  const resume = toJsonResume(tailorCv(cv, { profile, anonymous, lang }), lang, { origin: SITE_ORIGIN });
+  res.end(JSON.stringify(resume, null, 2) + '\n');
+}
+
+const CV_DOCUMENT_FORMATS = {
+  md:   { type: 'text/markdown; charset=utf-8', render: blocks => toMarkdown(blocks) },
+  txt:  { type: 'text/plain; charset=utf-8',    render: blocks => toPlainText(blocks) },
+  docx: {
+    type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: (blocks, cv, lang) => toDocx(blocks, {
+      title: `${lang === 'de' ? 'Lebenslauf' : 'CV'} — ${cv.meta.name}`,
+      author: cv.meta.name,
+      lang,
+    }),
+  },
+};
+
+/** GET /export/cv.md|txt|docx?lang=de|en — single-column CV documents */
+async function handleCvDocumentExport(req, res, format) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const lang = resolveLang(url);
+
+  const cv = await loadCvOrFail(res);
+  if (!cv) return;
+  const profile = profileOrFail(url, cv, res);
+  if (profile === undefined) return;
+  const anonymous = isAnonymousQuery(url.searchParams);
+
+  // Title and author of the .docx come from the tailored CV's meta, so an
+  // anonymous one carries the placeholder name there too
+  const tailored = tailorCv(cv, { profile, anonymous, lang });
+  const { type, render } = CV_DOCUMENT_FORMATS[format];
+  const body = render(buildCvDocument(tailored, lang), tailored, lang);
+  res.writeHead(200, {
+    'Content-Type': type,
+    'Content-Disposition': `attachment; filename="${cvFilename(lang, format, anonymous)}"`,
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-cache',
+  });
+  res.end(body);
+}
+
+/* ── Contact card ──────────────────────────────────────────── */
+
+const CONFIG_JSON = path.join(ROOT, 'data', 'config.json');
+
+/** config.json and cv.json's meta, or answer 500 and return null */
+async function loadContactOrFail(res) {
+  try {
+    const [config, cv] = await Promise.all([CONFIG_JSON, CV_JSON].map(async file =>
+      JSON.parse(await fs.promises.readFile(file, 'utf8'))));
+    return { config, meta: cv.meta || {} };
+  } catch (err) {
+    console.error('[export] Could not read contact data:', err.message);
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Could not read contact data');
+    return null;
+  }
+}
+
+/** GET /export/contact.vcf — the contact card, with photo */
+async function handleVcardExport(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const contact = await loadContactOrFail(res);
+  if (!contact) return;
+
+  // A missing photo leaves it out of the card rather than failing the download
+  const photoPath = contact.meta.photo && path.join(ROOT, contact.meta.photo);
+  const photo = photoPath && await fs.promises.readFile(photoPath).catch(() => null);
+
+  const body = buildVcard(contact.config, contact.meta, { photo, photoPath, lang: resolveLang(url) });
+  res.writeHead(200, {
+    'Content-Type': 'text/vcard; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${contact.config.name.replace(/\s+/g, '_')}.vcf"`,
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-cache',
+  });
+  res.end(body);
+}
+
+/** GET /export/contact-qr.svg — vCard (without photo) or website as QR code */
+async function handleContactQr(req, res) {
+  const contact = await loadContactOrFail(res);
+  if (!contact) return;
+
+  const { config, meta } = contact;
+  const content = config.qrContent === 'url'
+    ? websiteUrl(config.website)
+    : buildVcard(config, meta);
+  const body = qrToSvg(encodeQr(content, 'M'), { title: config.name });
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES['.svg'],
+    'Cache-Control': 'no-cache',
+  });
+  res.end(body);
+}
+
+/* ── Portfolio PDF export handlers ─────────────────────────── */
+
+const PORTFOLIO_JSON = path.join(ROOT, 'data', 'portfolio.json');
+
+/** Shared by every portfolio PDF: data, styles and render engine */
+const PORTFOLIO_PDF_INPUTS = [
+  PORTFOLIO_JSON,
+  path.join(ROOT, 'data', 'cv.json'), // employer links
+  path.join(ROOT, 'css', 'base.css'),
+  path.join(ROOT, 'css', 'portfolio.css'),
+  path.join(ROOT, 'js', 'portfolio.js'),
+  path.join(ROOT, 'js', 'site.js'),
+  path.join(ROOT, 'js', 'rich-text.js'),
+  path.join(ROOT, 'js', 'responsive-images.js'),
+];
+
+async function loadPortfolio() {
+  return JSON.parse(await fs.promises.readFile(PORTFOLIO_JSON, 'utf8'));
+}
+
+/** GET /export/portfolio/:slug.pdf — a single case study */
+async function handleCaseStudyPdfExport(req, res, slug) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const lang = resolveLang(url);
+
+  let data;
+  try {
+    data = await loadPortfolio();
+  } catch (err) {
+    console.error('[export] Could not read portfolio.json:', err.message);
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Could not read portfolio data');
+    return;
+  }
+
+  if (!(data.projects || []).some(p => p.slug === slug)) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+
+  // The page is generated (renderCaseStudyShell + localizeHtml), not a file
+  const name = `portfolio-${slug}`;
+  pdfCache.register(name, [
+    ...PORTFOLIO_PDF_INPUTS,
+    path.join(ROOT, 'server', 'case-study-shell.js'),
+    path.join(ROOT, 'server', 'lang-routes.js'),
+  ]);
+
+  await sendCachedPdf(req, res, {
+    name,
+    variant: lang,
+    filename: `Portfolio_Mathis_Thomsen_${slug}_${lang.toUpperCase()}.pdf`,
+    render: () => renderPagePdf(`/${lang}/portfolio/${slug}/`, lang, '.case-study-header__title'),
+  });
+}
+
+/** GET /export/portfolio.pdf — cover, contents and all non-WIP case studies */
+async function handleDossierPdfExport(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const lang = resolveLang(url);
+
+  // The cover prints the month it was generated, so the cached dossier
+  // expires with the month
+  pdfCache.register('portfolio', [
+    ...PORTFOLIO_PDF_INPUTS,
+    path.join(ROOT, 'portfolio', 'dossier', 'index.html'),
+  ], {
+    stamp: () => {
+      const now = new Date();
+      return `${now.getFullYear()}-${now.getMonth() + 1}`;
+    },
+  });
+
+  await sendCachedPdf(req, res, {
+    name: 'portfolio',
+    variant: lang,
+    filename: `Portfolio_Mathis_Thomsen_${lang.toUpperCase()}.pdf`,
+    render: () => renderPagePdf('/portfolio/dossier/', lang, '.dossier-cover__name'),
+  });
+}
+
+/* ── Language-routed pages ─────────────────────────────────── */
+
+// Pages in portfolio/ that are not case studies and stay unprefixed
+const PORTFOLIO_STATIC_PAGES = ['dossier'];
+
+// Page path → HTML file, for pages that exist per language as-is.
+// Case studies are generated from portfolio.json instead.
+const LOCALIZED_FILES = {
+  '/':           'index.html',
+  '/cv/':        'cv/index.html',
+  '/portfolio/': 'portfolio/index.html',
+};
+
+/**
+ * Normalize a path to the canonical page path it addresses
+ * ('/cv' and '/cv/index.html' → '/cv/'), or null if it is not a page
+ * that exists per language.
+ */
+function matchPage(urlPath) {
+  const normalized = urlPath.replace(/index\.html$/, '').replace(/\/?$/, '/');
+  if (LOCALIZED_FILES[normalized]) return normalized;
+
+  const caseStudy = normalized.match(/^\/portfolio\/([^/.]+)\/$/);
+  if (caseStudy && !PORTFOLIO_STATIC_PAGES.includes(caseStudy[1])) return normalized;
+  return null;
+}
+
+/** Query string of `url` without ?lang= (the language moves into the path) */
+function queryWithoutLang(url) {
+  const params = new URLSearchParams(url.searchParams);
+  params.delete('lang');
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+/**
+ * GET /de/…, /en/… — the page in that language, with canonical and
+ * hreflang links. Case study shells are generated from portfolio.json,
+ * so a new project needs no hand-copied HTML. Unknown slugs get a 404.
+ */
+async function handleLocalizedPage(req, res, lang, rest) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const pagePath = matchPage(rest);
+
+  if (!pagePath) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+
+  if (rest !== pagePath) {
+    res.writeHead(301, { Location: `/${lang}${pagePath}${queryWithoutLang(url)}` });
+    res.end();
+    return;
+  }
+
+  let html;
+  try {
+    if (LOCALIZED_FILES[pagePath]) {
+      html = await fs.promises.readFile(path.join(ROOT, LOCALIZED_FILES[pagePath]), 'utf8');
+    } else {
+      const slug = pagePath.split('/')[2];
+      const project = ((await loadPortfolio()).projects || []).find(p => p.slug === slug);
+      if (project) html = renderCaseStudyShell(project, lang);
+    }
+  } catch (err) {
+    console.error(`[export] Could not build ${lang}${pagePath}:`, err.message);
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Internal server error');
+    return;
+  }
+
+  if (!html) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+    return;
+  }
+
+  sendHtml(req, res, localizeHtml(html, lang, pagePath));
+}
+
+/**
+ * GET /, /cv/, /portfolio/… without a language prefix — redirect to the
+ * visitor's language: ?lang= > stored preference > Accept-Language.
+ */
+function redirectToLocalizedPage(req, res, pagePath) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const lang = negotiateLang(req, url);
+  res.writeHead(302, {
+    Location: `/${lang}${pagePath}${queryWithoutLang(url)}`,
+    Vary: 'Accept-Language, Cookie',
+    'Cache-Control': 'no-cache',
+  });
+  res.end();
+}
+
+/* ── Responsive images ─────────────────────────────────────── */
+
+const images = createImagePipeline({
+  root: ROOT,
+  cacheDir: process.env.IMAGE_CACHE_DIR || path.join(ROOT, '.cache', 'img'),
+});
+
+/** GET /img/manifest.json — what cv.js and portfolio.js build <picture> from */
+async function handleImageManifest(req, res) {
+  const body = JSON.stringify(await images.manifest(), null, 2) + '\n';
+  res.writeHead(200, {
+    'Content-Type': MIME_TYPES['.json'],
+    'Cache-Control': 'no-cache',
+  });
+  res.end(body);
+}
+
+/** GET /img/<path>/<width>.<format> — a variant, encoded on first request */
+async function handleImageVariant(req, res, src, width, format) {
+  try {
+    const { buffer, contentType, etag } = await images.variant(src, width, format);
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { ETag: etag, 'Cache-Control': 'no-cache' });
+      res.end();
+      return;
+    }
+    res.writeHead(200, {
+      'Content-Type': contentType,
+      'Content-Length': buffer.length,
+      'Cache-Control': 'no-cache',
+      ETag: etag,
+    });
+    res.end(buffer);
+
+  } catch (err) {
+    if (err.code === 'NOT_FOUND' || err.code === 'ENOENT') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+    if (err.code === 'UNAVAILABLE') {
+      res.writeHead(501, { 'Content-Type': 'text/plain' });
+      res.end(err.message);
+      return;
+    }
+    console.error(`[export] Image variant failed (${src} ${width} ${format}):`, err.message);
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end(`Image variant failed: ${err.message}`);
   }
 }
 
@@ -155,8 +800,36 @@ async function handlePdfExport(req, res) {
 const server = http.createServer(async (req, res) => {
   const urlPath = req.url.split('?')[0];
 
+  const cvDocument = urlPath.match(/^\/export\/cv\.(md|txt|docx)$/);
+  const caseStudyPdf = urlPath.match(/^\/export\/portfolio\/([a-z0-9-]+)\.pdf$/);
+  const imageVariant = urlPath.match(/^\/img(\/.+\.(?:jpe?g|png|webp))\/(\d+)\.(avif|webp|jpg)$/i);
+  const localized = parseLangPath(urlPath);
+  const unprefixedPage = !localized && matchPage(urlPath);
+
   if (req.method === 'GET' && urlPath === '/export/cv.pdf') {
     await handlePdfExport(req, res);
+  } else if (req.method === 'GET' && urlPath === '/export/cv.json') {
+    await handleCvJsonExport(req, res);
+  } else if (req.method === 'GET' && cvDocument) {
+    await handleCvDocumentExport(req, res, cvDocument[1]);
+  } else if (req.method === 'GET' && urlPath === '/export/contact.vcf') {
+    await handleVcardExport(req, res);
+  } else if (req.method === 'GET' && urlPath === '/export/contact-qr.svg') {
+    await handleContactQr(req, res);
+  } else if (req.method === 'GET' && urlPath === '/export/portfolio.pdf') {
+    await handleDossierPdfExport(req, res);
+  } else if (req.method === 'GET' && caseStudyPdf) {
+    await handleCaseStudyPdfExport(req, res, caseStudyPdf[1]);
+  } else if (req.method === 'GET' && urlPath === '/img/manifest.json') {
+    await handleImageManifest(req, res);
+  } else if (req.method === 'GET' && imageVariant) {
+    await handleImageVariant(req, res, imageVariant[1], Number(imageVariant[2]), imageVariant[3]);
+  } else if (req.method === 'GET' && localized) {
+    await handleLocalizedPage(req, res, localized.lang, localized.rest);
+  } else if (req.method === 'GET' && unprefixedPage) {
+    redirectToLocalizedPage(req, res, unprefixedPage);
+  } else if (req.method === 'GET' && liveReload && urlPath === liveReload.path) {
+    liveReload.handle(req, res);
   } else if (req.method === 'GET') {
     serveStatic(req, res);
   } else {
@@ -165,22 +838,69 @@ const server = http.createServer(async (req, res) => {
   }
 });
 
-server.listen(PORT, () => {
-  console.log(`
+/** Print validation problems so they can't be missed in the startup output */
+function reportDataIssues() {
+  const result = validateData();
+  const { errors, warnings } = result;
+  if (!errors.length && !warnings.length) return;
+
+  const color = process.stdout.isTTY ? (errors.length ? '\x1b[31m' : '\x1b[33m') : '';
+  const reset = color ? '\x1b[0m' : '';
+  const title = errors.length
+    ? `DATA VALIDATION FAILED — ${errors.length} error(s), ${warnings.length} warning(s)`
+    : `Data validation: ${warnings.length} warning(s)`;
+  const rule = '═'.repeat(title.length + 4);
+
+  console.log(`${color}
+  ${rule}
+    ${title}
+  ${rule}
+${formatIssues(result)}
+
+  Run \`npm run validate\` after fixing data/*.json to re-check.${reset}
+`);
+}
+
+// Started directly (npm start) → listen. Required (e.g. by prerender.js) →
+// the caller decides when and where the server listens.
+if (require.main === module) {
+  reportDataIssues();
+
+  if (process.env.NODE_ENV !== 'production' && process.env.LIVE_RELOAD !== '0') {
+    liveReload = createLiveReload({ root: ROOT });
+  }
+
+  server.listen(PORT, () => {
+    console.log(`
   mathisthomsen.de dev server
   ───────────────────────────
-  Site:   http://localhost:${PORT}
-  CV:     http://localhost:${PORT}/cv/
+  Site:   http://localhost:${PORT}/de/  ·  /en/
+  CV:     http://localhost:${PORT}/de/cv/  ·  /en/cv/
   PDF:    http://localhost:${PORT}/export/cv.pdf?lang=de
           http://localhost:${PORT}/export/cv.pdf?lang=en
-  `);
-});
+          http://localhost:${PORT}/export/portfolio.pdf?lang=de
+  Reload: ${liveReload ? 'live reload on' : 'off'}
+    `);
+  });
 
-server.on('error', (err) => {
-  if (err.code === 'EADDRINUSE') {
-    console.error(`Port ${PORT} is already in use. Set PORT env var to use a different port.`);
-  } else {
-    console.error(err);
+  function shutdown() {
+    if (liveReload) liveReload.close();
+    pdfCache.close();
+    server.close();
+    pool.close().finally(() => process.exit(0));
   }
-  process.exit(1);
-});
+
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+      console.error(`Port ${PORT} is already in use. Set PORT env var to use a different port.`);
+    } else {
+      console.error(err);
+    }
+    process.exit(1);
+  });
+}
+
+module.exports = { server, pool, pdfCache, images };
@@ -0,0 +1,72 @@
+/**
+ * server/generate-shells.js — Write static case study shells
+ *
+ * Writes portfolio/[slug]/index.html for every project in
+ * data/portfolio.json, with <title> and meta description taken from the
+ * JSON. The dev server renders the same shells on the fly; these files
+ * exist for the static FTP deploy, which has no server to do that.
+ *
+ * Usage:
+ *   npm run shells            → write / refresh all shells
+ *   npm run shells -- --check → exit 1 if any shell is missing or outdated
+ */
+
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { renderCaseStudyShell } = require('./case-study-shell');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORTFOLIO_DIR = path.join(ROOT, 'portfolio');
+
+// Folders in portfolio/ that are pages of their own, not case studies
+const RESERVED = ['dossier'];
+
+function main() {
+  const checkOnly = process.argv.includes('--check');
+  const data = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'portfolio.json'), 'utf8'));
+  const projects = data.projects || [];
+
+  let outdated = 0;
+
+  projects.forEach(project => {
+    if (RESERVED.includes(project.slug)) {
+      console.error(`  ✗ ${project.slug}: slug is reserved, pick another one`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const file = path.join(PORTFOLIO_DIR, project.slug, 'index.html');
+    const html = renderCaseStudyShell(project);
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+
+    if (current === html) {
+      console.log(`  · ${project.slug} (up to date)`);
+      return;
+    }
+
+    outdated++;
+    if (checkOnly) {
+      console.log(`  ✗ ${project.slug} (${current === null ? 'missing' : 'outdated'})`);
+      return;
+    }
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, html);
+    console.log(`  ✓ ${project.slug} (${current === null ? 'created' : 'updated'})`);
+  });
+
+  // Shells whose project was removed from the JSON are left alone, but flagged
+  const slugs = new Set(projects.map(p => p.slug));
+  fs.readdirSync(PORTFOLIO_DIR, { withFileTypes: true })
+    .filter(d => d.isDirectory() && !slugs.has(d.name) && !RESERVED.includes(d.name))
+    .forEach(d => console.warn(`  ! portfolio/${d.name}/ has no entry in portfolio.json — delete it if it is obsolete`));
+
+  if (checkOnly && outdated) {
+    console.error(`\n${outdated} shell(s) out of date. Run: npm run shells`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,263 @@
+/**
+ * server/images.js — Responsive image variants
+ *
+ * Every raster image the content files reference — cv.json's meta.photo,
+ * portfolio.json's image, gallery and before/after blocks, filled visual
+ * slots and video/embed posters — is offered in several widths and formats, generated on
+ * first request and cached on disk:
+ *
+ *   GET /img/manifest.json
+ *     → { "/assets/photo.jpg": { width, height, widths, formats, placeholder } }
+ *       Intrinsic size (against layout shift), the variant widths and
+ *       formats, and a tiny blurred preview as a data: URL
+ *   GET /img/<source path>/<width>.<avif|webp|jpg>
+ *     → one variant, e.g. /img/assets/photo.jpg/320.webp
+ *
+ * cv.js and portfolio.js read the manifest and render <picture> elements
+ * from it; images it doesn't list are shown as they are. The static build
+ * (prerender.js) writes the manifest and every variant into dist/img/.
+ *
+ * Resizing needs the optional `sharp` package. Without it the manifest
+ * still carries each image's size, read from the file header, but no
+ * variants or placeholder — pages fall back to the original file.
+ *
+ * Usage:
+ *   const images = createImagePipeline({ root, cacheDir: '.cache/img' });
+ *   const manifest = await images.manifest();
+ *   const { buffer, contentType } = await images.variant('/assets/photo.jpg', 320, 'webp');
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+// Candidate widths; an image gets those below its own width, plus its own
+// width (capped at the largest), so nothing is ever upscaled
+const WIDTHS = [160, 320, 640, 960, 1280, 1920];
+
+// Best first — the order of the <source> elements
+const FORMATS = {
+  avif: { contentType: 'image/avif', encode: img => img.avif({ quality: 50 }) },
+  webp: { contentType: 'image/webp', encode: img => img.webp({ quality: 75 }) },
+  // JPEG has no transparency: flatten onto white, like paper
+  jpg:  { contentType: 'image/jpeg', encode: img => img.flatten({ background: '#ffffff' }).jpeg({ quality: 80, mozjpeg: true }) },
+};
+
+const RASTER = /\.(jpe?g|png|webp)$/i;
+const PLACEHOLDER_WIDTH = 16;
+
+class ImageError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ImageError';
+    this.code = code;
+  }
+}
+
+/* ── Intrinsic size without sharp ────────────────────────────── */
+
+/** { width, height } from a JPEG, PNG or WebP header, or null */
+function readImageSize(buffer) {
+  // PNG: IHDR is always the first chunk
+  if (buffer.length >= 24 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // JPEG: walk the segments up to the first start-of-frame marker
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let pos = 2;
+    while (pos + 9 < buffer.length) {
+      if (buffer[pos] !== 0xff) return null;
+      const marker = buffer[pos + 1];
+      if (marker === 0xff) { pos++; continue; } // fill byte
+      const isFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isFrame) return { width: buffer.readUInt16BE(pos + 7), height: buffer.readUInt16BE(pos + 5) };
+      pos += 2 + buffer.readUInt16BE(pos + 2);
+    }
+    return null;
+  }
+
+  // WebP: lossy (VP8), lossless (VP8L) or extended (VP8X)
+  if (buffer.length >= 30 && buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ') {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+  }
+
+  return null;
+}
+
+/** Variant widths for an image `width` pixels wide */
+function variantWidths(width) {
+  const max = WIDTHS[WIDTHS.length - 1];
+  return [...new Set([...WIDTHS.filter(w => w < width), Math.min(width, max)])];
+}
+
+/* ── Sources ─────────────────────────────────────────────────── */
+
+/** Site paths of the raster images cv.json and portfolio.json reference */
+function referencedImages(root) {
+  const read = file => {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(root, 'data', file), 'utf8'));
+    } catch {
+      return {};
+    }
+  };
+  const cv = read('cv.json');
+  const portfolio = read('portfolio.json');
+
+  const sources = [(cv.meta || {}).photo];
+  (portfolio.projects || []).forEach(project => {
+    (project.sections || []).forEach(block => {
+      if (block.type === 'image') sources.push(block.src);
+      if (block.type === 'gallery') (block.images || []).forEach(image => sources.push(image.src));
+      if (block.type === 'visual_slots') (block.slots || []).forEach(slot => sources.push(slot.src));
+      if (block.type === 'before_after') sources.push((block.before || {}).src, (block.after || {}).src);
+      if (block.type === 'video' || block.type === 'embed') sources.push(block.poster);
+    });
+  });
+
+  return [...new Set(sources.filter(src => typeof src === 'string' && src.startsWith('/') && RASTER.test(src)))];
+}
+
+/* ── Pipeline ────────────────────────────────────────────────── */
+
+/**
+ * @param {object} options
+ * @param {string} options.root      Site root the image paths are relative to
+ * @param {string} options.cacheDir  Directory for generated variants (created on demand)
+ */
+function createImagePipeline({ root, cacheDir }) {
+  let sharp;
+  /** source path → { key, info } — key = size + mtime, so edits re-read */
+  const described = new Map();
+  /** cache file → in-flight encode (dedupes concurrent requests) */
+  const inFlight = new Map();
+
+  /** The sharp module, or null when it isn't installed */
+  function loadSharp() {
+    if (sharp !== undefined) return sharp;
+    try {
+      sharp = require('sharp');
+    } catch {
+      console.warn('[images] sharp is not installed — images are served as they are (npm install sharp)');
+      sharp = null;
+    }
+    return sharp;
+  }
+
+  function sourceFile(src) {
+    const file = path.join(root, decodeURI(src));
+    if (!file.startsWith(root + path.sep)) throw new ImageError('NOT_FOUND', `Outside the site: ${src}`);
+    return file;
+  }
+
+  /** Manifest entry of one image, computed once per file version */
+  async function describe(src) {
+    const file = sourceFile(src);
+    const stat = await fsp.stat(file);
+    const key = `${stat.size}-${stat.mtimeMs}`;
+    const cached = described.get(src);
+    if (cached && cached.key === key) return cached.info;
+
+    const buffer = await fsp.readFile(file);
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+    const lib = loadSharp();
+    let info;
+
+    if (lib) {
+      // EXIF orientations 5–8 turn the image by 90°: the size shown is swapped
+      const meta = await lib(buffer).metadata();
+      const turned = meta.orientation >= 5;
+      const width = turned ? meta.height : meta.width;
+      const height = turned ? meta.width : meta.height;
+      const preview = await lib(buffer).rotate().resize(PLACEHOLDER_WIDTH).blur().webp({ quality: 40 }).toBuffer();
+      info = {
+        width,
+        height,
+        widths: variantWidths(width),
+        formats: Object.keys(FORMATS),
+        placeholder: `data:image/webp;base64,${preview.toString('base64')}`,
+      };
+    } else {
+      const size = readImageSize(buffer);
+      info = size ? { width: size.width, height: size.height } : {};
+    }
+
+    described.set(src, { key, info: { ...info, hash } });
+    return described.get(src).info;
+  }
+
+  /** Manifest of every referenced image; unreadable files are left out */
+  async function manifest() {
+    const entries = await Promise.all(referencedImages(root).map(async (src) => {
+      try {
+        const { hash, ...info } = await describe(src);
+        return [src, info];
+      } catch (err) {
+        console.warn(`[images] Skipping ${src}:`, err.message);
+        return null;
+      }
+    }));
+    return Object.fromEntries(entries.filter(Boolean));
+  }
+
+  /** Delete the variants of `src` that were built from an older version */
+  async function prune(dir, hash) {
+    const files = await fsp.readdir(dir).catch(() => []);
+    await Promise.all(files
+      .filter(f => !f.startsWith(`${hash}-`))
+      .map(f => fsp.unlink(path.join(dir, f)).catch(() => {})));
+  }
+
+  /**
+   * One variant of a referenced image, from the cache or encoded now.
+   * Only the widths and formats the manifest lists exist, so requests
+   * can't fill the disk with arbitrary sizes.
+   */
+  async function variant(src, width, format) {
+    if (!FORMATS[format] || !referencedImages(root).includes(src)) {
+      throw new ImageError('NOT_FOUND', `No such image variant: ${src} ${width} ${format}`);
+    }
+    const lib = loadSharp();
+    if (!lib) throw new ImageError('UNAVAILABLE', 'Image variants need the sharp package');
+
+    const info = await describe(src);
+    if (!info.widths.includes(width)) throw new ImageError('NOT_FOUND', `No ${width}px variant of ${src}`);
+
+    const dir = path.join(cacheDir, src.replace(/^\/+/, '').replace(/[^a-z0-9_.-]+/gi, '_'));
+    const file = path.join(dir, `${info.hash}-${width}.${format}`);
+    const result = { contentType: FORMATS[format].contentType, etag: `"${info.hash}-${width}-${format}"` };
+
+    const cached = await fsp.readFile(file).catch(() => null);
+    if (cached) return { ...result, buffer: cached };
+
+    if (!inFlight.has(file)) {
+      inFlight.set(file, (async () => {
+        const image = lib(await fsp.readFile(sourceFile(src))).rotate().resize({ width });
+        const buffer = await FORMATS[format].encode(image).toBuffer();
+        await fsp.mkdir(dir, { recursive: true });
+        await prune(dir, info.hash);
+        await fsp.writeFile(file, buffer);
+        return buffer;
+      })().finally(() => inFlight.delete(file)));
+    }
+    return { ...result, buffer: await inFlight.get(file) };
+  }
+
+  return { manifest, variant };
+}
+
+module.exports = { createImagePipeline, readImageSize, ImageError };
@@ -0,0 +1,88 @@
+/**
+ * server/import-jsonresume.js — Convert JSON Resume files into cv.json
+ *
+ * Usage:
+ *   npm run import:jsonresume -- resume.json                     (German file)
+ *   npm run import:jsonresume -- resume.json --lang en           (English file)
+ *   npm run import:jsonresume -- --de lebenslauf.json --en resume.json
+ *
+ * Options:
+ *   --out <file>   Write the result there (e.g. data/cv.json) instead of stdout
+ *
+ * The conversion itself lives in json-resume.js. The report — fields that
+ * have no place in cv.json, approximations, schema problems — goes to
+ * stderr, so stdout can be redirected into a file.
+ */
+
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { fromJsonResume } = require('./json-resume');
+const { validate } = require('./json-schema');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const USAGE = `Usage:
+  npm run import:jsonresume -- <resume.json> [--lang de|en] [--out <file>]
+  npm run import:jsonresume -- --de <de.json> --en <en.json> [--out <file>]`;
+
+function parseArgs(argv) {
+  const args = { files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (['--de', '--en', '--lang', '--out'].includes(arg)) {
+      args[arg.slice(2)] = argv[++i];
+    } else {
+      args.files.push(arg);
+    }
+  }
+  return args;
+}
+
+function readResume(file) {
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const pair = args.de || args.en;
+
+  if ((pair && (!args.de || !args.en || args.files.length)) || (!pair && args.files.length !== 1)
+      || (args.lang && !['de', 'en'].includes(args.lang))) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  let result;
+  try {
+    result = pair
+      ? fromJsonResume(readResume(args.de), { secondary: readResume(args.en) })
+      : fromJsonResume(readResume(args.files[0]), { lang: args.lang || 'de' });
+  } catch (err) {
+    console.error(`Could not read input: ${err.message}`);
+    process.exit(1);
+  }
+
+  const { cv, unmapped, notes } = result;
+  const schema = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'schema', 'cv.schema.json'), 'utf8'));
+  const problems = validate(schema, cv);
+
+  const output = JSON.stringify({ $schema: './schema/cv.schema.json', ...cv }, null, 2) + '\n';
+  if (args.out) {
+    fs.writeFileSync(path.resolve(args.out), output);
+    console.error(`  ✓ wrote ${args.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+
+  const section = (title, lines) => {
+    if (lines.length) console.error(`\n${title}\n${lines.map(line => `  · ${line}`).join('\n')}`);
+  };
+  section('Not mapped (no matching field in cv.json):', unmapped);
+  section('Approximated:', notes);
+  section('Fill in before use (schema):', problems.map(p => `${p.path}: ${p.message}`));
+  if (!unmapped.length && !notes.length && !problems.length) console.error('\nEverything mapped.');
+}
+
+main();
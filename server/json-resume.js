@@ -0,0 +1,403 @@
+/**
+ * server/json-resume.js — Convert between cv.json and JSON Resume
+ *
+ * JSON Resume (https://jsonresume.org/schema, v1.0.0) is monolingual and
+ * flat: one "work" entry per position, skills as name + level word. So
+ *
+ *   export  toJsonResume(cv, lang)  → one language of cv.json
+ *   import  fromJsonResume(primary, { secondary, lang })
+ *           → cv.json structure from one file, or a DE + EN pair whose
+ *             entries are matched by position
+ *
+ * Mapping (cv.json ⇄ JSON Resume):
+ *   meta + summary             ⇄ basics
+ *   experience[].roles[]       ⇄ work[] — one entry per role; consecutive
+ *                                entries of the same company are grouped
+ *   experience[].description   ⇄ highlights of a single-role job, or of the
+ *                                newest role when only that one has any
+ *   education[]                ⇄ education[] (degree → area, focus → courses)
+ *   skills.specialized/tools   ⇄ skills[] with a level word (js/cv-format.js);
+ *                                import puts all of them into specialized
+ *   skills.misc                ⇄ one skills[] entry with keywords
+ *   languages[]                ⇄ languages[] (label → fluency)
+ *   certifications[]           ⇄ certificates[]
+ *   projects[]                 ⇄ projects[] (first link → url)
+ *
+ * The import records every input field it did not use, so nothing is
+ * dropped silently (see server/import-jsonresume.js).
+ */
+
+'use strict';
+
+const { t, SKILL_GROUP_LABELS, SKILL_LEVELS, levelWord, levelFromWord } = require('../js/cv-format');
+const { slugify } = require('../js/rich-text');
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+/** Drop undefined, null and empty-string/array values (JSON Resume omits unknowns) */
+function compact(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) =>
+    v !== undefined && v !== null && v !== '' && !(Array.isArray(v) && !v.length)
+  ));
+}
+
+function absoluteUrl(value, origin) {
+  if (!value) return undefined;
+  if (/^https?:\/\//.test(value)) return value;
+  if (value.startsWith('/')) return origin + value;
+  return `https://${value}`;
+}
+
+/* ── Export ──────────────────────────────────────────────────── */
+
+/**
+ * @param {object} cv      Parsed data/cv.json
+ * @param {string} lang    'de' | 'en'
+ * @param {object} [options]
+ * @param {string} [options.origin]  Prefix for site-relative URLs (photo)
+ * @returns {object} JSON Resume document
+ */
+function toJsonResume(cv, lang, { origin = '' } = {}) {
+  const meta = cv.meta || {};
+
+  const work = (cv.experience || []).flatMap(job => {
+    const jobBullets = t(job.description, lang) || [];
+    return job.roles.map((role, i) => compact({
+      name: job.company,
+      position: t(role.title, lang),
+      url: job.companyUrl || undefined,
+      startDate: role.start,
+      endDate: role.end || undefined,
+      highlights: [
+        ...(i === 0 ? jobBullets : []),
+        ...(t(role.description, lang) || []),
+      ],
+    }));
+  });
+
+  const skills = (cv.skills || {});
+  const misc = t(skills.misc, lang) || [];
+
+  return compact({
+    $schema: JSON_RESUME_SCHEMA,
+    basics: compact({
+      name: meta.name,
+      label: t(meta.title, lang),
+      image: absoluteUrl(meta.photo, origin),
+      email: meta.email,
+      url: absoluteUrl(meta.website, origin),
+      summary: t(cv.summary, lang),
+    }),
+    work,
+    education: (cv.education || []).map(entry => compact({
+      institution: entry.institution,
+      area: t(entry.degree, lang),
+      startDate: entry.start,
+      endDate: entry.end || undefined,
+      score: entry.grade,
+      courses: entry.focus ? [t(entry.focus, lang)] : [],
+    })),
+    certificates: (cv.certifications || []).map(cert => compact({
+      name: t(cert.title, lang),
+      issuer: cert.issuer,
+    })),
+    skills: [
+      ...[...(skills.specialized || []), ...(skills.tools || [])].map(skill => ({
+        name: t(skill.name, lang),
+        level: levelWord(skill.level, skill.max, lang),
+      })),
+      ...(misc.length ? [{ name: SKILL_GROUP_LABELS.misc[lang], keywords: misc }] : []),
+    ],
+    languages: (cv.languages || []).map(language => compact({
+      language: t(language.name, lang),
+      fluency: t(language.label, lang),
+    })),
+    projects: (cv.projects || []).map(project => compact({
+      name: t(project.title, lang),
+      description: t(project.description, lang),
+      startDate: project.start || undefined,
+      endDate: project.end || undefined,
+      url: project.links && project.links.length ? project.links[0].url : undefined,
+    })),
+    meta: { version: 'v1.0.0' },
+  });
+}
+
+/* ── Import ──────────────────────────────────────────────────── */
+
+// Language fluency → level of 5. Checked as substrings, first match wins.
+const FLUENCY_LEVELS = [
+  [5, ['native', 'mother tongue', 'muttersprach', 'bilingual', 'c2']],
+  [4, ['fluent', 'proficient', 'verhandlungssicher', 'fließend', 'full professional', 'c1']],
+  [3, ['advanced', 'professional working', 'sehr gut', 'b2']],
+  [2, ['intermediate', 'limited working', 'gut', 'b1', 'a2']],
+  [1, ['basic', 'elementary', 'beginner', 'grundkenntnisse', 'a1']],
+];
+
+function fluencyLevel(fluency) {
+  const needle = String(fluency || '').toLowerCase();
+  const match = FLUENCY_LEVELS.find(([, words]) => words.some(w => needle.includes(w)));
+  return match ? match[0] : null;
+}
+
+function initialsOf(name) {
+  return String(name || '').split(/\s+/).filter(Boolean).map(part => part[0].toUpperCase()).join('');
+}
+
+function pathOf(keys) {
+  return keys.reduce((acc, key) => (typeof key === 'number' ? `${acc}[${key}]` : acc ? `${acc}.${key}` : key), '');
+}
+
+/** Every leaf path with content, e.g. "work[2].location.city" */
+function leafPaths(value, at = '', out = []) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => leafPaths(item, `${at}[${i}]`, out));
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => leafPaths(value[key], at ? `${at}.${key}` : key, out));
+  } else if (value !== null && value !== undefined && value !== '') {
+    out.push(at);
+  }
+  return out;
+}
+
+/**
+ * @param {object} primary  JSON Resume document (German one of a pair)
+ * @param {object} [options]
+ * @param {object} [options.secondary]  English JSON Resume of the same CV
+ * @param {string} [options.lang]       Language of a single primary file ('de' default)
+ * @returns {{ cv: object, unmapped: string[], notes: string[] }}
+ *   unmapped: input fields without a place in cv.json ("work[].location ×3")
+ *   notes:    approximations the import had to make
+ */
+function fromJsonResume(primary, { secondary = null, lang = 'de' } = {}) {
+  const used = new Set(['$schema', 'meta']);
+  const notes = [];
+  const ids = new Set();
+
+  if (!secondary && lang === 'en') {
+    notes.push('single English file: the German texts are copies of the English ones — translate them in cv.json');
+  }
+
+  const lookup = (doc, keys) => keys.reduce((node, key) => (node == null ? undefined : node[key]), doc);
+
+  /** Language-agnostic value (dates, names, URLs), taken from the primary file */
+  function value(...keys) {
+    used.add(pathOf(keys));
+    return lookup(primary, keys);
+  }
+
+  /** Build a { de, en } field from the primary (+ secondary) file */
+  function localize(primaryValue, secondaryValue) {
+    if (secondary) return secondaryValue ? { de: primaryValue, en: secondaryValue } : { de: primaryValue };
+    return lang === 'en' ? { de: primaryValue, en: primaryValue } : { de: primaryValue };
+  }
+
+  function text(...keys) {
+    const de = value(...keys);
+    if (typeof de !== 'string' || !de) return undefined;
+    return localize(de, secondary ? lookup(secondary, keys) : undefined);
+  }
+
+  function textList(...keys) {
+    const de = value(...keys);
+    if (!Array.isArray(de) || !de.length) return undefined;
+    const en = secondary ? lookup(secondary, keys) : undefined;
+    return localize(de, Array.isArray(en) && en.length ? en : undefined);
+  }
+
+  /** Indices of an array section; its entries count as read field by field */
+  function list(key) {
+    const items = primary[key];
+    if (!Array.isArray(items)) return [];
+    if (secondary && Array.isArray(secondary[key]) && secondary[key].length !== items.length) {
+      notes.push(`${key}: ${items.length} entries in the German file, ${secondary[key].length} in the English one — matched by position`);
+    }
+    return items.map((_, i) => i);
+  }
+
+  /** "2021-12-01" / "2021-12" → "2021-12"; "2021" → "2021-01" unless years are fine */
+  function date(keys, { yearOnly = false } = {}) {
+    const raw = value(...keys);
+    if (!raw) return null;
+    const match = String(raw).match(/^(\d{4})(?:-(\d{2}))?/);
+    if (!match) {
+      notes.push(`${pathOf(keys)}: "${raw}" is not a date — left empty`);
+      return null;
+    }
+    if (match[2]) return `${match[1]}-${match[2]}`;
+    if (yearOnly) return match[1];
+    notes.push(`${pathOf(keys)}: "${raw}" has no month — using ${match[1]}-01`);
+    return `${match[1]}-01`;
+  }
+
+  function uniqueId(base) {
+    let id = slugify(base, 'entry');
+    for (let n = 2; ids.has(id); n++) id = `${slugify(base, 'entry')}-${n}`;
+    ids.add(id);
+    return id;
+  }
+
+  /* basics → meta + summary */
+  const name = value('basics', 'name') || '';
+  const cv = {
+    meta: compact({
+      name,
+      initials: initialsOf(name),
+      title: text('basics', 'label'),
+      email: value('basics', 'email'),
+      website: (value('basics', 'url') || '').replace(/^https?:\/\//, '').replace(/\/$/, ''),
+      photo: value('basics', 'image'),
+    }),
+    summary: text('basics', 'summary') || { de: '' },
+  };
+
+  /* work → experience, grouping consecutive entries of one company */
+  const groups = [];
+  list('work').forEach(i => {
+    const company = value('work', i, 'name');
+    const last = groups[groups.length - 1];
+    if (last && last.company === company) last.items.push(i);
+    else groups.push({ company, items: [i] });
+  });
+
+  cv.experience = groups.map(({ company, items }) => {
+    const roles = items.map(i => {
+      const description = textList('work', i, 'highlights');
+      return {
+        title: text('work', i, 'position') || { de: '' },
+        start: date(['work', i, 'startDate']),
+        end: date(['work', i, 'endDate']),
+        ...(description ? { description } : {}),
+      };
+    });
+
+    // Bullets of a single role — or only on the newest one — describe the job
+    let description;
+    if (roles.length === 1 || roles.slice(1).every(role => !role.description)) {
+      description = roles[0].description;
+      delete roles[0].description;
+    }
+
+    const starts = roles.map(role => role.start).filter(Boolean).sort();
+    const ends = roles.map(role => role.end);
+    // Later entries of the group repeat the company fields
+    items.slice(1).forEach(i => { value('work', i, 'name'); value('work', i, 'url'); });
+    return {
+      id: uniqueId(company),
+      company: company || '',
+      companyUrl: absoluteUrl(value('work', items[0], 'url'), '') || null,
+      start: starts[0] || null,
+      end: ends.includes(null) ? null : ends.sort().pop(),
+      roles,
+      ...(description ? { description } : {}),
+    };
+  });
+
+  /* education */
+  cv.education = list('education').map(i => {
+    const studyType = text('education', i, 'studyType');
+    const area = text('education', i, 'area');
+    const degree = studyType && area
+      ? { de: `${studyType.de} ${area.de}`, ...(area.en ? { en: `${studyType.en || studyType.de} ${area.en}` } : {}) }
+      : area || studyType || { de: '' };
+    const courses = textList('education', i, 'courses');
+    const institution = value('education', i, 'institution') || '';
+
+    return compact({
+      id: uniqueId(institution),
+      degree,
+      institution,
+      grade: value('education', i, 'score'),
+      start: date(['education', i, 'startDate']),
+      end: date(['education', i, 'endDate']),
+      focus: courses && {
+        de: courses.de.join('; '),
+        ...(courses.en ? { en: courses.en.join('; ') } : {}),
+      },
+    });
+  });
+
+  /* skills → specialized (with a known level word) or misc */
+  const specialized = [];
+  const misc = { de: [], en: [] };
+  list('skills').forEach(i => {
+    const skillName = text('skills', i, 'name');
+    const levelText = value('skills', i, 'level');
+    const keywords = textList('skills', i, 'keywords');
+    const level = levelFromWord(levelText);
+
+    if (levelText && !level) {
+      notes.push(`skills[${i}].level "${levelText}" is not one of ${SKILL_LEVELS.en.join(', ')} (or German) — listed under misc`);
+    }
+    if (level && skillName) specialized.push({ name: skillName, level, max: 5 });
+
+    // A group of keywords is listed item by item; a name without level as-is
+    const items = keywords || (!level && skillName ? { de: [skillName.de], en: skillName.en && [skillName.en] } : null);
+    if (items) {
+      misc.de.push(...items.de);
+      misc.en.push(...(items.en || items.de));
+    }
+  });
+  cv.skills = { specialized, tools: [], misc: misc.en.length && (secondary || lang === 'en') ? misc : { de: misc.de } };
+
+  /* languages */
+  cv.languages = list('languages').map(i => {
+    const fluency = text('languages', i, 'fluency');
+    let level = fluencyLevel(fluency && fluency.de) || fluencyLevel(fluency && fluency.en);
+    if (!level) {
+      notes.push(`languages[${i}]: could not derive a level from "${(fluency && fluency.de) || ''}" — using 3 of 5`);
+      level = 3;
+    }
+    return {
+      name: text('languages', i, 'language') || { de: '' },
+      level,
+      max: 5,
+      label: fluency || { de: levelWord(level, 5, 'de'), en: levelWord(level, 5, 'en') },
+    };
+  });
+
+  /* certificates → certifications */
+  cv.certifications = list('certificates').map(i => ({
+    title: text('certificates', i, 'name') || { de: '' },
+    issuer: value('certificates', i, 'issuer') || '',
+  }));
+
+  /* projects */
+  cv.projects = list('projects').map(i => {
+    const title = text('projects', i, 'name') || { de: '' };
+    const url = absoluteUrl(value('projects', i, 'url'), '');
+    const description = text('projects', i, 'description');
+    return {
+      id: uniqueId(title.de),
+      title,
+      start: date(['projects', i, 'startDate'], { yearOnly: true }),
+      end: date(['projects', i, 'endDate'], { yearOnly: true }),
+      ...(description ? { description } : {}),
+      links: url ? [{ label: url.replace(/^https?:\/\//, '').replace(/\/$/, ''), url }] : [],
+    };
+  });
+
+  /* Everything not read above — a field counts as read with all its children */
+  const isUsed = leaf => {
+    for (let p = leaf; p; p = p.replace(/(\.[^.[\]]+|\[\d+\])$/, '')) {
+      if (used.has(p)) return true;
+      if (!/[.[]/.test(p)) break;
+    }
+    return false;
+  };
+  const unmappedIn = doc => {
+    const counts = new Map();
+    leafPaths(doc).filter(leaf => !isUsed(leaf)).forEach(leaf => {
+      const key = leaf.replace(/\[\d+\]/g, '[]');
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return [...counts].map(([key, n]) => (n > 1 ? `${key} ×${n}` : key));
+  };
+  const unmapped = secondary
+    ? [...unmappedIn(primary).map(p => `de: ${p}`), ...unmappedIn(secondary).map(p => `en: ${p}`)]
+    : unmappedIn(primary);
+
+  return { cv, unmapped, notes };
+}
+
+module.exports = { toJsonResume, fromJsonResume, JSON_RESUME_SCHEMA };
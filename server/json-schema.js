@@ -0,0 +1,162 @@
+/**
+ * server/json-schema.js — Minimal JSON Schema validator
+ *
+ * Implements the subset of JSON Schema (2020-12) used by data/schema/*.json,
+ * so validating the content files needs no extra dependency:
+ *
+ *   type, enum, const, pattern, minLength, minimum, maximum, minItems,
+ *   maxItems, properties, required, additionalProperties, propertyNames, items,
+ *   $ref (local #/$defs),
+ *   anyOf, oneOf — plus the OpenAPI-style "discriminator" next to oneOf,
+ *   which picks the branch by a property value (e.g. a block's "type") and
+ *   reports unknown values directly instead of one error per branch.
+ *
+ * Usage:
+ *   const errors = validate(schema, data);
+ *   // → [{ path: 'projects[0].slug', message: 'must match ^[a-z0-9-]+$' }]
+ */
+
+'use strict';
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function joinPath(base, key) {
+  if (typeof key === 'number') return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) throw new Error(`Only local $refs are supported: ${ref}`);
+  return ref.slice(2).split('/').reduce((node, key) => {
+    if (!node || !(key in node)) throw new Error(`Unresolvable $ref: ${ref}`);
+    return node[key];
+  }, root);
+}
+
+/**
+ * @param {object} schema  Root schema
+ * @param {*}      data    Value to validate
+ * @returns {{ path: string, message: string }[]}
+ */
+function validate(schema, data) {
+  let errors = [];
+
+  /** Errors a subschema alone would produce, without recording them */
+  function errorsFor(node, value, at) {
+    const outer = errors;
+    errors = [];
+    check(node, value, at);
+    const found = errors;
+    errors = outer;
+    return found;
+  }
+
+  function check(node, value, at) {
+    if (node.$ref) {
+      check(resolveRef(schema, node.$ref), value, at);
+      return;
+    }
+
+    if (node.type) {
+      const types = [].concat(node.type);
+      if (!types.some(type => matchesType(value, type))) {
+        errors.push({ path: at, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+        return;
+      }
+    }
+
+    if ('const' in node && value !== node.const) {
+      errors.push({ path: at, message: `must be ${JSON.stringify(node.const)}` });
+    }
+
+    if (node.enum && !node.enum.includes(value)) {
+      errors.push({ path: at, message: `must be one of ${node.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    if (typeof value === 'string') {
+      if (node.minLength !== undefined && value.length < node.minLength) {
+        errors.push({ path: at, message: node.minLength === 1 ? 'must not be empty' : `must be at least ${node.minLength} characters` });
+      }
+      if (node.pattern && !new RegExp(node.pattern, 'u').test(value)) {
+        errors.push({ path: at, message: `"${value}" must match ${node.pattern}` });
+      }
+    }
+
+    if (typeof value === 'number') {
+      if (node.minimum !== undefined && value < node.minimum) {
+        errors.push({ path: at, message: `must be ≥ ${node.minimum}` });
+      }
+      if (node.maximum !== undefined && value > node.maximum) {
+        errors.push({ path: at, message: `must be ≤ ${node.maximum}` });
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (node.minItems !== undefined && value.length < node.minItems) {
+        errors.push({ path: at, message: `must have at least ${node.minItems} item(s)` });
+      }
+      if (node.maxItems !== undefined && value.length > node.maxItems) {
+        errors.push({ path: at, message: `must have at most ${node.maxItems} item(s)` });
+      }
+      if (node.items) value.forEach((item, i) => check(node.items, item, joinPath(at, i)));
+    }
+
+    if (typeOf(value) === 'object') {
+      (node.required || []).forEach(key => {
+        if (!(key in value)) errors.push({ path: joinPath(at, key), message: 'is required' });
+      });
+
+      Object.keys(value).forEach(key => {
+        if (node.properties && key in node.properties) {
+          check(node.properties[key], value[key], joinPath(at, key));
+        } else if (node.additionalProperties === false) {
+          errors.push({ path: joinPath(at, key), message: 'is not an allowed property' });
+        } else if (typeof node.additionalProperties === 'object') {
+          check(node.additionalProperties, value[key], joinPath(at, key));
+        }
+        if (node.propertyNames) check(node.propertyNames, key, joinPath(at, key));
+      });
+    }
+
+    if (node.oneOf && node.discriminator && typeOf(value) === 'object') {
+      const prop = node.discriminator.propertyName;
+      const branch = node.oneOf
+        .map(b => (b.$ref ? resolveRef(schema, b.$ref) : b))
+        .find(b => b.properties && b.properties[prop] && b.properties[prop].const === value[prop]);
+      if (branch) {
+        check(branch, value, at);
+      } else {
+        const known = node.oneOf
+          .map(b => (b.$ref ? resolveRef(schema, b.$ref) : b).properties[prop].const);
+        errors.push({
+          path: joinPath(at, prop),
+          message: `unknown ${prop} ${JSON.stringify(value[prop])} (expected one of ${known.join(', ')})`,
+        });
+      }
+    } else if (node.oneOf || node.anyOf) {
+      const branches = node.oneOf || node.anyOf;
+      const matching = branches.filter(b => errorsFor(b, value, at).length === 0).length;
+      if (node.oneOf && matching !== 1) {
+        errors.push({ path: at, message: matching ? 'matches more than one allowed shape' : 'does not match any allowed shape' });
+      } else if (node.anyOf && matching === 0) {
+        errors.push({ path: at, message: 'does not match any allowed shape' });
+      }
+    }
+  }
+
+  check(schema, data, '');
+  return errors;
+}
+
+module.exports = { validate };
@@ -0,0 +1,141 @@
+/**
+ * server/lang-routes.js — Language-prefixed URLs (/de/…, /en/…)
+ *
+ * Every page that exists in both languages has one URL per language:
+ *   /de/  /de/cv/  /de/portfolio/  /de/portfolio/[slug]/   (and /en/…)
+ * The unprefixed URLs (/, /cv/, …) stay valid as the x-default entry
+ * point and redirect to the visitor's language: an explicit ?lang= wins,
+ * then the cv-lang cookie set by the DE|EN toggle, then Accept-Language.
+ *
+ * Shared by server/export.js (routing) and server/prerender.js (static
+ * redirect stubs for hosts without a Node.js server).
+ */
+
+'use strict';
+
+const { SITE_LABELS, t } = require('../js/site');
+
+const SUPPORTED_LANGS = ['de', 'en'];
+const DEFAULT_LANG = 'de';
+const PREF_COOKIE = 'cv-lang'; // same key cv.js / portfolio.js use for localStorage
+const SITE_ORIGIN = (process.env.SITE_ORIGIN || 'https://mathisthomsen.de').replace(/\/$/, '');
+
+/**
+ * Split "/en/cv/" into { lang: 'en', rest: '/cv/' }.
+ * Returns null when the path has no language prefix.
+ */
+function parseLangPath(urlPath) {
+  const match = urlPath.match(/^\/(de|en)(\/.*)?$/);
+  if (!match) return null;
+  return { lang: match[1], rest: match[2] || '' };
+}
+
+/** Read the stored language preference from the Cookie header */
+function langFromCookie(req) {
+  const cookies = req.headers.cookie || '';
+  const match = cookies.match(new RegExp(`(?:^|;\\s*)${PREF_COOKIE}=(de|en)(?:;|$)`));
+  return match ? match[1] : null;
+}
+
+/** Best supported language from an Accept-Language header, honouring q-values */
+function langFromAcceptLanguage(header) {
+  if (!header) return null;
+  const ranked = header.split(',')
+    .map((part, i) => {
+      const [tag, ...params] = part.trim().split(';');
+      const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+      return { lang: tag.trim().toLowerCase().slice(0, 2), q: q ? Number(q.slice(2)) : 1, i };
+    })
+    .filter(entry => SUPPORTED_LANGS.includes(entry.lang) && entry.q > 0)
+    .sort((a, b) => b.q - a.q || a.i - b.i);
+  return ranked.length ? ranked[0].lang : null;
+}
+
+/** ?lang= > stored preference (cookie) > Accept-Language > default */
+function negotiateLang(req, url) {
+  const qLang = url.searchParams.get('lang');
+  if (SUPPORTED_LANGS.includes(qLang)) return qLang;
+  return langFromCookie(req)
+    || langFromAcceptLanguage(req.headers['accept-language'])
+    || DEFAULT_LANG;
+}
+
+/** <link> tags for canonical + hreflang alternates of a page path like '/cv/' */
+function alternateLinks(lang, pagePath) {
+  return [
+    `<link rel="canonical" href="${SITE_ORIGIN}/${lang}${pagePath}">`,
+    ...SUPPORTED_LANGS.map(l => `<link rel="alternate" hreflang="${l}" href="${SITE_ORIGIN}/${l}${pagePath}">`),
+    `<link rel="alternate" hreflang="x-default" href="${SITE_ORIGIN}${pagePath}">`,
+  ].join('\n  ');
+}
+
+/**
+ * Set <html lang>, write the skip link and the data-i18n-label aria-labels
+ * in `lang` (the HTML files carry them in German) and add canonical +
+ * hreflang links to a page's HTML
+ */
+function localizeHtml(html, lang, pagePath) {
+  return html
+    .replace(/<html lang="[a-z]+"/, `<html lang="${lang}"`)
+    .replace(/(<a [^>]*class="skip-link"[^>]*>)[^<]*/, (match, tag) => tag + t(SITE_LABELS.skipLink, lang))
+    .replace(/<[^>]*\sdata-i18n-label="(\w+)"[^>]*>/g, (tag, key) => (SITE_LABELS[key]
+      ? tag.replace(/aria-label="[^"]*"/, `aria-label="${t(SITE_LABELS[key], lang)}"`)
+      : tag))
+    .replace('</head>', `  ${alternateLinks(lang, pagePath)}\n</head>`);
+}
+
+/**
+ * Static stand-in for the server redirect on unprefixed URLs: picks the
+ * language client-side (?lang= → stored choice → browser language →
+ * default) and keeps the rest of the query.
+ */
+function renderRedirectStub(pagePath) {
+  const fallback = `/${DEFAULT_LANG}${pagePath}`;
+  return `<!DOCTYPE html>
+<html lang="${DEFAULT_LANG}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Mathis Thomsen</title>
+  ${alternateLinks(DEFAULT_LANG, pagePath)}
+  <script>
+    (function () {
+      var langs = ${JSON.stringify(SUPPORTED_LANGS)};
+      var lang = null;
+      // Keep the query (?profile=, ?tag=, …) minus ?lang=, which picks
+      // the language — like the server's redirect (queryWithoutLang)
+      var query = location.search.slice(1).split('&').filter(function (pair) {
+        if (pair.split('=')[0] !== 'lang') return pair !== '';
+        if (!lang && langs.indexOf(pair.slice(5)) !== -1) lang = pair.slice(5);
+        return false;
+      }).join('&');
+      if (!lang) {
+        try { lang = localStorage.getItem('${PREF_COOKIE}'); } catch (e) {}
+      }
+      if (langs.indexOf(lang) === -1) {
+        lang = (navigator.languages || [navigator.language || ''])
+          .map(function (l) { return String(l).toLowerCase().slice(0, 2); })
+          .filter(function (l) { return langs.indexOf(l) !== -1; })[0] || '${DEFAULT_LANG}';
+      }
+      location.replace('/' + lang + '${pagePath}' + (query ? '?' + query : '') + location.hash);
+    })();
+  </script>
+  <noscript><meta http-equiv="refresh" content="0; url=${fallback}"></noscript>
+</head>
+<body>
+  <p><a href="/de${pagePath}" hreflang="de">Deutsch</a> · <a href="/en${pagePath}" hreflang="en">English</a></p>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  SUPPORTED_LANGS,
+  DEFAULT_LANG,
+  SITE_ORIGIN,
+  parseLangPath,
+  negotiateLang,
+  langFromAcceptLanguage,
+  localizeHtml,
+  renderRedirectStub,
+};
@@ -0,0 +1,150 @@
+/**
+ * server/live-reload.js — Live reload for the dev server
+ *
+ * Watches data/, css/, js/ and the HTML pages and pushes every change to
+ * open pages over Server-Sent Events (GET /__live-reload). A small client
+ * snippet, injected into HTML responses by export.js, reacts per file type:
+ *
+ *   data/*.json → "data-changed" event; cv.js / portfolio.js re-render in
+ *                 place (scroll position and language stay). Pages without
+ *                 a handler reload.
+ *   *.css       → the matching <link> is swapped for a fresh copy
+ *   *.js, *.html → full reload
+ *
+ * Dev only: export.js creates it when started directly and NODE_ENV is not
+ * "production". The prerender build and the static deploy never see the
+ * snippet or the endpoint.
+ */
+
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+
+const ENDPOINT = '/__live-reload';
+
+// Directories watched recursively, relative to the site root. Root-level
+// *.html files (card, impressum, datenschutz) are watched separately.
+const WATCHED_DIRS = ['data', 'css', 'js', 'cv', 'portfolio'];
+
+const DEBOUNCE_MS = 60; // editors often write a file in several steps
+
+/** What the client should do about a changed file, or null to ignore it */
+function classify(relPath) {
+  const ext = path.extname(relPath).toLowerCase();
+  if (ext === '.json' && relPath.startsWith('data/')) return 'data';
+  if (ext === '.css') return 'css';
+  if (ext === '.js' || ext === '.html') return 'reload';
+  return null;
+}
+
+// Runs in the browser. Kept as plain ES5-ish code in a string, so it is
+// never part of js/ and can't end up in a deploy.
+const CLIENT_SNIPPET = `<script>
+(function () {
+  var source = new EventSource('${ENDPOINT}');
+
+  function swapStylesheet(file) {
+    document.querySelectorAll('link[rel="stylesheet"]').forEach(function (link) {
+      var url = new URL(link.href, location.href);
+      if (url.pathname !== file) return;
+      url.searchParams.set('v', Date.now());
+      var fresh = link.cloneNode();
+      fresh.href = url.pathname + url.search;
+      // Remove the old sheet only once the new one applies — no flash
+      fresh.onload = fresh.onerror = function () { link.remove(); };
+      link.after(fresh);
+    });
+  }
+
+  source.addEventListener('change', function (e) {
+    var change = JSON.parse(e.data);
+    console.info('[live-reload]', change.file);
+
+    if (change.kind === 'css') {
+      swapStylesheet(change.file);
+    } else if (change.kind === 'data') {
+      // Handlers call preventDefault() once they re-render in place
+      var handled = !document.dispatchEvent(new CustomEvent('data-changed', {
+        detail: { file: change.file },
+        cancelable: true,
+      }));
+      if (!handled) location.reload();
+    } else {
+      location.reload();
+    }
+  });
+})();
+</script>`;
+
+/**
+ * @param {object} options
+ * @param {string} options.root  Site root directory
+ */
+function createLiveReload({ root }) {
+  const clients = new Set();
+  const watchers = [];
+  const timers = new Map();
+
+  function broadcast(relPath) {
+    const kind = classify(relPath);
+    if (!kind) return;
+
+    clearTimeout(timers.get(relPath));
+    timers.set(relPath, setTimeout(() => {
+      timers.delete(relPath);
+      const payload = JSON.stringify({ kind, file: `/${relPath}` });
+      clients.forEach(res => res.write(`event: change\ndata: ${payload}\n\n`));
+      console.log(`  ↻ /${relPath} (${kind}) → ${clients.size} page(s)`);
+    }, DEBOUNCE_MS));
+  }
+
+  function watch(dir, options, filter = () => true) {
+    try {
+      const watcher = fs.watch(path.join(root, dir), options, (event, filename) => {
+        if (!filename) return;
+        const relPath = path.posix.join(dir, filename.split(path.sep).join('/'));
+        if (filter(relPath)) broadcast(relPath.replace(/^\.\//, ''));
+      });
+      watcher.on('error', err => console.warn(`[live-reload] Stopped watching ${dir}/:`, err.message));
+      watchers.push(watcher);
+    } catch (err) {
+      console.warn(`[live-reload] Cannot watch ${dir}/:`, err.message);
+    }
+  }
+
+  WATCHED_DIRS.forEach(dir => watch(dir, { recursive: true }));
+  watch('.', {}, relPath => relPath.endsWith('.html'));
+
+  return {
+    path: ENDPOINT,
+
+    /** GET /__live-reload — keep the response open as an event stream */
+    handle(req, res) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+      });
+      res.write('retry: 1000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+    },
+
+    /** Add the client snippet to an HTML page */
+    inject(html) {
+      return html.includes('</body>')
+        ? html.replace('</body>', `${CLIENT_SNIPPET}\n</body>`)
+        : html + CLIENT_SNIPPET;
+    },
+
+    close() {
+      watchers.forEach(w => w.close());
+      timers.forEach(timer => clearTimeout(timer));
+      clients.forEach(res => res.end());
+      clients.clear();
+    },
+  };
+}
+
+module.exports = { createLiveReload };
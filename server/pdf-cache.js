@@ -0,0 +1,167 @@
+/**
+ * server/pdf-cache.js — On-disk cache for generated PDFs
+ *
+ * A cached file is identified by a document name, a variant (language and
+ * any render options) and a SHA-256 digest over the contents of the source
+ * files the document is built from. Changing any source file changes the
+ * digest, so stale PDFs can never be served. The sources are also watched,
+ * and cached files built from an outdated digest are deleted as soon as a
+ * change lands on disk.
+ *
+ * Documents that print a date (the CV's "generated on" footer) register a
+ * stamp, e.g. the current day, that goes into the digest as well: the
+ * cached file and its ETag then expire when the stamp changes.
+ *
+ * Usage:
+ *   const cache = createPdfCache({ dir: '.cache/pdf' });
+ *   cache.register('cv', ['data/cv.json', 'cv/index.html'], { stamp: () => today() });
+ *   const { buffer, etag } = await cache.fetch('cv', 'de', () => renderPdf());
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+
+/**
+ * @param {object} options
+ * @param {string} options.dir  Directory for cached PDF files (created on demand)
+ */
+function createPdfCache({ dir }) {
+  /** name → absolute input paths */
+  const documents = new Map();
+  /** name → function returning the current date stamp */
+  const stamps = new Map();
+  /** cache file path → in-flight render promise (dedupes concurrent requests) */
+  const inFlight = new Map();
+  const watchers = new Map();
+
+  async function digest(name) {
+    const inputs = documents.get(name);
+    if (!inputs) throw new Error(`Unknown cached document: ${name}`);
+
+    const hash = crypto.createHash('sha256');
+    for (const file of inputs) {
+      hash.update(file);
+      hash.update('\0');
+      hash.update(await fsp.readFile(file).catch(() => Buffer.alloc(0)));
+      hash.update('\0');
+    }
+    if (stamps.has(name)) hash.update(stamps.get(name)());
+    return hash.digest('hex').slice(0, 16);
+  }
+
+  function fileFor(name, variant, hash) {
+    // Every character outside [a-z0-9.=~-] becomes "_<hex code>_" — "_"
+    // included, so two variants never end up with the same file name
+    const safeVariant = variant.replace(/[^a-z0-9.=~-]/g, ch => `_${ch.codePointAt(0).toString(16)}_`);
+    return path.join(dir, `${name}--${safeVariant}--${hash}.pdf`);
+  }
+
+  /** Delete every cached file of `name` that was not built from `currentHash` */
+  async function prune(name, currentHash) {
+    const entries = await fsp.readdir(dir).catch(() => []);
+    const prefix = `${name}--`;
+    await Promise.all(entries
+      .filter(f => f.startsWith(prefix) && f.endsWith('.pdf') && !f.endsWith(`--${currentHash}.pdf`))
+      .map(f => fsp.unlink(path.join(dir, f)).catch(() => {})));
+  }
+
+  async function invalidate(name) {
+    try {
+      await prune(name, await digest(name));
+    } catch (err) {
+      console.error(`[pdf-cache] Could not prune ${name}:`, err.message);
+    }
+  }
+
+  function watchInput(file) {
+    if (watchers.has(file)) return;
+    try {
+      const watcher = fs.watch(file, { persistent: false }, (eventType) => {
+        documents.forEach((inputs, name) => {
+          if (inputs.includes(file)) invalidate(name);
+        });
+        // Editors that save via rename replace the inode — re-attach
+        if (eventType === 'rename') {
+          watcher.close();
+          watchers.delete(file);
+          setTimeout(() => watchInput(file), 100);
+        }
+      });
+      watcher.on('error', () => {});
+      watchers.set(file, watcher);
+    } catch (err) {
+      console.warn(`[pdf-cache] Cannot watch ${file}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Declare a cacheable document and the source files it depends on.
+   * Leftovers from a previous server run with other sources are pruned.
+   * Registering the same name again with the same inputs is a no-op; with
+   * other inputs (e.g. a new photo path) it replaces them.
+   *
+   * @param {object}   [options]
+   * @param {function} [options.stamp]  Returns a string the digest includes,
+   *                                    e.g. the day a printed date shows
+   */
+  function register(name, inputs, { stamp } = {}) {
+    const resolved = inputs.map(f => path.resolve(f));
+    if (stamp) stamps.set(name, stamp);
+    const current = documents.get(name);
+    if (current && current.join('\0') === resolved.join('\0')) return;
+    documents.set(name, resolved);
+    resolved.forEach(watchInput);
+    invalidate(name);
+  }
+
+  /** Current ETag for a document variant, without rendering anything */
+  async function etag(name, variant) {
+    return `"${await digest(name)}-${variant}"`;
+  }
+
+  /**
+   * Return the cached PDF for `name`/`variant`, calling `render()` to build
+   * and store it on a miss.
+   *
+   * @returns {Promise<{ buffer: Buffer, etag: string, hit: boolean }>}
+   */
+  async function fetch(name, variant, render) {
+    const hash = await digest(name);
+    const file = fileFor(name, variant, hash);
+    const tag = `"${hash}-${variant}"`;
+
+    const cached = await fsp.readFile(file).catch(() => null);
+    if (cached) return { buffer: cached, etag: tag, hit: true };
+
+    if (!inFlight.has(file)) {
+      const job = (async () => {
+        const buffer = Buffer.from(await render());
+        await fsp.mkdir(dir, { recursive: true });
+        // Write-then-rename so a concurrent reader never sees half a file
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fsp.writeFile(tmp, buffer);
+        await fsp.rename(tmp, file);
+        // Files of an earlier stamp have no source change to prune them
+        if (stamps.has(name)) await prune(name, hash);
+        return buffer;
+      })();
+      inFlight.set(file, job);
+      job.then(() => inFlight.delete(file), () => inFlight.delete(file));
+    }
+
+    return { buffer: await inFlight.get(file), etag: tag, hit: false };
+  }
+
+  function close() {
+    watchers.forEach(w => w.close());
+    watchers.clear();
+  }
+
+  return { register, etag, fetch, close };
+}
+
+module.exports = { createPdfCache };
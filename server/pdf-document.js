@@ -0,0 +1,520 @@
+/**
+ * server/pdf-document.js — Document info, bookmarks and language for PDFs
+ *
+ * Chromium's page.pdf() takes the title from <title> and leaves author,
+ * subject, keywords and the document language out; its outline (with
+ * `outline: true`) lists every heading on the page. finishPdf() appends an
+ * incremental update (ISO 32000-1, 7.5.6) to its output that
+ *
+ *   - fills the document info dictionary (title, author, subject, keywords)
+ *   - sets the catalog's /Lang and asks viewers to show the title
+ *   - replaces the outline with a flat list of the given bookmarks, keeping
+ *     the destinations Chromium computed for those headings
+ *
+ * The original bytes stay untouched, so the tagged structure Chromium wrote
+ * survives as it is. Reads classic cross-reference tables as well as
+ * cross-reference and object streams; no PDF library needed.
+ *
+ * footerTemplate() builds the "generated on … · page x of y" footer for
+ * page.pdf({ displayHeaderFooter: true }).
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+/* ── Parsing ─────────────────────────────────────────────────── */
+/* Values: dictionaries are Maps, arrays are arrays, and names,     */
+/* strings (as binary strings) and references small tagged objects. */
+
+const WHITESPACE = '\0\t\n\f\r ';
+const DELIMITERS = '()<>[]{}/%';
+
+const name = value => ({ name: value });
+const ref = (num, gen = 0) => ({ ref: num, gen });
+
+function skipSpace(text, pos) {
+  while (pos < text.length) {
+    if (text[pos] === '%') {
+      while (pos < text.length && text[pos] !== '\n' && text[pos] !== '\r') pos++;
+    } else if (WHITESPACE.includes(text[pos])) {
+      pos++;
+    } else {
+      break;
+    }
+  }
+  return pos;
+}
+
+function readToken(text, pos) {
+  let end = pos;
+  while (end < text.length && !WHITESPACE.includes(text[end]) && !DELIMITERS.includes(text[end])) end++;
+  return text.slice(pos, end);
+}
+
+const ESCAPES = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+
+function parseLiteralString(text, pos) {
+  let value = '';
+  let depth = 1;
+  pos++;
+  while (pos < text.length) {
+    const c = text[pos++];
+    if (c === '\\') {
+      const next = text[pos++];
+      if (ESCAPES[next]) {
+        value += ESCAPES[next];
+      } else if (next >= '0' && next <= '7') {
+        const octal = text.slice(pos - 1, pos + 2).match(/^[0-7]{1,3}/)[0];
+        value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        pos += octal.length - 1;
+      } else if (next === '\r') {
+        if (text[pos] === '\n') pos++; // line continuation
+      } else if (next !== '\n') {
+        value += next;
+      }
+    } else if (c === '(') {
+      depth++;
+      value += c;
+    } else if (c === ')') {
+      if (--depth === 0) break;
+      value += c;
+    } else {
+      value += c;
+    }
+  }
+  return { value: { string: value }, end: pos };
+}
+
+/** Parse one value at `pos` → { value, end } */
+function parseValue(text, pos) {
+  pos = skipSpace(text, pos);
+
+  if (text.startsWith('<<', pos)) {
+    const dict = new Map();
+    pos += 2;
+    for (;;) {
+      pos = skipSpace(text, pos);
+      if (pos >= text.length) throw new Error('Unterminated dictionary');
+      if (text.startsWith('>>', pos)) return { value: dict, end: pos + 2 };
+      const key = parseValue(text, pos);
+      if (!key.value || key.value.name === undefined) throw new Error(`Dictionary key expected at ${pos}`);
+      const entry = parseValue(text, key.end);
+      dict.set(key.value.name, entry.value);
+      pos = entry.end;
+    }
+  }
+
+  const c = text[pos];
+  if (c === '[') {
+    const array = [];
+    pos++;
+    for (;;) {
+      pos = skipSpace(text, pos);
+      if (pos >= text.length) throw new Error('Unterminated array');
+      if (text[pos] === ']') return { value: array, end: pos + 1 };
+      const item = parseValue(text, pos);
+      array.push(item.value);
+      pos = item.end;
+    }
+  }
+  if (c === '(') return parseLiteralString(text, pos);
+  if (c === '<') {
+    const end = text.indexOf('>', pos);
+    let hex = text.slice(pos + 1, end).replace(/[^0-9a-f]/gi, '');
+    if (hex.length % 2) hex += '0';
+    return { value: { string: Buffer.from(hex, 'hex').toString('latin1') }, end: end + 1 };
+  }
+  if (c === '/') {
+    const token = readToken(text, pos + 1);
+    const decoded = token.replace(/#([0-9a-f]{2})/gi, (_, h) => String.fromCharCode(parseInt(h, 16)));
+    return { value: name(decoded), end: pos + 1 + token.length };
+  }
+
+  const token = readToken(text, pos);
+  if (!token) throw new Error(`Unexpected "${c}" at ${pos}`);
+  if (token === 'true' || token === 'false') return { value: token === 'true', end: pos + token.length };
+  if (token === 'null') return { value: null, end: pos + token.length };
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) throw new Error(`Unexpected "${token}" at ${pos}`);
+
+  // "12 0 R" — an indirect reference
+  const reference = /^\s+(\d+)\s+R(?![^\0\t\n\f\r ()<>[\]{}/%])/.exec(text.slice(pos + token.length, pos + token.length + 24));
+  if (/^\d+$/.test(token) && reference) {
+    return { value: ref(Number(token), Number(reference[1])), end: pos + token.length + reference[0].length };
+  }
+  return { value: Number(token), end: pos + token.length };
+}
+
+/** Undo PNG row predictors (/DecodeParms << /Predictor 10–15 >>) */
+function unpredict(data, columns) {
+  const rowLength = columns + 1;
+  const rows = [];
+  let previous = Buffer.alloc(columns);
+  for (let offset = 0; offset + rowLength <= data.length; offset += rowLength) {
+    const filter = data[offset];
+    const row = Buffer.from(data.subarray(offset + 1, offset + rowLength));
+    for (let i = 0; i < columns; i++) {
+      const left = i > 0 ? row[i - 1] : 0;
+      const up = previous[i];
+      const upLeft = i > 0 ? previous[i - 1] : 0;
+      if (filter === 1) row[i] += left;
+      else if (filter === 2) row[i] += up;
+      else if (filter === 3) row[i] += (left + up) >> 1;
+      else if (filter === 4) {
+        const p = left + up - upLeft;
+        const [pa, pb, pc] = [Math.abs(p - left), Math.abs(p - up), Math.abs(p - upLeft)];
+        row[i] += pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      }
+    }
+    rows.push(row);
+    previous = row;
+  }
+  return Buffer.concat(rows);
+}
+
+/**
+ * Open a PDF for reading objects. Only what finishPdf() needs: the
+ * newest trailer and every object, wherever its latest version lives.
+ */
+function openPdf(text) {
+  const entries = new Map(); // object number → { offset, gen } | { stream, index }
+  let trailer = null;
+
+  function parseIndirect(offset) {
+    const header = /^\s*(\d+)\s+(\d+)\s+obj\b/.exec(text.slice(offset, offset + 40));
+    if (!header) throw new Error(`No object at offset ${offset}`);
+    const { value, end } = parseValue(text, offset + header[0].length);
+    return { value, end };
+  }
+
+  function streamData(dict, end) {
+    let start = skipSpace(text, end);
+    if (!text.startsWith('stream', start)) throw new Error('Stream expected');
+    start += 6;
+    if (text[start] === '\r') start++;
+    if (text[start] === '\n') start++;
+    const length = resolve(dict.get('Length'));
+    let data = Buffer.from(text.slice(start, start + length), 'latin1');
+
+    const filters = [].concat(dict.get('Filter') || []).map(f => f.name);
+    if (filters.some(f => f !== 'FlateDecode')) throw new Error(`Unsupported stream filter ${filters}`);
+    if (filters.length) data = zlib.inflateSync(data);
+
+    const params = dict.get('DecodeParms');
+    const predictor = params instanceof Map ? params.get('Predictor') || 1 : 1;
+    if (predictor >= 10) data = unpredict(data, params.get('Columns') || 1);
+    return data;
+  }
+
+  function setEntry(num, entry) {
+    if (!entries.has(num)) entries.set(num, entry); // newest section wins
+  }
+
+  function readXrefStream(offset) {
+    const { value: dict, end } = parseIndirect(offset);
+    const data = streamData(dict, end);
+    const widths = dict.get('W');
+    const index = dict.get('Index') || [0, dict.get('Size')];
+    const rowLength = widths.reduce((a, b) => a + b, 0);
+    const field = (pos, width, fallback) => {
+      if (!width) return fallback;
+      let n = 0;
+      for (let i = 0; i < width; i++) n = n * 256 + data[pos + i];
+      return n;
+    };
+
+    let pos = 0;
+    for (let i = 0; i < index.length; i += 2) {
+      for (let num = index[i]; num < index[i] + index[i + 1]; num++, pos += rowLength) {
+        const type = field(pos, widths[0], 1);
+        const a = field(pos + widths[0], widths[1], 0);
+        const b = field(pos + widths[0] + widths[1], widths[2], 0);
+        if (type === 1) setEntry(num, { offset: a, gen: b });
+        else if (type === 2) setEntry(num, { stream: a, index: b });
+        else setEntry(num, { free: true });
+      }
+    }
+    return dict;
+  }
+
+  function readXrefTable(offset) {
+    let pos = offset + 4;
+    for (;;) {
+      pos = skipSpace(text, pos);
+      if (text.startsWith('trailer', pos)) break;
+      const section = /^(\d+)\s+(\d+)/.exec(text.slice(pos, pos + 40));
+      if (!section) throw new Error('Malformed cross-reference table');
+      pos += section[0].length;
+      const [start, count] = [Number(section[1]), Number(section[2])];
+      for (let i = 0; i < count; i++) {
+        pos = skipSpace(text, pos);
+        const entry = /^(\d{10}) (\d{5}) ([nf])/.exec(text.slice(pos, pos + 18));
+        if (!entry) throw new Error('Malformed cross-reference entry');
+        setEntry(start + i, entry[3] === 'n' ? { offset: Number(entry[1]), gen: Number(entry[2]) } : { free: true });
+        pos += entry[0].length;
+      }
+    }
+    const dict = parseValue(text, pos + 7).value;
+    if (dict.has('XRefStm')) readXrefStream(dict.get('XRefStm')); // hybrid file
+    return dict;
+  }
+
+  const startxref = text.lastIndexOf('startxref');
+  if (startxref < 0) throw new Error('Not a PDF: no startxref');
+  const lastXref = Number(/\d+/.exec(text.slice(startxref + 9, startxref + 40))[0]);
+
+  const seen = new Set();
+  for (let offset = lastXref; offset !== undefined && !seen.has(offset);) {
+    seen.add(offset);
+    const dict = text.startsWith('xref', skipSpace(text, offset))
+      ? readXrefTable(skipSpace(text, offset))
+      : readXrefStream(offset);
+    if (!trailer) trailer = dict;
+    offset = dict.get('Prev');
+  }
+
+  const objectStreams = new Map();
+
+  function objectStreamValues(num) {
+    if (!objectStreams.has(num)) {
+      const { value: dict, end } = parseIndirect(entries.get(num).offset);
+      const body = streamData(dict, end).toString('latin1');
+      const pairs = body.slice(0, dict.get('First')).trim().split(/\s+/).map(Number);
+      const values = [];
+      for (let i = 0; i < pairs.length; i += 2) {
+        values.push(parseValue(body, dict.get('First') + pairs[i + 1]).value);
+      }
+      objectStreams.set(num, values);
+    }
+    return objectStreams.get(num);
+  }
+
+  function getObject(num) {
+    const entry = entries.get(num);
+    if (!entry || entry.free) return null;
+    if (entry.stream !== undefined) return objectStreamValues(entry.stream)[entry.index];
+    return parseIndirect(entry.offset).value;
+  }
+
+  function resolve(value) {
+    return value && value.ref !== undefined ? getObject(value.ref) : value;
+  }
+
+  return { trailer, resolve, startxref: lastXref };
+}
+
+/* ── Text strings ────────────────────────────────────────────── */
+
+/** PDF text string (PDFDocEncoding or UTF-16BE with BOM) → JS string */
+function decodeText(value) {
+  const bytes = value && value.string;
+  if (typeof bytes !== 'string') return '';
+  if (bytes.startsWith('\xfe\xff')) {
+    return Buffer.from(bytes.slice(2), 'latin1').swap16().toString('utf16le');
+  }
+  return bytes;
+}
+
+/** JS string → PDF text string, always UTF-16BE */
+function encodeText(value) {
+  const utf16 = Buffer.from(String(value), 'utf16le').swap16();
+  return { string: '\xfe\xff' + utf16.toString('latin1') };
+}
+
+function pdfDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`
+    + `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+}
+
+/* ── Writing ─────────────────────────────────────────────────── */
+
+function serializeName(value) {
+  return '/' + value.replace(/[^!-~]|[#()<>[\]{}/%]/g, c => `#${c.charCodeAt(0).toString(16).padStart(2, '0')}`);
+}
+
+function serialize(value) {
+  if (value instanceof Map) {
+    return `<<${[...value].map(([key, v]) => `${serializeName(key)} ${serialize(v)}`).join(' ')}>>`;
+  }
+  if (Array.isArray(value)) return `[${value.map(serialize).join(' ')}]`;
+  if (value === null) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? String(value) : value.toFixed(6).replace(/\.?0+$/, '');
+  }
+  if (value.ref !== undefined) return `${value.ref} ${value.gen} R`;
+  if (value.name !== undefined) return serializeName(value.name);
+  return `<${Buffer.from(value.string, 'latin1').toString('hex')}>`;
+}
+
+/* ── Outline ─────────────────────────────────────────────────── */
+
+/** All outline items in document order: [{ title, dest, action }] */
+function readOutline(pdf, catalog) {
+  const items = [];
+  const outlines = pdf.resolve(catalog.get('Outlines'));
+  const visited = new Set();
+
+  function visit(itemRef) {
+    for (let current = itemRef; current && current.ref !== undefined && !visited.has(current.ref);) {
+      visited.add(current.ref);
+      const item = pdf.resolve(current);
+      if (!(item instanceof Map)) return;
+      items.push({ title: decodeText(pdf.resolve(item.get('Title'))), dest: item.get('Dest'), action: item.get('A') });
+      visit(item.get('First'));
+      current = item.get('Next');
+    }
+  }
+
+  if (outlines instanceof Map) visit(outlines.get('First'));
+  return items;
+}
+
+const normalize = text => text.replace(/\s+/g, ' ').trim().toLocaleLowerCase();
+
+/**
+ * The outline items for the given headings, in order. Chromium names its
+ * items after the headings' text (possibly as rendered, e.g. uppercase),
+ * so the match ignores case and whitespace.
+ */
+function matchBookmarks(items, titles) {
+  const matches = [];
+  let from = 0;
+  titles.forEach(title => {
+    const index = items.findIndex((item, i) => i >= from && normalize(item.title) === normalize(title));
+    if (index < 0) return;
+    matches.push({ ...items[index], title });
+    from = index + 1;
+  });
+  return matches;
+}
+
+/* ── finishPdf ──────────────────────────────────────────────── */
+
+/**
+ * @param {Buffer} buffer  PDF from page.pdf()
+ * @param {object} info
+ * @param {string} info.lang         Document language, e.g. 'de'
+ * @param {string} [info.title]
+ * @param {string} [info.author]
+ * @param {string} [info.subject]
+ * @param {string} [info.keywords]
+ * @param {string[]} [info.bookmarks]  Heading texts the outline should list;
+ *                                     headings Chromium has no item for are skipped
+ * @returns {Buffer} The PDF with an incremental update appended
+ */
+function finishPdf(buffer, { lang, title, author, subject, keywords, bookmarks = [] }) {
+  const text = buffer.toString('latin1');
+  const pdf = openPdf(text);
+  const rootRef = pdf.trailer.get('Root');
+  const catalog = new Map(pdf.resolve(rootRef));
+
+  let nextNum = pdf.trailer.get('Size');
+  const objects = [{ num: rootRef.ref, gen: rootRef.gen, value: catalog }];
+
+  // Bookmarks: a flat outline, pointing where Chromium's items pointed
+  const matches = matchBookmarks(readOutline(pdf, catalog), bookmarks);
+  if (matches.length) {
+    const outlineNum = nextNum++;
+    const itemNums = matches.map(() => nextNum++);
+    objects.push({
+      num: outlineNum,
+      gen: 0,
+      value: new Map([
+        ['Type', name('Outlines')],
+        ['First', ref(itemNums[0])],
+        ['Last', ref(itemNums[itemNums.length - 1])],
+        ['Count', matches.length],
+      ]),
+    });
+    matches.forEach((match, i) => {
+      const item = new Map([['Title', encodeText(match.title)], ['Parent', ref(outlineNum)]]);
+      if (i > 0) item.set('Prev', ref(itemNums[i - 1]));
+      if (i < matches.length - 1) item.set('Next', ref(itemNums[i + 1]));
+      if (match.dest !== undefined) item.set('Dest', match.dest);
+      if (match.action !== undefined) item.set('A', match.action);
+      objects.push({ num: itemNums[i], gen: 0, value: item });
+    });
+    catalog.set('Outlines', ref(outlineNum));
+    catalog.set('PageMode', name('UseOutlines'));
+  }
+
+  catalog.set('Lang', { string: lang });
+  const viewerPreferences = new Map(pdf.resolve(catalog.get('ViewerPreferences')) || []);
+  viewerPreferences.set('DisplayDocTitle', true);
+  catalog.set('ViewerPreferences', viewerPreferences);
+
+  // Document info: Chromium's (producer, creation date) plus ours
+  const infoRef = pdf.trailer.get('Info') || ref(nextNum++);
+  const info = new Map(pdf.resolve(pdf.trailer.get('Info')) || []);
+  Object.entries({ Title: title, Author: author, Subject: subject, Keywords: keywords })
+    .forEach(([key, value]) => {
+      if (value) info.set(key, encodeText(value));
+      else info.delete(key);
+    });
+  info.set('ModDate', { string: pdfDate(new Date()) });
+  objects.push({ num: infoRef.ref, gen: infoRef.gen, value: info });
+
+  // Append objects, cross-reference section and trailer
+  let update = /[\r\n]$/.test(text) ? '' : '\n';
+  const offsets = new Map();
+  objects.sort((a, b) => a.num - b.num).forEach(object => {
+    offsets.set(object.num, buffer.length + update.length);
+    update += `${object.num} ${object.gen} obj\n${serialize(object.value)}\nendobj\n`;
+  });
+
+  const xrefOffset = buffer.length + update.length;
+  update += 'xref\n';
+  for (let i = 0; i < objects.length;) {
+    let j = i;
+    while (j + 1 < objects.length && objects[j + 1].num === objects[j].num + 1) j++;
+    update += `${objects[i].num} ${j - i + 1}\n`;
+    for (let k = i; k <= j; k++) {
+      update += `${String(offsets.get(objects[k].num)).padStart(10, '0')} ${String(objects[k].gen).padStart(5, '0')} n \n`;
+    }
+    i = j + 1;
+  }
+
+  const trailer = new Map([
+    ['Size', nextNum],
+    ['Root', rootRef],
+    ['Info', infoRef],
+    ['Prev', pdf.startxref],
+  ]);
+  if (pdf.trailer.has('ID')) trailer.set('ID', pdf.trailer.get('ID'));
+  update += `trailer\n${serialize(trailer)}\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.concat([buffer, Buffer.from(update, 'latin1')]);
+}
+
+/* ── Footer ─────────────────────────────────────────────────── */
+
+const FOOTER_LABELS = {
+  generated: { de: 'Erstellt am', en: 'Generated on' },
+  page:      { de: 'Seite',       en: 'Page' },
+  of:        { de: 'von',         en: 'of' },
+};
+
+/**
+ * Footer for page.pdf({ displayHeaderFooter: true }). Chromium renders it
+ * in the bottom page margin, without the page's styles or web fonts.
+ *
+ * @param {string} lang
+ * @param {object} [options]
+ * @param {string} [options.inset]  Side padding, to line up with the page margins
+ * @param {Date}   [options.date]
+ */
+function footerTemplate(lang, { inset = '15mm', date = new Date() } = {}) {
+  const label = key => FOOTER_LABELS[key][lang] || FOOTER_LABELS[key].de;
+  const generated = date.toLocaleDateString(lang === 'de' ? 'de-DE' : 'en-GB', {
+    day: 'numeric', month: 'long', year: 'numeric',
+  });
+
+  return `<div style="box-sizing:border-box;width:100%;padding:0 ${inset};display:flex;justify-content:space-between;font:7pt/1 Helvetica,Arial,sans-serif;color:#888;">`
+    + `<span>${label('generated')} ${generated}</span>`
+    + `<span>${label('page')} <span class="pageNumber"></span> ${label('of')} <span class="totalPages"></span></span>`
+    + '</div>';
+}
+
+module.exports = { finishPdf, footerTemplate };
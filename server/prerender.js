@@ -0,0 +1,181 @@
+/**
+ * server/prerender.js — Static HTML build
+ *
+ * Renders every page in both languages to complete HTML under dist/, so
+ * crawlers, link previews and visitors without JavaScript get real
+ * content instead of empty containers. The pages are rendered by the
+ * site's own client code (renderAll, renderOverview, renderDetail) in a
+ * pooled headless browser, then serialized. cv.js and portfolio.js detect
+ * the <html data-prerendered> marker and take over the markup instead of
+ * rendering it again.
+ *
+ * Usage:
+ *   npm run build        (aborts if npm run validate reports errors)
+ *
+ * Output:
+ *   dist/de/…, dist/en/…   → every page per language
+ *   dist/…                 → redirect stubs at the unprefixed URLs, which
+ *                            pick the visitor's language client-side
+ *   dist/css, js, data, …  → static files copied as-is
+ *   dist/export/contact.*  → vCard and QR code for the card page, which
+ *                            need no browser and so work on static hosts
+ *   dist/export/cv-*.*     → the full CV as Markdown, text and Word per
+ *                            language (cv-de.md, …), linked by cv.js on
+ *                            pre-rendered pages
+ *   dist/img/…             → the image manifest and every image variant
+ *                            (images.js; just the manifest without sharp)
+ */
+
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { server, pool, pdfCache, images } = require('./export');
+const { SUPPORTED_LANGS, renderRedirectStub } = require('./lang-routes');
+const { validateData, formatIssues } = require('./validate-data');
+
+const ROOT = path.resolve(__dirname, '..');
+const DIST = path.join(ROOT, 'dist');
+
+// Copied verbatim into dist/
+const STATIC_ENTRIES = [
+  'assets',
+  'css',
+  'data',
+  'js',
+  'impressum.html',
+  'datenschutz.html',
+  'portfolio/dossier',
+];
+
+// Shown when JS is off: reveal blocks stay hidden and skill bars empty
+// until animations.js runs, so undo both for no-JS visitors.
+const NOSCRIPT_STYLE = '<noscript><style>'
+  + '[data-reveal]{opacity:1!important;transform:none!important}'
+  + [1, 2, 3, 4, 5].map(n => `[data-level="${n}"]{--bar-fill:${n}!important}`).join('')
+  + '</style></noscript>';
+
+/** Pages to render: path + an element that only exists once JS has rendered */
+function listPages() {
+  const portfolio = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'portfolio.json'), 'utf8'));
+  return [
+    { path: '/',           ready: '.card__nav-link' },
+    { path: '/cv/',        ready: '.cv-timeline__entry' },
+    { path: '/portfolio/', ready: '.portfolio-card' },
+    ...(portfolio.projects || []).map(p => ({
+      path: `/portfolio/${p.slug}/`,
+      ready: '.case-study-header__title',
+    })),
+  ];
+}
+
+function renderPage(baseUrl, pagePath, lang, readySelector) {
+  return pool.withPage(async (page) => {
+    // Reduced motion: animations.js leaves text unsplit and skips observers
+    await page.emulateMediaFeatures([{ name: 'prefers-reduced-motion', value: 'reduce' }]);
+    await page.evaluateOnNewDocument((lang) => {
+      localStorage.setItem('cv-lang', lang);
+    }, lang);
+
+    await page.goto(`${baseUrl}/${lang}${pagePath}`, { waitUntil: 'networkidle0', timeout: 30000 });
+    await page.waitForSelector(readySelector, { timeout: 10000 });
+
+    return page.evaluate((lang, noscriptStyle) => {
+      // Return animation-driven state to what the renderers produce, so the
+      // client's own enhancements start from the same point as on a live render
+      document.querySelectorAll('[data-reveal]').forEach(el => el.classList.remove('is-visible'));
+      document.querySelectorAll('.cv-skill__bar-fill, .cv-lang__bar-fill').forEach(bar => {
+        bar.style.setProperty('--bar-fill', 0);
+      });
+      document.querySelectorAll('.grid-overlay').forEach(el => el.classList.remove('is-ready'));
+
+      document.documentElement.dataset.prerendered = lang;
+      document.head.insertAdjacentHTML('beforeend', noscriptStyle);
+
+      return '<!DOCTYPE html>\n' + document.documentElement.outerHTML + '\n';
+    }, lang, NOSCRIPT_STYLE);
+  });
+}
+
+// Server-generated files the static pages link to: [URL, file under dist/]
+const STATIC_EXPORTS = [
+  ['/export/contact.vcf', 'export/contact.vcf'],
+  ['/export/contact-qr.svg', 'export/contact-qr.svg'],
+  ...SUPPORTED_LANGS.flatMap(lang => ['md', 'txt', 'docx'].map(format => (
+    [`/export/cv.${format}?lang=${lang}`, `export/cv-${lang}.${format}`]
+  ))),
+];
+
+function writeFile(relPath, content) {
+  const file = path.join(DIST, relPath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+  console.log(`  ✓ ${path.relative(ROOT, file)}`);
+}
+
+function writePage(relDir, html) {
+  writeFile(path.join(relDir, 'index.html'), html);
+}
+
+/** Manifest plus every variant it lists, at the URLs the server uses */
+async function writeImages() {
+  const manifest = await images.manifest();
+  writeFile('img/manifest.json', JSON.stringify(manifest, null, 2) + '\n');
+
+  for (const [src, { widths = [], formats = [] }] of Object.entries(manifest)) {
+    for (const width of widths) {
+      for (const format of formats) {
+        const { buffer } = await images.variant(src, width, format);
+        writeFile(`img${src}/${width}.${format}`, buffer);
+      }
+    }
+  }
+}
+
+async function build() {
+  const issues = validateData();
+  if (issues.errors.length) {
+    console.error(formatIssues({ errors: issues.errors, warnings: [] }));
+    throw new Error(`${issues.errors.length} data validation error(s) — run npm run validate`);
+  }
+
+  fs.rmSync(DIST, { recursive: true, force: true });
+  fs.mkdirSync(DIST, { recursive: true });
+
+  STATIC_ENTRIES.forEach(entry => {
+    fs.cpSync(path.join(ROOT, entry), path.join(DIST, entry), { recursive: true });
+  });
+
+  // Before the pages: they are rendered with the variants already cached
+  await writeImages();
+
+  await new Promise(resolve => server.listen(0, resolve));
+  const baseUrl = `http://localhost:${server.address().port}`;
+
+  for (const { path: pagePath, ready } of listPages()) {
+    for (const lang of SUPPORTED_LANGS) {
+      writePage(path.join(lang, pagePath), await renderPage(baseUrl, pagePath, lang, ready));
+    }
+    // Unprefixed URL: no server to negotiate on a static host, so a stub
+    // picks the language in the browser
+    writePage(pagePath, renderRedirectStub(pagePath));
+  }
+
+  for (const [urlPath, relPath] of STATIC_EXPORTS) {
+    const response = await fetch(baseUrl + urlPath);
+    if (!response.ok) throw new Error(`${urlPath} answered ${response.status}`);
+    writeFile(relPath, Buffer.from(await response.arrayBuffer()));
+  }
+}
+
+build()
+  .then(() => console.log(`\nBuilt ${path.relative(process.cwd(), DIST) || DIST}/`))
+  .catch(err => {
+    console.error('[prerender] Build failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    pdfCache.close();
+    server.close();
+    await pool.close();
+  });
@@ -0,0 +1,400 @@
+/**
+ * server/qr.js — QR code generator (byte mode) with SVG output
+ *
+ * Small, dependency-free encoder for the business card's contact code:
+ * UTF-8 text in byte mode, versions 1–40, error correction L/M/Q/H and
+ * automatic mask selection (ISO/IEC 18004). The structure follows Project
+ * Nayuki's reference implementation.
+ *
+ * Usage:
+ *   const { encodeQr, qrToSvg } = require('./qr');
+ *   const svg = qrToSvg(encodeQr('https://mathisthomsen.de', 'M'));
+ */
+
+'use strict';
+
+const ECC_LEVELS = {
+  // [index into the tables below, format bits]
+  L: [0, 1],
+  M: [1, 0],
+  Q: [2, 3],
+  H: [3, 2],
+};
+
+// Per level (L, M, Q, H) and version (index 1–40)
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+  (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0,
+];
+
+/* ── Capacity ──────────────────────────────────────────────── */
+
+/** Modules left for data + ECC after all function patterns */
+function rawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function dataCodewords(version, ecc) {
+  return Math.floor(rawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[ecc][version] * NUM_ERROR_CORRECTION_BLOCKS[ecc][version];
+}
+
+/* ── Reed–Solomon ──────────────────────────────────────────── */
+
+/** Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1 */
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function rsDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function rsRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach(b => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => { result[i] ^= gfMultiply(coef, factor); });
+  });
+  return result;
+}
+
+/** Split data into blocks, append ECC to each and interleave */
+function addEccAndInterleave(data, version, ecc) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecc][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecc][version];
+  const rawCodewords = Math.floor(rawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+  const divisor = rsDivisor(blockEccLen);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const eccBytes = rsRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0); // placeholder, skipped below
+    blocks.push(dat.concat(eccBytes));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+/* ── Data encoding ─────────────────────────────────────────── */
+
+/** Byte-mode segment, terminator and padding → data codewords */
+function encodeData(bytes, version, ecc) {
+  const capacityBits = dataCodewords(version, ecc) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  append(0b0100, 4);
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach(b => append(b, 8));
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+}
+
+/* ── Matrix ────────────────────────────────────────────────── */
+
+function alignmentPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+function createMatrix(version) {
+  const size = version * 4 + 17;
+  const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+  const modules = grid();
+  const isFunction = grid();
+
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+
+  // Timing patterns
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  // Finder patterns with separators
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, dist !== 2 && dist !== 4);
+      }
+    }
+  });
+
+  // Alignment patterns, except where they would overlap a finder
+  const positions = alignmentPositions(version);
+  const last = positions.length - 1;
+  positions.forEach((cy, i) => {
+    positions.forEach((cx, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Version information (version 7 and up)
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      setFunction(a, b, dark);
+      setFunction(b, a, dark);
+    }
+  }
+
+  return { size, modules, isFunction, setFunction };
+}
+
+/** Both copies of the 15 format bits (ECC level + mask), plus the dark module */
+function drawFormatBits(matrix, eccFormatBits, mask) {
+  const { size, setFunction } = matrix;
+  const data = (eccFormatBits << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  const bits = ((data << 10) | rem) ^ 0x5412;
+  const bit = i => ((bits >>> i) & 1) === 1;
+
+  for (let i = 0; i <= 5; i++) setFunction(8, i, bit(i));
+  setFunction(8, 7, bit(6));
+  setFunction(8, 8, bit(7));
+  setFunction(7, 8, bit(8));
+  for (let i = 9; i < 15; i++) setFunction(14 - i, 8, bit(i));
+
+  for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, bit(i));
+  for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, bit(i));
+  setFunction(8, size - 8, true);
+}
+
+/** Place codewords in the zigzag order, skipping function modules */
+function drawCodewords(matrix, codewords) {
+  const { size, modules, isFunction } = matrix;
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing pattern
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (!isFunction[y][x] && i < codewords.length * 8) {
+          modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+          i++;
+        }
+      }
+    }
+  }
+}
+
+function applyMask(matrix, mask) {
+  const { size, modules, isFunction } = matrix;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+}
+
+/* ── Mask penalty (ISO/IEC 18004, 7.8.3) ───────────────────── */
+
+const FINDER_LIKE = [
+  [true, false, true, true, true, false, true, false, false, false, false],
+  [false, false, false, false, true, false, true, true, true, false, true],
+];
+
+function penaltyScore({ size, modules }) {
+  let score = 0;
+  const lines = [
+    ...modules,
+    ...modules.map((_, x) => modules.map(row => row[x])),
+  ];
+
+  lines.forEach(line => {
+    // N1: runs of five or more same-colored modules
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+    }
+    // N3: 1:1:3:1:1 finder-like patterns with four light modules on one side
+    for (let i = 0; i + 11 <= size; i++) {
+      FINDER_LIKE.forEach(pattern => {
+        if (pattern.every((dark, k) => line[i + k] === dark)) score += 40;
+      });
+    }
+  });
+
+  // N2: 2×2 blocks of one color
+  for (let y = 0; y < size - 1; y++) {
+    for (let x = 0; x < size - 1; x++) {
+      const c = modules[y][x];
+      if (c === modules[y][x + 1] && c === modules[y + 1][x] && c === modules[y + 1][x + 1]) score += 3;
+    }
+  }
+
+  // N4: balance of dark and light modules
+  const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const total = size * size;
+  score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+  return score;
+}
+
+/* ── Public API ────────────────────────────────────────────── */
+
+/**
+ * Encode text as a QR code in the smallest version that fits.
+ *
+ * @param {string} text
+ * @param {'L'|'M'|'Q'|'H'} [level='M']  Error correction level
+ * @returns {{ version: number, size: number, modules: boolean[][] }}
+ *          modules[y][x] is true for dark modules
+ */
+function encodeQr(text, level = 'M') {
+  if (!ECC_LEVELS[level]) throw new Error(`Unknown error correction level: ${level}`);
+  const [ecc, eccFormatBits] = ECC_LEVELS[level];
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+
+  let version = 1;
+  const bitsNeeded = v => 4 + (v <= 9 ? 8 : 16) + bytes.length * 8;
+  while (bitsNeeded(version) > dataCodewords(version, ecc) * 8) {
+    if (++version > 40) throw new Error(`Text too long for a QR code (${bytes.length} bytes)`);
+  }
+
+  const matrix = createMatrix(version);
+  drawFormatBits(matrix, eccFormatBits, 0); // reserve the format areas
+  drawCodewords(matrix, addEccAndInterleave(encodeData(bytes, version, ecc), version, ecc));
+
+  let best = 0;
+  let bestScore = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, eccFormatBits, mask);
+    const score = penaltyScore(matrix);
+    if (score < bestScore) {
+      best = mask;
+      bestScore = score;
+    }
+    applyMask(matrix, mask); // XOR again to undo
+  }
+  applyMask(matrix, best);
+  drawFormatBits(matrix, eccFormatBits, best);
+
+  return { version, size: matrix.size, modules: matrix.modules };
+}
+
+/**
+ * Render a QR code as a standalone SVG: dark modules on a white square
+ * with the standard four-module quiet zone. Scales to any size.
+ *
+ * @param {{ size: number, modules: boolean[][] }} qr
+ * @param {object} [options]
+ * @param {string} [options.title]  Accessible name (<title>)
+ */
+function qrToSvg(qr, { title } = {}) {
+  const quiet = 4;
+  const extent = qr.size + quiet * 2;
+  const escapeXml = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+  // One subpath per horizontal run of dark modules
+  const path = [];
+  qr.modules.forEach((row, y) => {
+    for (let x = 0; x < qr.size; x++) {
+      if (!row[x]) continue;
+      let run = 1;
+      while (row[x + run]) run++;
+      path.push(`M${x + quiet} ${y + quiet}h${run}v1h-${run}z`);
+      x += run - 1;
+    }
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" shape-rendering="crispEdges"${title ? ' role="img"' : ''}>`
+    + (title ? `<title>${escapeXml(title)}</title>` : '')
+    + `<rect width="${extent}" height="${extent}" fill="#fff"/>`
+    + `<path fill="#000" d="${path.join('')}"/>`
+    + '</svg>\n';
+}
+
+module.exports = { encodeQr, qrToSvg };
@@ -0,0 +1,42 @@
+/**
+ * server/rich-text.js — Content markup for the exports
+ *
+ * The parser is js/rich-text.js, shared with the pages (README → "Rich
+ * text"); this adds what only documents read outside the site need: link
+ * targets with the site origin, and plain text with the targets written
+ * out (Markdown, plain text, DOCX).
+ */
+
+'use strict';
+
+const { SITE_ORIGIN } = require('./lang-routes');
+const { SAFE_URL, MARKUP_LINK, parseInline, parseBlocks, textContent } = require('../js/rich-text');
+
+/** Link target for documents read outside the site: site paths get the origin */
+function absoluteUrl(url) {
+  if (url.startsWith('#')) return null; // anchors only mean something on the page
+  return url.startsWith('/') ? `${SITE_ORIGIN}${url}` : url;
+}
+
+/** Marked-up text without the markup; link targets follow in brackets */
+function toPlain(text) {
+  const walk = nodes => nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+      case 'code':
+        return node.text;
+      case 'break':
+        return '\n';
+      case 'link': {
+        const label = textContent(node.children);
+        const target = (absoluteUrl(node.url) || '').replace(/^(mailto|tel):/, '');
+        return target && target !== label ? `${label} (${target})` : label;
+      }
+      default:
+        return walk(node.children);
+    }
+  }).join('');
+  return walk(parseInline(text));
+}
+
+module.exports = { SAFE_URL, MARKUP_LINK, parseInline, parseBlocks, absoluteUrl, textContent, toPlain };
@@ -0,0 +1,429 @@
+/**
+ * server/validate-data.js — Content validation for data/*.json
+ *
+ * Checks the content files against data/schema/*.schema.json and for the
+ * mistakes a schema can't express:
+ *
+ *   - missing English translations ({ de, en } objects without "en",
+ *     or bullet lists of different length)              → warning
+ *   - periods that end before they start                 → error
+ *   - roles overlapping each other or lying outside
+ *     their job's period (a shared handover month is ok) → warning
+ *   - duplicate experience/education/project ids and
+ *     portfolio slugs                                    → error
+ *   - method icons that js/portfolio.js doesn't know     → error
+ *   - image files (src, srcset) missing from the site,
+ *     visual slots with a src but no alt text            → error
+ *     (before/after images of different aspect ratios    → warning)
+ *   - chart series with more or fewer values than the
+ *     chart has categories                               → error
+ *     (bar charts with more than one series              → warning)
+ *   - video files, posters and caption tracks missing from
+ *     the site, two caption tracks for one language      → error
+ *     (videos without captions                           → warning)
+ *   - links in content markup (README → "Rich text") to
+ *     anything but http(s), mailto, tel, /… or #…        → error
+ *     (HTML tags, which show as written, and markup in
+ *     fields that don't read it                          → warning)
+ *   - CV profiles pointing at experiences, roles, bullets,
+ *     skills, certifications or projects that don't exist → error
+ *     (tags no experience carries                          → warning)
+ *   - portfolio projects pointing at a CV experience that
+ *     doesn't exist                                      → error
+ *
+ * Malformed "YYYY-MM" dates are caught by the schemas' date patterns.
+ *
+ * Usage:
+ *   npm run validate               → exit 1 on errors
+ *   npm run validate -- --strict   → exit 1 on warnings too
+ *
+ * The dev server (export.js) runs the same check at startup, and the
+ * static build (prerender.js) refuses to build on errors.
+ */
+
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const { validate } = require('./json-schema');
+const { SAFE_URL, MARKUP_LINK } = require('./rich-text');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_FILES = ['cv', 'portfolio', 'config'];
+const YEAR_MONTH = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Fields cv.js and portfolio.js render with the content markup, by path
+const RICH_FIELDS = {
+  cv: /^(summary|experience\[\d+\](\.roles\[\d+\])?\.description|projects\[\d+\]\.description)\b/,
+  portfolio: /^projects\[\d+\]\.sections\[\d+\]\.(content|challenge|approach|outcome|(phases|methods|takeaways)\[\d+\]\.description)\b/,
+};
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, file), 'utf8'));
+}
+
+/** Icon names defined in the ICONS map of js/portfolio.js */
+function knownIcons() {
+  const source = fs.readFileSync(path.join(ROOT, 'js', 'portfolio.js'), 'utf8');
+  const block = source.match(/const ICONS = \{([\s\S]*?)\n\};/);
+  if (!block) return null;
+  return new Set([...block[1].matchAll(/^ {2}([\w-]+):/gm)].map(m => m[1]));
+}
+
+/* ── Checks ──────────────────────────────────────────────────── */
+
+function isLocalized(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value) || !('de' in value)) return false;
+  return Object.keys(value).every(key => key === 'de' || key === 'en');
+}
+
+/** Walk any data file for { de, en } pairs with a missing or empty English side */
+function checkTranslations(data, report) {
+  (function walk(value, at) {
+    if (isLocalized(value)) {
+      const { de, en } = value;
+      if (en === undefined || en === '' || (Array.isArray(en) && !en.length && de.length)) {
+        report('warning', at, 'missing English translation (falls back to German)');
+      } else if (Array.isArray(de) && Array.isArray(en) && de.length !== en.length) {
+        report('warning', at, `${de.length} German vs ${en.length} English entries`);
+      }
+      return;
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => walk(item, `${at}[${i}]`));
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(key => walk(value[key], at ? `${at}.${key}` : key));
+    }
+  })(data, '');
+}
+
+/** "YYYY-MM" strings compare correctly as strings; null = ongoing */
+function endsBefore(end, start) {
+  return end !== null && end < start;
+}
+
+function checkPeriod(entry, at, report) {
+  if (!YEAR_MONTH.test(entry.start) || (entry.end !== null && !YEAR_MONTH.test(entry.end))) return false;
+  if (endsBefore(entry.end, entry.start)) {
+    report('error', at, `ends (${entry.end}) before it starts (${entry.start})`);
+    return false;
+  }
+  return true;
+}
+
+function checkCvPeriods(cv, report) {
+  (cv.experience || []).forEach((job, i) => {
+    const at = `experience[${i}]`;
+    const jobValid = checkPeriod(job, at, report);
+
+    const roles = (job.roles || [])
+      .map((role, j) => ({ ...role, at: `${at}.roles[${j}]` }))
+      .filter(role => checkPeriod(role, role.at, report));
+
+    roles.forEach(role => {
+      if (!jobValid) return;
+      if (role.start < job.start || (job.end !== null && (role.end === null || role.end > job.end))) {
+        report('warning', role.at, `${role.start} – ${role.end || 'today'} lies outside the job period ${job.start} – ${job.end || 'today'}`);
+      }
+    });
+
+    // Sorted by start, each role must end no later than the next one starts;
+    // ending and starting in the same month is a normal handover
+    const sorted = roles.slice().sort((a, b) => a.start.localeCompare(b.start));
+    sorted.slice(1).forEach((role, j) => {
+      const prev = sorted[j];
+      if (prev.end === null || prev.end > role.start) {
+        report('warning', role.at, `overlaps ${prev.at} (${prev.start} – ${prev.end || 'today'})`);
+      }
+    });
+  });
+
+  (cv.education || []).forEach((entry, i) => checkPeriod(entry, `education[${i}]`, report));
+}
+
+function checkDuplicates(list, key, at, report) {
+  const seen = new Map();
+  (list || []).forEach((item, i) => {
+    const value = item && item[key];
+    if (typeof value !== 'string') return;
+    if (seen.has(value)) {
+      report('error', `${at}[${i}].${key}`, `duplicate ${key} "${value}" (first used at ${at}[${seen.get(value)}])`);
+    } else {
+      seen.set(value, i);
+    }
+  });
+}
+
+/** Every reference in cv.json "profiles" must point at existing content */
+function checkProfiles(cv, report) {
+  const skillName = skill => (typeof skill.name === 'string' ? skill.name : skill.name && skill.name.de);
+  const bulletCount = list => (list && Array.isArray(list.de) ? list.de.length : 0);
+  const checkIndexes = (indexes, count, at, what) => (indexes || []).forEach((index, i) => {
+    if (index >= count) report('error', `${at}[${i}]`, `no ${what} #${index} (there are ${count})`);
+  });
+  const checkIds = (ids, list, at, what) => (ids || []).forEach((id, i) => {
+    if (!(list || []).some(item => item.id === id)) report('error', `${at}[${i}]`, `unknown ${what} "${id}"`);
+  });
+  const allTags = new Set((cv.experience || []).flatMap(job => job.tags || []));
+
+  Object.entries(cv.profiles || {}).forEach(([name, profile]) => {
+    const at = `profiles.${name}`;
+
+    (profile.experience || []).forEach((pick, i) => {
+      const selection = typeof pick === 'string' ? { id: pick } : pick;
+      const job = (cv.experience || []).find(j => j.id === selection.id);
+      if (!job) {
+        report('error', `${at}.experience[${i}]`, `unknown experience "${selection.id}"`);
+        return;
+      }
+      checkIndexes(selection.bullets, bulletCount(job.description), `${at}.experience[${i}].bullets`, 'bullet');
+      (selection.roles || []).forEach((rolePick, j) => {
+        const index = typeof rolePick === 'number' ? rolePick : rolePick.index;
+        const role = job.roles[index];
+        if (!role) {
+          report('error', `${at}.experience[${i}].roles[${j}]`, `no role #${index} at ${job.id} (there are ${job.roles.length})`);
+        } else if (typeof rolePick === 'object') {
+          checkIndexes(rolePick.bullets, bulletCount(role.description), `${at}.experience[${i}].roles[${j}].bullets`, 'bullet');
+        }
+      });
+    });
+
+    (profile.tags || []).forEach((tag, i) => {
+      if (!allTags.has(tag)) report('warning', `${at}.tags[${i}]`, `no experience is tagged "${tag}"`);
+    });
+
+    checkIds(profile.education, cv.education, `${at}.education`, 'education entry');
+    checkIds(profile.projects, cv.projects, `${at}.projects`, 'project');
+    checkIndexes(profile.certifications, (cv.certifications || []).length, `${at}.certifications`, 'certification');
+
+    const skills = profile.skills || {};
+    ['specialized', 'tools'].forEach(group => {
+      const known = ((cv.skills || {})[group] || []).map(skillName);
+      (skills[group] || []).forEach((skill, i) => {
+        if (!known.includes(skill)) report('error', `${at}.skills.${group}[${i}]`, `unknown skill "${skill}" (available: ${known.join(', ')})`);
+      });
+    });
+    const misc = ((cv.skills || {}).misc || {}).de || [];
+    (skills.misc || []).forEach((item, i) => {
+      if (!misc.includes(item)) report('error', `${at}.skills.misc[${i}]`, `"${item}" is not in skills.misc.de`);
+    });
+  });
+}
+
+function checkIcons(portfolio, report) {
+  const icons = knownIcons();
+  if (!icons) {
+    report('warning', '', 'could not read the ICONS map from js/portfolio.js — icon names not checked');
+    return;
+  }
+  (portfolio.projects || []).forEach((project, i) => {
+    (project.sections || []).forEach((block, j) => {
+      if (block.type !== 'method_grid') return;
+      (block.methods || []).forEach((method, k) => {
+        if (method.icon && !icons.has(method.icon)) {
+          report('error', `projects[${i}].sections[${j}].methods[${k}].icon`,
+            `unknown icon "${method.icon}" (available: ${[...icons].join(', ')})`);
+        }
+      });
+    });
+  });
+}
+
+/** A site path (/…) with no file behind it — external URLs aren't fetched */
+function isMissing(src) {
+  if (typeof src !== 'string' || !src.startsWith('/')) return false;
+  return !fs.existsSync(path.join(ROOT, decodeURI(src.split(/[?#]/)[0])));
+}
+
+/** Every image entry of a project: image blocks, gallery images, filled slots, before/after pairs */
+function projectImages(project, at) {
+  const images = [];
+  (project.sections || []).forEach((block, j) => {
+    const blockAt = `${at}.sections[${j}]`;
+    if (block.type === 'image') images.push({ image: block, at: blockAt });
+    if (block.type === 'gallery') {
+      (block.images || []).forEach((image, k) => images.push({ image, at: `${blockAt}.images[${k}]` }));
+    }
+    if (block.type === 'visual_slots') {
+      (block.slots || []).forEach((slot, k) => {
+        if (slot.src) images.push({ image: slot, at: `${blockAt}.slots[${k}]` });
+      });
+    }
+    if (block.type === 'before_after') {
+      ['before', 'after'].forEach(side => {
+        if (block[side]) images.push({ image: block[side], at: `${blockAt}.${side}` });
+      });
+    }
+  });
+  return images;
+}
+
+function checkImages(portfolio, report) {
+  (portfolio.projects || []).forEach((project, i) => {
+    projectImages(project, `projects[${i}]`).forEach(({ image, at }) => {
+      if (!image.alt) report('error', `${at}.alt`, 'an image needs alt text');
+
+      const files = [{ src: image.src, at: `${at}.src` },
+        ...(image.srcset || []).map((variant, k) => ({ src: variant.src, at: `${at}.srcset[${k}].src` }))];
+      files.forEach(({ src, at: fileAt }) => {
+        if (isMissing(src)) report('error', fileAt, `file not found: ${src}`);
+      });
+    });
+
+    // The divider slides over two layers of one frame: they must line up
+    (project.sections || []).forEach((block, j) => {
+      if (block.type !== 'before_after' || !block.before || !block.after) return;
+      const ratio = image => image.width && image.height && image.width / image.height;
+      const [before, after] = [ratio(block.before), ratio(block.after)];
+      if (before && after && Math.abs(before - after) > 0.01) {
+        report('warning', `projects[${i}].sections[${j}]`, 'before and after images have different aspect ratios');
+      }
+    });
+  });
+}
+
+function checkCharts(portfolio, report) {
+  (portfolio.projects || []).forEach((project, i) => {
+    (project.sections || []).forEach((block, j) => {
+      if (block.type !== 'chart' || !Array.isArray(block.categories) || !Array.isArray(block.series)) return;
+      const at = `projects[${i}].sections[${j}]`;
+      block.series.forEach((series, k) => {
+        if (Array.isArray(series.values) && series.values.length !== block.categories.length) {
+          report('error', `${at}.series[${k}].values`,
+            `${series.values.length} value(s) for ${block.categories.length} categories`);
+        }
+      });
+      if (block.chart === 'bar' && block.series.length > 1) {
+        report('warning', `${at}.series`, 'a bar chart shows only the first series — use "grouped_bar"');
+      }
+    });
+  });
+}
+
+function checkMedia(portfolio, report) {
+  (portfolio.projects || []).forEach((project, i) => {
+    (project.sections || []).forEach((block, j) => {
+      if (block.type !== 'video' && block.type !== 'embed') return;
+      const at = `projects[${i}].sections[${j}]`;
+      const files = [{ src: block.poster, at: `${at}.poster` },
+        ...(block.sources || []).map((source, k) => ({ src: source.src, at: `${at}.sources[${k}].src` })),
+        ...(block.captions || []).map((track, k) => ({ src: track.src, at: `${at}.captions[${k}].src` }))];
+      files.forEach(({ src, at: fileAt }) => {
+        if (isMissing(src)) report('error', fileAt, `file not found: ${src}`);
+      });
+
+      if (block.type !== 'video') return;
+      const langs = (block.captions || []).map(track => track.lang);
+      langs.forEach((lang, k) => {
+        if (langs.indexOf(lang) !== k) report('error', `${at}.captions[${k}].lang`, `second caption track for "${lang}"`);
+      });
+      if (!langs.length) report('warning', `${at}.captions`, 'no caption tracks (WebVTT) for viewers who can\'t hear the video');
+    });
+  });
+}
+
+/** Content markup: safe link targets where it is read, a hint where it isn't */
+function checkMarkup(data, richFields, report) {
+  (function walk(value, at) {
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => walk(item, `${at}[${i}]`));
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(key => walk(value[key], at ? `${at}.${key}` : key));
+    } else if (typeof value === 'string') {
+      if (/<\/?[a-z][^>]*>/i.test(value)) {
+        report('warning', at, 'HTML is shown as written — use the markup from README → "Rich text"');
+      }
+      if (!richFields.test(at)) {
+        if (/\*\*\S|\]\(/.test(value)) report('warning', at, 'markup is shown as written in this field');
+        return;
+      }
+      [...value.matchAll(MARKUP_LINK)].forEach(([, url]) => {
+        if (!SAFE_URL.test(url)) report('error', at, `link target not allowed: ${url} (use http(s)://, mailto:, tel:, /… or #…)`);
+      });
+    }
+  })(data, '');
+}
+
+function checkCrossLinks(portfolio, cv, report) {
+  const ids = new Set((cv.experience || []).map(job => job.id));
+  (portfolio.projects || []).forEach((project, i) => {
+    if (project.experience && !ids.has(project.experience)) {
+      report('error', `projects[${i}].experience`, `no experience "${project.experience}" in cv.json`);
+    }
+  });
+}
+
+/* ── Entry points ────────────────────────────────────────────── */
+
+/**
+ * Validate all content files.
+ * @returns {{ errors: Issue[], warnings: Issue[] }}
+ *   Issue = { file: 'data/cv.json', path: 'experience[0].start', message }
+ */
+function validateData() {
+  const errors = [];
+  const warnings = [];
+  const data = {};
+
+  DATA_FILES.forEach(name => {
+    const file = `data/${name}.json`;
+    const report = (level, at, message) => {
+      (level === 'error' ? errors : warnings).push({ file, path: at, message });
+    };
+
+    try {
+      data[name] = readJson(file);
+    } catch (err) {
+      report('error', '', `could not be read: ${err.message}`);
+      return;
+    }
+
+    const schema = readJson(`data/schema/${name}.schema.json`);
+    validate(schema, data[name]).forEach(({ path: at, message }) => report('error', at, message));
+    checkTranslations(data[name], report);
+    if (RICH_FIELDS[name]) checkMarkup(data[name], RICH_FIELDS[name], report);
+
+    if (name === 'cv') {
+      checkCvPeriods(data.cv, report);
+      checkDuplicates(data.cv.experience, 'id', 'experience', report);
+      checkDuplicates(data.cv.education, 'id', 'education', report);
+      checkDuplicates(data.cv.projects, 'id', 'projects', report);
+      checkProfiles(data.cv, report);
+    }
+    if (name === 'portfolio') {
+      checkDuplicates(data.portfolio.projects, 'slug', 'projects', report);
+      checkIcons(data.portfolio, report);
+      checkImages(data.portfolio, report);
+      checkCharts(data.portfolio, report);
+      checkMedia(data.portfolio, report);
+      // cv.json comes first in DATA_FILES
+      if (data.cv) checkCrossLinks(data.portfolio, data.cv, report);
+    }
+  });
+
+  return { errors, warnings };
+}
+
+/** Human-readable report, one line per issue */
+function formatIssues({ errors, warnings }) {
+  const line = (mark, { file, path: at, message }) => `  ${mark} ${file}${at ? ` → ${at}` : ''}: ${message}`;
+  return [
+    ...errors.map(issue => line('✗', issue)),
+    ...warnings.map(issue => line('!', issue)),
+  ].join('\n');
+}
+
+function main() {
+  const strict = process.argv.includes('--strict');
+  const result = validateData();
+  const { errors, warnings } = result;
+
+  if (errors.length || warnings.length) console.log(formatIssues(result) + '\n');
+  console.log(`${errors.length} error(s), ${warnings.length} warning(s)`);
+
+  if (errors.length || (strict && warnings.length)) process.exit(1);
+}
+
+if (require.main === module) main();
+
+module.exports = { validateData, formatIssues };
@@ -0,0 +1,101 @@
+/**
+ * server/vcard.js — Contact card (vCard 4.0, RFC 6350)
+ *
+ * Builds the card behind /export/contact.vcf and the QR code on the
+ * business card page from data/config.json (name, role, email, website,
+ * tagline) and cv.json's meta (photo, job title). config.json wins where
+ * both have a value, as it does on the card page.
+ *
+ * The photo is embedded as a data: URI. The QR code gets the same card
+ * without it — a photo would never fit into a scannable code.
+ */
+
+'use strict';
+
+const path = require('path');
+const { t } = require('../js/cv-format');
+
+const PHOTO_TYPES = {
+  '.jpg':  'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png':  'image/png',
+  '.webp': 'image/webp',
+};
+
+/** Escape a TEXT value (RFC 6350, 3.4) */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets (RFC 6350, 3.2). Splits only
+ * between characters, so multi-byte UTF-8 sequences stay intact.
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75; // continuation lines start with a space
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/** "Mathis Thomsen" → structured N value "Thomsen;Mathis;;;" */
+function structuredName(fullName) {
+  const words = String(fullName).trim().split(/\s+/);
+  const family = words.length > 1 ? words.pop() : '';
+  return [family, words.join(' '), '', '', ''].map(escapeText).join(';');
+}
+
+/** "mathisthomsen.de" → "https://mathisthomsen.de" */
+function websiteUrl(website) {
+  return /^https?:\/\//.test(website) ? website : `https://${website}`;
+}
+
+/**
+ * @param {object} config        data/config.json
+ * @param {object} [meta]        cv.json's meta
+ * @param {object} [options]
+ * @param {Buffer} [options.photo]      Photo file contents (omitted when absent)
+ * @param {string} [options.photoPath]  Its path, for the media type
+ * @param {string} [options.lang]       Language of role, title and tagline
+ * @returns {string} vCard text with CRLF line endings
+ */
+function buildVcard(config, meta = {}, { photo, photoPath, lang = 'de' } = {}) {
+  const name = config.name || meta.name;
+  const title = t(config.role, lang) || t(meta.title, lang);
+  const email = config.email || meta.email;
+  const website = config.website || meta.website;
+
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:4.0',
+    'KIND:individual',
+    `FN:${escapeText(name)}`,
+    `N:${structuredName(name)}`,
+    title && `TITLE:${escapeText(title)}`,
+    email && `EMAIL;TYPE=work:${email}`,
+    website && `URL;TYPE=work:${websiteUrl(website)}`,
+    config.tagline && `NOTE:${escapeText(t(config.tagline, lang))}`,
+    photo && `PHOTO:data:${PHOTO_TYPES[path.extname(photoPath || '').toLowerCase()] || 'image/jpeg'};base64,${photo.toString('base64')}`,
+    'END:VCARD',
+  ].filter(Boolean);
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildVcard, websiteUrl };